@@ -9,12 +9,16 @@ require('dotenv').config({ quiet: true });
 const connectDB = require('./server/controllers/dbController');
 const { sessionMiddleware } = require('./server/middleware/session/sessionMiddleware');
 const { sessionValidator } = require('./server/middleware/session/sessionValidator');
+const { apiTokenAuth } = require('./server/middleware/auth/apiTokenAuth');
 
 // Import from Sahab core utilities
 const { createAppLogger, createAuthMiddleware } = require('@sahab/core');
 
 const User = require('./models/User');
+const UserSession = require('./models/UserSession');
+const ApiToken = require('./models/ApiToken');
 const router = require('./server/router');
+const { startJobs } = require('./server/jobs');
 
 // ********** End Imports **********
 
@@ -38,12 +42,24 @@ app.set('layout extractScripts', true);
 app.set('layout extractStyles', true);
 
 // Body parsers
+// Stripe signs the raw payload, so keep the JSON parsers off the webhook body
+app.use('/webhooks/stripe', express.raw({ type: 'application/json' }));
+// Inbound email arrives as raw MIME from the mail relay
+app.use('/webhooks/inbound-email', express.raw({ type: '*/*', limit: '25mb' }));
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 app.use(express.json());
 app.use(express.static('public'));
 app.use(cookieParser());
 
+// Personal API tokens; must run before the session so token requests don't get a cookie
+const { authenticateToken } = apiTokenAuth({
+    TokenModel: ApiToken,
+    UserModel: User,
+    logger,
+});
+app.use('/api', authenticateToken);
+
 // Session
 app.use(
     sessionMiddleware({
@@ -56,6 +72,7 @@ app.use(
 // Session validator (local)
 const { validateSession, enforceRole } = sessionValidator({
     UserModel: User,
+    SessionModel: UserSession,
     logger,
     loginPath: '/login',
     roleRedirects: {
@@ -78,3 +95,6 @@ app.use('/', router);
 app.listen(process.env.PORT, () =>
     logger.info(`Server running on http://localhost:${process.env.PORT}`)
 );
+
+// Background jobs
+startJobs();
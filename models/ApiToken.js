@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// What each scope lets a token do
+const SCOPES = {
+    'requests:read': 'Read design requests and their messages',
+    'requests:write': 'Create, update and comment on design requests',
+    'billing:read': 'Read plan usage and invoices',
+};
+
+const TOKEN_PREFIX = 'cc_';
+const MAX_TOKENS_PER_USER = 20;
+
+// Only write lastUsedAt once a minute for busy scripts
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const apiTokenSchema = new mongoose.Schema(
+    {
+        // References
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            index: true,
+        },
+
+        // Token Details
+        name: {
+            type: String,
+            required: true,
+            trim: true,
+            maxlength: 100,
+        },
+        tokenHash: {
+            type: String,
+            required: true,
+            unique: true,
+            select: false,
+        },
+        // First characters of the token, so users can tell them apart
+        prefix: {
+            type: String,
+            required: true,
+        },
+        scopes: [
+            {
+                type: String,
+                enum: Object.keys(SCOPES),
+            },
+        ],
+
+        // Usage
+        lastUsedAt: {
+            type: Date,
+            default: null,
+        },
+        expiresAt: {
+            type: Date,
+            default: null,
+        },
+
+        // Timestamps
+        createdAt: {
+            type: Date,
+            default: Date.now,
+        },
+        updatedAt: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Virtual to check if the token has expired
+apiTokenSchema.virtual('isExpired').get(function () {
+    return !!this.expiresAt && this.expiresAt <= new Date();
+});
+
+// Method to check whether the token grants a scope
+apiTokenSchema.methods.hasScope = function (scope) {
+    return this.scopes.includes(scope);
+};
+
+// Method to record that the token was used
+apiTokenSchema.methods.touch = async function () {
+    const now = new Date();
+    if (this.lastUsedAt && now - this.lastUsedAt < TOUCH_INTERVAL_MS) return;
+
+    this.lastUsedAt = now;
+    await this.constructor.updateOne({ _id: this._id }, { $set: { lastUsedAt: now } });
+};
+
+// Static method to create a token. Returns the plain token, which is only shown once.
+apiTokenSchema.statics.generate = async function ({ user, name, scopes, expiresAt = null }) {
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+    const record = await this.create({
+        user,
+        name,
+        scopes,
+        expiresAt,
+        tokenHash: hashToken(token),
+        prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+    });
+
+    return { token, record };
+};
+
+// Static method to find an unexpired token from the Authorization header
+apiTokenSchema.statics.findActiveByToken = function (token) {
+    return this.findOne({
+        tokenHash: hashToken(token),
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+    });
+};
+
+// Static method to list a user's tokens, newest first
+apiTokenSchema.statics.findByUser = function (userId) {
+    return this.find({ user: userId }).sort('-createdAt');
+};
+
+apiTokenSchema.statics.SCOPES = SCOPES;
+apiTokenSchema.statics.MAX_TOKENS_PER_USER = MAX_TOKENS_PER_USER;
+
+// Ensure virtual fields are serialized
+apiTokenSchema.set('toJSON', {
+    virtuals: true,
+    transform: function (doc, ret) {
+        delete ret.tokenHash;
+        delete ret.__v;
+        return ret;
+    },
+});
+
+module.exports = mongoose.models.ApiToken || mongoose.model('ApiToken', apiTokenSchema);
@@ -1,4 +1,59 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+/**
+ * Allowed status transitions: from -> to -> roles that may perform it.
+ * Anything not listed here is rejected by updateStatus.
+ */
+const STATUS_TRANSITIONS = {
+    draft: {
+        submitted: ['client'],
+        canceled: ['client', 'admin'],
+    },
+    submitted: {
+        draft: ['client'],
+        'in-review': ['designer', 'admin'],
+        canceled: ['client', 'admin'],
+    },
+    'in-review': {
+        'in-progress': ['designer', 'admin'],
+        'pending-approval': ['designer'],
+        canceled: ['client', 'admin'],
+    },
+    'in-progress': {
+        'pending-approval': ['designer'],
+        canceled: ['admin'],
+    },
+    'revision-requested': {
+        'in-progress': ['designer', 'admin'],
+        'pending-approval': ['designer'],
+        canceled: ['admin'],
+    },
+    'pending-approval': {
+        approved: ['client', 'admin'],
+        'revision-requested': ['client'],
+        completed: ['admin'],
+        canceled: ['admin'],
+    },
+    approved: {
+        completed: ['designer', 'admin'],
+        'revision-requested': ['client'],
+    },
+    completed: {
+        'revision-requested': ['client'],
+    },
+    canceled: {},
+};
+
+// Statuses that hold one of the plan's simultaneous design slots
+const ACTIVE_STATUSES = [
+    'draft',
+    'submitted',
+    'in-review',
+    'in-progress',
+    'revision-requested',
+    'pending-approval',
+];
 
 const designRequestSchema = new mongoose.Schema(
     {
@@ -10,6 +65,14 @@ const designRequestSchema = new mongoose.Schema(
             index: true,
         },
 
+        // Token for the request's reply-by-email address
+        replyToken: {
+            type: String,
+            unique: true,
+            sparse: true,
+            select: false,
+        },
+
         // User & Subscription
         client: {
             type: mongoose.Schema.Types.ObjectId,
@@ -17,6 +80,12 @@ const designRequestSchema = new mongoose.Schema(
             required: true,
             index: true,
         },
+        // Every member of the organization can see the request
+        organization: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Organization',
+            default: null,
+        },
         subscription: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'Subscription',
@@ -294,6 +363,7 @@ const designRequestSchema = new mongoose.Schema(
 
 // Indexes for performance
 designRequestSchema.index({ client: 1, status: 1, createdAt: -1 });
+designRequestSchema.index({ organization: 1, status: 1, createdAt: -1 });
 designRequestSchema.index({ designer: 1, status: 1, priority: -1 });
 designRequestSchema.index({ deadline: 1, status: 1 });
 
@@ -354,12 +424,17 @@ designRequestSchema.pre('save', async function (next) {
         this.requestNumber = `DR${year}${month}${sequence.toString().padStart(4, '0')}`;
     }
 
+    if (this.isNew && !this.replyToken) {
+        this.replyToken = crypto.randomBytes(16).toString('hex');
+    }
+
     next();
 });
 
 // Method to update status
-designRequestSchema.methods.updateStatus = async function (newStatus, userId = null) {
+designRequestSchema.methods.updateStatus = async function (newStatus, userId = null, role = null) {
     const oldStatus = this.status;
+    this.constructor.assertTransition(oldStatus, newStatus, role);
     this.status = newStatus;
 
     // Update timeline based on status change
@@ -386,12 +461,37 @@ designRequestSchema.methods.updateStatus = async function (newStatus, userId = n
     }
 
     await this.save();
+    await this.syncActiveSlot(oldStatus, newStatus);
+    await this.recordStatusChange(oldStatus, newStatus, userId);
 
     return { oldStatus, newStatus };
 };
 
+// Method to free or take back the subscription's active slot when a request closes or reopens
+designRequestSchema.methods.syncActiveSlot = async function (oldStatus, newStatus) {
+    const wasActive = ACTIVE_STATUSES.includes(oldStatus);
+    const isActive = ACTIVE_STATUSES.includes(newStatus);
+    if (wasActive === isActive || !this.subscription) return;
+
+    await mongoose
+        .model('Subscription')
+        .adjustActiveDesigns(this.subscription._id || this.subscription, isActive ? 1 : -1);
+};
+
+// Method to write the status_change system message for a transition
+designRequestSchema.methods.recordStatusChange = function (oldStatus, newStatus, userId = null) {
+    return mongoose.model('Message').createSystemMessage(this._id, 'status_change', {
+        userId,
+        oldValue: oldStatus,
+        newValue: newStatus,
+    });
+};
+
 // Method to add revision
 designRequestSchema.methods.addRevision = async function (description, requestedBy) {
+    const oldStatus = this.status;
+    this.constructor.assertTransition(oldStatus, 'revision-requested', 'client');
+
     const revisionNumber = this.revisionCount + 1;
 
     this.revisions.push({
@@ -405,6 +505,8 @@ designRequestSchema.methods.addRevision = async function (description, requested
     this.status = 'revision-requested';
 
     await this.save();
+    await this.syncActiveSlot(oldStatus, 'revision-requested');
+    await this.recordStatusChange(oldStatus, 'revision-requested', requestedBy);
 
     return this.revisions[this.revisions.length - 1];
 };
@@ -431,6 +533,32 @@ designRequestSchema.methods.addDeliverable = async function (fileData, uploadedB
     return deliverable;
 };
 
+// Static method to check a status transition without throwing
+designRequestSchema.statics.canTransition = function (fromStatus, toStatus, role = null) {
+    const allowedRoles = STATUS_TRANSITIONS[fromStatus]?.[toStatus];
+    if (!allowedRoles) return false;
+
+    return !role || allowedRoles.includes(role);
+};
+
+// Static method to validate a status transition.
+// A null role means an internal (system) caller; only the edge itself is checked.
+designRequestSchema.statics.assertTransition = function (fromStatus, toStatus, role = null) {
+    const allowedRoles = STATUS_TRANSITIONS[fromStatus]?.[toStatus];
+
+    if (!allowedRoles) {
+        const error = new Error(`Cannot change status from ${fromStatus} to ${toStatus}`);
+        error.name = 'StatusTransitionError';
+        throw error;
+    }
+
+    if (role && !allowedRoles.includes(role)) {
+        const error = new Error(`A ${role} cannot change status from ${fromStatus} to ${toStatus}`);
+        error.name = 'StatusTransitionError';
+        throw error;
+    }
+};
+
 // Static method to find requests by client
 designRequestSchema.statics.findByClient = function (clientId, options = {}) {
     const query = { client: clientId };
@@ -457,6 +585,81 @@ designRequestSchema.statics.findByDesigner = function (designerId, options = {})
         .populate('client', 'fullName companyName email');
 };
 
+// Static method to get the designer work queue (submitted, unassigned requests)
+designRequestSchema.statics.findAvailable = function (options = {}) {
+    const { limit = 50, category = null } = options;
+
+    const match = {
+        status: 'submitted',
+        designer: null,
+        isArchived: false,
+    };
+    if (category) {
+        match.category = category;
+    }
+
+    return this.aggregate([
+        { $match: match },
+        {
+            $addFields: {
+                priorityWeight: {
+                    $switch: {
+                        branches: [
+                            { case: { $eq: ['$priority', 'urgent'] }, then: 4 },
+                            { case: { $eq: ['$priority', 'high'] }, then: 3 },
+                            { case: { $eq: ['$priority', 'normal'] }, then: 2 },
+                        ],
+                        default: 1,
+                    },
+                },
+                // Requests without a deadline go after those with one
+                hasDeadline: { $cond: [{ $ifNull: ['$deadline', false] }, 1, 0] },
+            },
+        },
+        {
+            $sort: {
+                priorityWeight: -1,
+                isRushOrder: -1,
+                hasDeadline: -1,
+                deadline: 1,
+                'timeline.submittedAt': 1,
+            },
+        },
+        { $limit: limit },
+        {
+            $lookup: {
+                from: 'users',
+                localField: 'client',
+                foreignField: '_id',
+                as: 'client',
+                pipeline: [{ $project: { fullName: 1, companyName: 1, email: 1 } }],
+            },
+        },
+        { $unwind: '$client' },
+        { $project: { priorityWeight: 0, hasDeadline: 0 } },
+    ]);
+};
+
+// Static method to claim a request for a designer.
+// The status/designer guard makes this atomic: only one designer can win the update.
+designRequestSchema.statics.claim = function (requestId, designerId) {
+    return this.findOneAndUpdate(
+        {
+            _id: requestId,
+            status: 'submitted',
+            designer: null,
+        },
+        {
+            $set: {
+                designer: designerId,
+                status: 'in-review',
+                'timeline.assignedAt': new Date(),
+            },
+        },
+        { new: true }
+    );
+};
+
 // Static method to get statistics
 designRequestSchema.statics.getStatistics = async function (filter = {}) {
     const stats = await this.aggregate([
@@ -494,10 +697,62 @@ designRequestSchema.statics.getStatistics = async function (filter = {}) {
     );
 };
 
+// Static method to get requests created and completed per day
+designRequestSchema.statics.getThroughputSeries = async function (startDate, endDate, filter = {}) {
+    const bucket = (dateField, countField) => [
+        { $match: { ...filter, [dateField]: { $gte: startDate, $lte: endDate } } },
+        {
+            $group: {
+                _id: { $dateToString: { format: '%Y-%m-%d', date: `$${dateField}` } },
+                [countField]: { $sum: 1 },
+            },
+        },
+    ];
+
+    const [created, completed] = await Promise.all([
+        this.aggregate(bucket('createdAt', 'created')),
+        this.aggregate(bucket('timeline.completedAt', 'completed')),
+    ]);
+
+    const series = {};
+    created.forEach(({ _id, created }) => {
+        series[_id] = { period: _id, created, completed: 0 };
+    });
+    completed.forEach(({ _id, completed }) => {
+        series[_id] = { period: _id, created: 0, ...series[_id], completed };
+    });
+
+    return Object.values(series).sort((a, b) => a.period.localeCompare(b.period));
+};
+
 // Ensure virtual fields are serialized
 designRequestSchema.set('toJSON', {
     virtuals: true,
 });
 
+// Static method to get a request's reply token, creating one for older requests
+designRequestSchema.statics.getReplyToken = async function (requestId) {
+    const request = await this.findById(requestId).select('+replyToken');
+    if (!request) return null;
+    if (request.replyToken) return request.replyToken;
+
+    // Conditional so two concurrent callers end up with the same token
+    await this.updateOne(
+        { _id: requestId, replyToken: { $exists: false } },
+        { $set: { replyToken: crypto.randomBytes(16).toString('hex') } }
+    );
+
+    const updated = await this.findById(requestId).select('+replyToken');
+    return updated.replyToken;
+};
+
+// Static method to find request by reply token
+designRequestSchema.statics.findByReplyToken = function (token) {
+    return this.findOne({ replyToken: token });
+};
+
+designRequestSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+designRequestSchema.statics.ACTIVE_STATUSES = ACTIVE_STATUSES;
+
 module.exports =
     mongoose.models.DesignRequest || mongoose.model('DesignRequest', designRequestSchema);
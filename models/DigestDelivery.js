@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+
+// A claim older than this is assumed dead and can be taken again
+const SENDING_TIMEOUT_MS = 15 * 60 * 1000;
+
+const digestDeliverySchema = new mongoose.Schema(
+    {
+        // References
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            index: true,
+        },
+
+        // Digest Period
+        frequency: {
+            type: String,
+            enum: ['daily', 'weekly'],
+            required: true,
+        },
+        periodKey: {
+            type: String,
+            required: true,
+        },
+        windowStart: {
+            type: Date,
+            required: true,
+        },
+        windowEnd: {
+            type: Date,
+            required: true,
+        },
+
+        // Delivery Status
+        status: {
+            type: String,
+            enum: ['sending', 'sent', 'skipped', 'failed'],
+            default: 'sending',
+            index: true,
+        },
+        attempts: {
+            type: Number,
+            default: 1,
+            min: 1,
+        },
+        error: {
+            type: String,
+            default: null,
+        },
+        sentAt: {
+            type: Date,
+            default: null,
+        },
+
+        // What went out, so the next digest starts where this one ended
+        messages: [
+            {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Message',
+            },
+        ],
+        statusChanges: [
+            {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Message',
+            },
+        ],
+        deadlines: [
+            {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'DesignRequest',
+            },
+        ],
+
+        // Timestamps
+        createdAt: {
+            type: Date,
+            default: Date.now,
+        },
+        updatedAt: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// One digest per user per period
+digestDeliverySchema.index({ user: 1, periodKey: 1 }, { unique: true });
+
+// Static method to claim a user's digest for a period.
+// Returns null if it was already sent (or is being sent right now).
+digestDeliverySchema.statics.begin = async function ({ user, frequency, periodKey, windowEnd }) {
+    const last = await this.findOne({ user, status: { $in: ['sent', 'skipped'] } })
+        .sort('-windowEnd')
+        .select('windowEnd');
+
+    // Pick up where the last digest stopped, or cover one period on the first run
+    const periodMs = frequency === 'weekly' ? 7 * 24 * 60 * 60 * 1000 : 24 * 60 * 60 * 1000;
+    const windowStart = last ? last.windowEnd : new Date(windowEnd.getTime() - periodMs);
+
+    try {
+        return await this.create({ user, frequency, periodKey, windowStart, windowEnd });
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+
+        // Failed digests are retried, and so are claims abandoned by a crash or restart
+        return await this.findOneAndUpdate(
+            {
+                user,
+                periodKey,
+                $or: [
+                    { status: 'failed' },
+                    {
+                        status: 'sending',
+                        updatedAt: { $lt: new Date(Date.now() - SENDING_TIMEOUT_MS) },
+                    },
+                ],
+            },
+            {
+                $set: { status: 'sending', error: null, windowStart, windowEnd },
+                $inc: { attempts: 1 },
+            },
+            { new: true }
+        );
+    }
+};
+
+// Method to record a sent digest
+digestDeliverySchema.methods.complete = async function (items) {
+    this.status = 'sent';
+    this.sentAt = new Date();
+    this.messages = items.messages.map((m) => m._id);
+    this.statusChanges = items.statusChanges.map((m) => m._id);
+    this.deadlines = items.deadlines.map((r) => r._id);
+    await this.save();
+};
+
+// Method to record a period with nothing to send
+digestDeliverySchema.methods.skip = async function () {
+    this.status = 'skipped';
+    await this.save();
+};
+
+// Method to record a failed send
+digestDeliverySchema.methods.fail = async function (error) {
+    this.status = 'failed';
+    this.error = error.message || String(error);
+    await this.save();
+};
+
+// Ensure virtual fields are serialized
+digestDeliverySchema.set('toJSON', {
+    virtuals: true,
+});
+
+module.exports =
+    mongoose.models.DigestDelivery || mongoose.model('DigestDelivery', digestDeliverySchema);
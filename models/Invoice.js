@@ -17,6 +17,12 @@ const invoiceSchema = new mongoose.Schema(
             required: true,
             index: true,
         },
+        // Every member of the organization can see the invoice
+        organization: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Organization',
+            default: null,
+        },
         subscription: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'Subscription',
@@ -104,6 +110,10 @@ const invoiceSchema = new mongoose.Schema(
             required: true,
             index: true,
         },
+        overdueAt: {
+            type: Date,
+            default: null,
+        },
 
         // Stripe Information
         stripeInvoiceId: {
@@ -193,7 +203,9 @@ const invoiceSchema = new mongoose.Schema(
 
 // Indexes for performance
 invoiceSchema.index({ user: 1, createdAt: -1 });
+invoiceSchema.index({ organization: 1, createdAt: -1 });
 invoiceSchema.index({ paymentStatus: 1, dueDate: 1 });
+invoiceSchema.index({ overdueAt: 1, dueDate: 1 });
 invoiceSchema.index({ subscription: 1, periodStart: 1 });
 
 // Virtual for formatted invoice number
@@ -285,13 +297,15 @@ invoiceSchema.methods.voidInvoice = async function (reason = '') {
     return this;
 };
 
-// Static method to create from subscription
-invoiceSchema.statics.createFromSubscription = async function (subscription) {
+// Static method to create from subscription.
+// `details` overrides the defaults, e.g. amounts and ids taken from a Stripe invoice.
+invoiceSchema.statics.createFromSubscription = async function (subscription, details = {}) {
     const user = await mongoose.model('User').findById(subscription.user);
     const tier = await mongoose.model('SubscriptionTier').findById(subscription.tier);
 
     const invoice = new this({
         user: subscription.user,
+        organization: subscription.organization || null,
         subscription: subscription._id,
         subscriptionTier: subscription.tier,
         billingPeriod: subscription.billingPeriod,
@@ -301,7 +315,8 @@ invoiceSchema.statics.createFromSubscription = async function (subscription) {
         total: subscription.amount,
         currency: subscription.currency,
         dueDate: subscription.nextBillingDate,
-        stripeInvoiceId: subscription.stripeInvoiceId || null,
+        // Left unset rather than null so the sparse unique index ignores it
+        stripeInvoiceId: subscription.stripeInvoiceId || undefined,
         lineItems: [
             {
                 description: `${tier.displayName} - ${subscription.billingPeriod} subscription`,
@@ -315,6 +330,7 @@ invoiceSchema.statics.createFromSubscription = async function (subscription) {
             name: user.displayName,
             company: user.companyName || null,
         },
+        ...details,
     });
 
     await invoice.save();
@@ -335,11 +351,23 @@ invoiceSchema.statics.findUnpaid = async function (userId = null) {
     return await this.find(filter).populate('user', 'email fullName').sort('dueDate');
 };
 
+// Static method to find unpaid invoices past due that haven't been flagged overdue yet
+invoiceSchema.statics.findNewlyOverdue = function () {
+    return this.find({
+        overdueAt: null,
+        paymentStatus: { $in: ['pending', 'failed'] },
+        dueDate: { $lt: new Date() },
+    })
+        .populate('user', 'email fullName')
+        .sort('dueDate');
+};
+
 // Static method to get revenue statistics
-invoiceSchema.statics.getRevenueStats = async function (startDate, endDate) {
+invoiceSchema.statics.getRevenueStats = async function (startDate, endDate, filter = {}) {
     const stats = await this.aggregate([
         {
             $match: {
+                ...filter,
                 paymentStatus: 'paid',
                 paymentDate: {
                     $gte: startDate,
@@ -374,6 +402,45 @@ invoiceSchema.statics.getRevenueStats = async function (startDate, endDate) {
     );
 };
 
+// Static method to get paid revenue grouped by day or month
+invoiceSchema.statics.getRevenueSeries = async function (
+    startDate,
+    endDate,
+    interval = 'day',
+    filter = {}
+) {
+    const format = interval === 'month' ? '%Y-%m' : '%Y-%m-%d';
+
+    return await this.aggregate([
+        {
+            $match: {
+                ...filter,
+                paymentStatus: 'paid',
+                paymentDate: {
+                    $gte: startDate,
+                    $lte: endDate,
+                },
+            },
+        },
+        {
+            $group: {
+                _id: { $dateToString: { format, date: '$paymentDate' } },
+                revenue: { $sum: '$total' },
+                invoiceCount: { $sum: 1 },
+            },
+        },
+        { $sort: { _id: 1 } },
+        {
+            $project: {
+                _id: 0,
+                period: '$_id',
+                revenue: { $round: ['$revenue', 2] },
+                invoiceCount: 1,
+            },
+        },
+    ]);
+};
+
 // Ensure virtual fields are serialized
 invoiceSchema.set('toJSON', {
     virtuals: true,
@@ -0,0 +1,190 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Failures allowed before backoff starts, failures before a temporary lockout, and its length
+const LIMITS = {
+    account: { freeAttempts: 2, maxFailures: 5, lockMs: 30 * 60 * 1000 },
+    ip: { freeAttempts: 10, maxFailures: 20, lockMs: 30 * 60 * 1000 },
+};
+
+// Exponential backoff between attempts once past the free ones: 1s, 2s, 4s ... capped
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 5 * 60 * 1000;
+
+// Counters reset after this long without a failure
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const loginAttemptSchema = new mongoose.Schema(
+    {
+        // What is being tracked
+        key: {
+            type: String,
+            required: true,
+            unique: true,
+            index: true,
+        },
+        type: {
+            type: String,
+            enum: ['account', 'ip'],
+            required: true,
+        },
+
+        // Failures
+        failures: {
+            type: Number,
+            default: 0,
+        },
+        lastFailureAt: {
+            type: Date,
+            default: null,
+        },
+        nextAllowedAt: {
+            type: Date,
+            default: null,
+        },
+
+        // Lockout
+        lockedUntil: {
+            type: Date,
+            default: null,
+        },
+        unlockToken: {
+            type: String,
+            default: null,
+            index: true,
+        },
+
+        // Removed automatically once the window passes
+        expiresAt: {
+            type: Date,
+            required: true,
+            expires: 0,
+        },
+
+        // Timestamps
+        createdAt: {
+            type: Date,
+            default: Date.now,
+        },
+        updatedAt: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Virtual to check if the key is currently locked out
+loginAttemptSchema.virtual('isLocked').get(function () {
+    return !!this.lockedUntil && this.lockedUntil > new Date();
+});
+
+// Static method to build the tracking key for an account
+loginAttemptSchema.statics.accountKey = function (email) {
+    return `account:${email.toLowerCase().trim()}`;
+};
+
+// Static method to build the tracking key for a client IP
+loginAttemptSchema.statics.ipKey = function (ip) {
+    return `ip:${ip}`;
+};
+
+// Static method to check whether a login may be attempted.
+// Returns the longest wait across the given keys, or null if allowed.
+loginAttemptSchema.statics.check = async function (keys) {
+    const now = new Date();
+    const records = await this.find({ key: { $in: keys } });
+
+    let blocked = null;
+    records.forEach((record) => {
+        const until = [record.lockedUntil, record.nextAllowedAt]
+            .filter((date) => date && date > now)
+            .sort((a, b) => b - a)[0];
+
+        if (until && (!blocked || until > blocked.until)) {
+            blocked = { until, locked: record.isLocked, type: record.type };
+        }
+    });
+
+    return blocked && { ...blocked, retryAfterMs: blocked.until - now };
+};
+
+// Static method to record a failed login.
+// justLocked is true when this failure is the one that triggered the lockout.
+loginAttemptSchema.statics.recordFailure = async function (key, type) {
+    const now = new Date();
+    const { freeAttempts, maxFailures, lockMs } = LIMITS[type];
+
+    const record = await this.findOneAndUpdate(
+        { key },
+        {
+            $inc: { failures: 1 },
+            $set: {
+                lastFailureAt: now,
+                expiresAt: new Date(now.getTime() + FAILURE_WINDOW_MS),
+            },
+            $setOnInsert: { type },
+        },
+        { upsert: true, new: true }
+    );
+
+    if (record.failures > freeAttempts) {
+        const delay = BASE_DELAY_MS * 2 ** (record.failures - freeAttempts - 1);
+        record.nextAllowedAt = new Date(now.getTime() + Math.min(delay, MAX_DELAY_MS));
+    }
+
+    let justLocked = false;
+    if (record.failures >= maxFailures && !record.isLocked) {
+        record.lockedUntil = new Date(now.getTime() + lockMs);
+        record.expiresAt = new Date(
+            Math.max(record.expiresAt.getTime(), record.lockedUntil.getTime())
+        );
+        justLocked = true;
+    }
+
+    await record.save();
+    return { record, justLocked };
+};
+
+// Method to issue a one-time unlock token for the lock email
+loginAttemptSchema.methods.generateUnlockToken = async function () {
+    const token = crypto.randomBytes(32).toString('hex');
+    this.unlockToken = crypto.createHash('sha256').update(token).digest('hex');
+    await this.save();
+    return token;
+};
+
+// Static method to clear tracking for a key (successful login or admin unlock)
+loginAttemptSchema.statics.clear = function (key) {
+    return this.deleteOne({ key });
+};
+
+// Static method to clear a lockout from an emailed unlock link
+loginAttemptSchema.statics.unlockWithToken = function (token) {
+    const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+    return this.findOneAndDelete({
+        unlockToken: hashedToken,
+        lockedUntil: { $gt: new Date() },
+    });
+};
+
+// Static method to list which of the given emails are locked out
+loginAttemptSchema.statics.findLockedEmails = async function (emails) {
+    const records = await this.find({
+        key: { $in: emails.map((email) => this.accountKey(email)) },
+        lockedUntil: { $gt: new Date() },
+    }).select('key');
+
+    return new Set(records.map((record) => record.key.replace(/^account:/, '')));
+};
+
+loginAttemptSchema.statics.LIMITS = LIMITS;
+
+// Ensure virtual fields are serialized
+loginAttemptSchema.set('toJSON', {
+    virtuals: true,
+});
+
+module.exports = mongoose.models.LoginAttempt || mongoose.model('LoginAttempt', loginAttemptSchema);
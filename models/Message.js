@@ -12,7 +12,10 @@ const messageSchema = new mongoose.Schema(
         sender: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User',
-            required: true,
+            // System messages can be written without an acting user (e.g. background jobs)
+            required: function () {
+                return this.messageType !== 'system';
+            },
             index: true,
         },
         recipient: {
@@ -47,6 +50,13 @@ const messageSchema = new mongoose.Schema(
             },
         ],
 
+        // Set for replies received by email; guards against relay retries
+        emailMessageId: {
+            type: String,
+            unique: true,
+            sparse: true,
+        },
+
         // Status
         isRead: {
             type: Boolean,
@@ -181,7 +191,7 @@ messageSchema.statics.markAllAsRead = async function (userId, requestId) {
 
 // Static method to get conversation
 messageSchema.statics.getConversation = async function (requestId, options = {}) {
-    const { limit = 50, before = null, includeDeleted = false } = options;
+    const { limit = 50, before = null, after = null, includeDeleted = false } = options;
 
     const filter = { designRequest: requestId };
     if (!includeDeleted) {
@@ -190,10 +200,14 @@ messageSchema.statics.getConversation = async function (requestId, options = {})
     if (before) {
         filter.createdAt = { $lt: before };
     }
+    if (after) {
+        filter.createdAt = { ...filter.createdAt, $gt: after };
+    }
 
+    // Newer-than queries read forward so a burst of new messages isn't cut off
     return await this.find(filter)
         .populate('sender', 'fullName email role')
-        .sort('-createdAt')
+        .sort(after && !before ? 'createdAt' : '-createdAt')
         .limit(limit);
 };
 
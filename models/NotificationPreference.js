@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+
+// in_app: notification center only, email: notification center plus an email, none: muted
+const CHANNELS = ['in_app', 'email', 'none'];
+const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+
+// Notification types users can configure, with their default channel
+const NOTIFICATION_TYPES = {
+    // Requests
+    request_created: { label: 'Request submitted', group: 'Requests', default: 'in_app' },
+    request_updated: { label: 'Request updated', group: 'Requests', default: 'in_app' },
+    designer_assigned: { label: 'Designer assigned', group: 'Requests', default: 'in_app' },
+    file_uploaded: { label: 'New design uploaded', group: 'Requests', default: 'email' },
+    revision_requested: { label: 'Revision requested', group: 'Requests', default: 'email' },
+    request_approved: { label: 'Design approved', group: 'Requests', default: 'in_app' },
+    message_received: { label: 'New message', group: 'Requests', default: 'in_app' },
+
+    // Billing
+    subscription_created: { label: 'Subscription started', group: 'Billing', default: 'email' },
+    subscription_upgraded: { label: 'Plan changed', group: 'Billing', default: 'in_app' },
+    subscription_changed: { label: 'Subscription updated', group: 'Billing', default: 'in_app' },
+    subscription_canceled: { label: 'Subscription canceled', group: 'Billing', default: 'email' },
+    payment_received: { label: 'Payment received', group: 'Billing', default: 'in_app' },
+    payment_failed: { label: 'Payment failed', group: 'Billing', default: 'email' },
+    invoice_overdue: { label: 'Invoice overdue', group: 'Billing', default: 'email' },
+
+    // Account
+    onboarding_complete: { label: 'Onboarding complete', group: 'Account', default: 'in_app' },
+    profile_updated: { label: 'Profile updated', group: 'Account', default: 'in_app' },
+    brand_updated: { label: 'Brand guidelines updated', group: 'Account', default: 'in_app' },
+    password_changed: { label: 'Password changed', group: 'Account', default: 'email' },
+    account_updated: { label: 'Account changed by an admin', group: 'Account', default: 'email' },
+    team_member_joined: { label: 'Teammate joined', group: 'Account', default: 'in_app' },
+    two_factor_changed: {
+        label: 'Two-factor authentication changed',
+        group: 'Account',
+        default: 'email',
+    },
+};
+
+const notificationPreferenceSchema = new mongoose.Schema(
+    {
+        // Reference
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            unique: true,
+            index: true,
+        },
+
+        // Channel per notification type; types not listed use their default
+        channels: {
+            type: Map,
+            of: {
+                type: String,
+                enum: CHANNELS,
+            },
+            default: {},
+        },
+
+        // Activity digest email
+        digestFrequency: {
+            type: String,
+            enum: DIGEST_FREQUENCIES,
+            default: 'off',
+            index: true,
+        },
+
+        // Timestamps
+        createdAt: {
+            type: Date,
+            default: Date.now,
+        },
+        updatedAt: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Method to get the channel for a type
+notificationPreferenceSchema.methods.getChannel = function (type) {
+    return this.channels.get(type) || NOTIFICATION_TYPES[type]?.default || 'in_app';
+};
+
+// Method to list every configurable type with its current channel
+notificationPreferenceSchema.methods.toSettings = function () {
+    return Object.entries(NOTIFICATION_TYPES).map(([type, config]) => ({
+        type,
+        label: config.label,
+        group: config.group,
+        channel: this.getChannel(type),
+    }));
+};
+
+// Static method to get preferences for a user, falling back to defaults
+notificationPreferenceSchema.statics.findByUser = async function (userId) {
+    const preferences = await this.findOne({ user: userId });
+    return preferences || new this({ user: userId });
+};
+
+// Static method to get the channel a user wants for a type
+notificationPreferenceSchema.statics.getChannel = async function (userId, type) {
+    const preferences = await this.findOne({ user: userId }).select('channels').lean();
+    return preferences?.channels?.[type] || NOTIFICATION_TYPES[type]?.default || 'in_app';
+};
+
+// Static method to save channel choices, ignoring unknown types and channels
+notificationPreferenceSchema.statics.updateChannels = function (userId, channels = {}) {
+    const updates = {};
+    Object.entries(channels).forEach(([type, channel]) => {
+        if (NOTIFICATION_TYPES[type] && CHANNELS.includes(channel)) {
+            updates[`channels.${type}`] = channel;
+        }
+    });
+
+    return this.findOneAndUpdate({ user: userId }, { $set: updates }, { upsert: true, new: true });
+};
+
+// Static method to set how often the activity digest is sent
+notificationPreferenceSchema.statics.updateDigestFrequency = function (userId, digestFrequency) {
+    if (!DIGEST_FREQUENCIES.includes(digestFrequency)) {
+        throw new Error(`Invalid digest frequency: ${digestFrequency}`);
+    }
+
+    return this.findOneAndUpdate(
+        { user: userId },
+        { $set: { digestFrequency } },
+        { upsert: true, new: true }
+    );
+};
+
+notificationPreferenceSchema.statics.CHANNELS = CHANNELS;
+notificationPreferenceSchema.statics.DIGEST_FREQUENCIES = DIGEST_FREQUENCIES;
+notificationPreferenceSchema.statics.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+
+// Ensure virtual fields are serialized
+notificationPreferenceSchema.set('toJSON', {
+    virtuals: true,
+});
+
+module.exports =
+    mongoose.models.NotificationPreference ||
+    mongoose.model('NotificationPreference', notificationPreferenceSchema);
@@ -9,6 +9,13 @@ const onboardingSchema = new mongoose.Schema(
             unique: true,
             index: true,
         },
+        // Brand data is shared across the organization
+        organization: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Organization',
+            default: null,
+            index: true,
+        },
 
         // Business Information (Optional)
         businessDescription: {
@@ -284,8 +291,17 @@ onboardingSchema.methods.updatePlatforms = function (platforms) {
     this.lastUpdated = new Date();
 };
 
-// Static method to get onboarding by user ID
-onboardingSchema.statics.findByUserId = function (userId) {
+// Static method to get onboarding by user ID.
+// Members of an organization get the organization's brand data.
+onboardingSchema.statics.findByUserId = async function (userId) {
+    const User = mongoose.model('User');
+    const user = await User.findById(userId).select('organization');
+
+    if (user?.organization) {
+        const shared = await this.findOne({ organization: user.organization });
+        if (shared) return shared;
+    }
+
     return this.findOne({ user: userId });
 };
 
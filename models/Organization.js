@@ -0,0 +1,204 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const ROLES = ['owner', 'member', 'viewer'];
+const INVITATION_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const organizationSchema = new mongoose.Schema(
+    {
+        // Organization Details
+        name: {
+            type: String,
+            required: true,
+            trim: true,
+            maxlength: 100,
+        },
+
+        // Members
+        members: [
+            {
+                user: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: 'User',
+                    required: true,
+                },
+                role: {
+                    type: String,
+                    enum: ROLES,
+                    default: 'member',
+                },
+                joinedAt: {
+                    type: Date,
+                    default: Date.now,
+                },
+            },
+        ],
+
+        // Pending Invitations
+        invitations: [
+            {
+                email: {
+                    type: String,
+                    required: true,
+                    lowercase: true,
+                    trim: true,
+                },
+                role: {
+                    type: String,
+                    enum: ROLES,
+                    default: 'member',
+                },
+                token: {
+                    type: String,
+                    required: true,
+                },
+                invitedBy: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: 'User',
+                },
+                expiresAt: {
+                    type: Date,
+                    required: true,
+                },
+                createdAt: {
+                    type: Date,
+                    default: Date.now,
+                },
+            },
+        ],
+
+        // Timestamps
+        createdAt: {
+            type: Date,
+            default: Date.now,
+        },
+        updatedAt: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Indexes for performance
+organizationSchema.index({ 'members.user': 1 });
+organizationSchema.index({ 'invitations.token': 1 });
+
+// Virtual for owner count, so the last owner can't be removed
+organizationSchema.virtual('ownerCount').get(function () {
+    return this.members.filter((member) => member.role === 'owner').length;
+});
+
+// Method to get a user's role in the organization, or null if not a member
+organizationSchema.methods.getRole = function (userId) {
+    const member = this.members.find((m) => m.user.toString() === userId.toString());
+    return member ? member.role : null;
+};
+
+// Method to invite someone by email; replaces any earlier invitation to the same address.
+// Returns the plain token for the invitation link.
+organizationSchema.methods.createInvitation = function (email, role, invitedBy) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const normalizedEmail = email.toLowerCase().trim();
+
+    this.invitations = this.invitations.filter((invite) => invite.email !== normalizedEmail);
+    this.invitations.push({
+        email: normalizedEmail,
+        role,
+        token: hashToken(token),
+        invitedBy,
+        expiresAt: new Date(Date.now() + INVITATION_TTL),
+    });
+
+    return token;
+};
+
+// Method to get the unexpired invitation matching a plain token
+organizationSchema.methods.getInvitation = function (token) {
+    const hashed = hashToken(token);
+    return this.invitations.find(
+        (invite) => invite.token === hashed && invite.expiresAt > new Date()
+    );
+};
+
+// Method to add a user and consume their invitation
+organizationSchema.methods.addMember = function (userId, role, invitation = null) {
+    this.members.push({ user: userId, role });
+    if (invitation) {
+        this.invitations.pull(invitation._id);
+    }
+};
+
+// Method to remove a member
+organizationSchema.methods.removeMember = function (userId) {
+    this.members = this.members.filter((m) => m.user.toString() !== userId.toString());
+};
+
+// Static method to find the organization holding an unexpired invitation token
+organizationSchema.statics.findByInvitationToken = function (token) {
+    return this.findOne({
+        invitations: {
+            $elemMatch: { token: hashToken(token), expiresAt: { $gt: new Date() } },
+        },
+    });
+};
+
+// Static method to get a user's organization, creating a personal one on first use.
+// The new organization takes over the records the user owned before teams existed.
+organizationSchema.statics.findOrCreateForUser = async function (user) {
+    if (user.organization) {
+        const organization = await this.findById(user.organization);
+        if (organization) return organization;
+    }
+
+    const organization = await this.create({
+        name: user.companyName || user.displayName,
+        members: [{ user: user._id, role: 'owner' }],
+    });
+
+    // A parallel request may have created one first; keep whichever was linked
+    const User = mongoose.model('User');
+    const linked = await User.updateOne(
+        { _id: user._id, organization: user.organization || null },
+        { $set: { organization: organization._id } }
+    );
+    if (linked.modifiedCount === 0) {
+        await organization.deleteOne();
+        const current = await User.findById(user._id).select('organization');
+        return this.findById(current.organization);
+    }
+    user.organization = organization._id;
+
+    const Subscription = mongoose.model('Subscription');
+    const Onboarding = mongoose.model('Onboarding');
+    const DesignRequest = mongoose.model('DesignRequest');
+    const Invoice = mongoose.model('Invoice');
+    const adopt = { $set: { organization: organization._id } };
+
+    await Promise.all([
+        Subscription.updateMany({ user: user._id, organization: null }, adopt),
+        Onboarding.updateOne({ user: user._id, organization: null }, adopt),
+        DesignRequest.updateMany({ client: user._id, organization: null }, adopt),
+        Invoice.updateMany({ user: user._id, organization: null }, adopt),
+    ]);
+
+    return organization;
+};
+
+organizationSchema.statics.ROLES = ROLES;
+
+// Ensure virtual fields are serialized
+organizationSchema.set('toJSON', {
+    virtuals: true,
+    transform: function (doc, ret) {
+        (ret.invitations || []).forEach((invite) => delete invite.token);
+        delete ret.__v;
+        return ret;
+    },
+});
+
+module.exports = mongoose.models.Organization || mongoose.model('Organization', organizationSchema);
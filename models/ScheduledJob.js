@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+
+const scheduledJobSchema = new mongoose.Schema(
+    {
+        // Job Identification
+        name: {
+            type: String,
+            required: true,
+            unique: true,
+            index: true,
+        },
+        intervalMs: {
+            type: Number,
+            required: true,
+            min: 1000,
+        },
+        isEnabled: {
+            type: Boolean,
+            default: true,
+        },
+
+        // Scheduling
+        nextRunAt: {
+            type: Date,
+            default: Date.now,
+            index: true,
+        },
+        lastRunAt: {
+            type: Date,
+            default: null,
+        },
+        lastFinishedAt: {
+            type: Date,
+            default: null,
+        },
+        lastStatus: {
+            type: String,
+            enum: ['success', 'failed', null],
+            default: null,
+        },
+        lastError: {
+            type: String,
+            default: null,
+        },
+        lastDurationMs: {
+            type: Number,
+            default: null,
+        },
+        lastResult: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null,
+        },
+        runCount: {
+            type: Number,
+            default: 0,
+        },
+        failCount: {
+            type: Number,
+            default: 0,
+        },
+
+        // Locking (one instance runs a job at a time)
+        lockedBy: {
+            type: String,
+            default: null,
+        },
+        lockedUntil: {
+            type: Date,
+            default: null,
+        },
+
+        // Timestamps
+        createdAt: {
+            type: Date,
+            default: Date.now,
+        },
+        updatedAt: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Virtual to check if job is currently locked
+scheduledJobSchema.virtual('isLocked').get(function () {
+    return !!this.lockedUntil && this.lockedUntil > new Date();
+});
+
+// Static method to register a job, keeping existing schedule state
+scheduledJobSchema.statics.register = function (name, intervalMs) {
+    return this.findOneAndUpdate(
+        { name },
+        {
+            $set: { intervalMs },
+            $setOnInsert: { name, nextRunAt: new Date() },
+        },
+        { upsert: true, new: true }
+    );
+};
+
+// Static method to take the lock on a due job.
+// Returns null if the job isn't due or another instance holds the lock.
+scheduledJobSchema.statics.acquire = function (name, instanceId, lockMs) {
+    const now = new Date();
+
+    return this.findOneAndUpdate(
+        {
+            name,
+            isEnabled: true,
+            nextRunAt: { $lte: now },
+            $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+        },
+        {
+            $set: {
+                lockedBy: instanceId,
+                lockedUntil: new Date(now.getTime() + lockMs),
+                lastRunAt: now,
+            },
+        },
+        { new: true }
+    );
+};
+
+// Method to record the run outcome and release the lock.
+// Guarded on lockedBy so a run that overstayed its lock can't clobber the next holder.
+scheduledJobSchema.methods.release = function ({ error = null, result = null } = {}) {
+    const now = new Date();
+
+    return this.constructor.updateOne(
+        { _id: this._id, lockedBy: this.lockedBy },
+        {
+            $set: {
+                lastFinishedAt: now,
+                lastDurationMs: now - this.lastRunAt,
+                lastStatus: error ? 'failed' : 'success',
+                lastError: error ? error.message || String(error) : null,
+                lastResult: error ? null : result,
+                nextRunAt: new Date(now.getTime() + this.intervalMs),
+                lockedBy: null,
+                lockedUntil: null,
+            },
+            $inc: {
+                runCount: 1,
+                failCount: error ? 1 : 0,
+            },
+        }
+    );
+};
+
+// Ensure virtual fields are serialized
+scheduledJobSchema.set('toJSON', {
+    virtuals: true,
+});
+
+module.exports = mongoose.models.ScheduledJob || mongoose.model('ScheduledJob', scheduledJobSchema);
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+// A claim older than this is assumed dead and can be taken again
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+const stripeEventSchema = new mongoose.Schema(
+    {
+        // Stripe Event
+        eventId: {
+            type: String,
+            required: true,
+            unique: true,
+            index: true,
+        },
+        type: {
+            type: String,
+            required: true,
+        },
+
+        // Processing Status
+        status: {
+            type: String,
+            enum: ['processing', 'processed', 'failed', 'ignored'],
+            default: 'processing',
+            index: true,
+        },
+        attempts: {
+            type: Number,
+            default: 1,
+            min: 1,
+        },
+        error: {
+            type: String,
+            default: null,
+        },
+        processedAt: {
+            type: Date,
+            default: null,
+        },
+
+        // Timestamps
+        createdAt: {
+            type: Date,
+            default: Date.now,
+            // Stripe stops retrying after a few days; keep a month for auditing
+            expires: 60 * 60 * 24 * 30,
+        },
+        updatedAt: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Static method to claim an event for processing.
+// Returns null if the event was already handled (or is being handled right now).
+stripeEventSchema.statics.begin = async function (event) {
+    try {
+        return await this.create({ eventId: event.id, type: event.type });
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+
+        // Failed events are retried, and so are claims abandoned by a crash or timeout
+        return await this.findOneAndUpdate(
+            {
+                eventId: event.id,
+                $or: [
+                    { status: 'failed' },
+                    {
+                        status: 'processing',
+                        updatedAt: { $lt: new Date(Date.now() - PROCESSING_TIMEOUT_MS) },
+                    },
+                ],
+            },
+            { $set: { status: 'processing', error: null }, $inc: { attempts: 1 } },
+            { new: true }
+        );
+    }
+};
+
+// Method to mark event as processed
+stripeEventSchema.methods.complete = async function (status = 'processed') {
+    this.status = status;
+    this.processedAt = new Date();
+    await this.save();
+};
+
+// Method to mark event as failed
+stripeEventSchema.methods.fail = async function (error) {
+    this.status = 'failed';
+    this.error = error?.message || String(error);
+    await this.save();
+};
+
+module.exports = mongoose.models.StripeEvent || mongoose.model('StripeEvent', stripeEventSchema);
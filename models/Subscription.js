@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+// How long a reservation's request has to be saved before reconciliation counts it as missing
+const RESERVATION_GRACE_MS = 10 * 60 * 1000;
+
 const subscriptionSchema = new mongoose.Schema(
     {
         user: {
@@ -8,6 +11,13 @@ const subscriptionSchema = new mongoose.Schema(
             required: true,
             index: true,
         },
+        // Shared by every member of the organization, including usage limits
+        organization: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Organization',
+            default: null,
+            index: true,
+        },
         tier: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'SubscriptionTier',
@@ -56,6 +66,11 @@ const subscriptionSchema = new mongoose.Schema(
                 type: Date,
                 default: Date.now,
             },
+            // Last slot reservation; its request may not be saved yet
+            lastReservedAt: {
+                type: Date,
+                default: null,
+            },
         },
 
         // Dates
@@ -116,6 +131,7 @@ const subscriptionSchema = new mongoose.Schema(
             type: String,
             index: true,
         },
+        stripeSubscriptionItemId: String,
         stripePaymentMethodId: String,
 
         // Payment History
@@ -208,51 +224,95 @@ subscriptionSchema.methods.calculateNextBillingDate = function () {
     return currentEnd;
 };
 
-// Method to reset monthly usage
+// Method to reset monthly usage.
+// Guarded on lastResetDate so two callers can't both reset and wipe a reservation in between.
 subscriptionSchema.methods.resetMonthlyUsage = async function () {
     const now = new Date();
     const lastReset = new Date(this.usage.lastResetDate);
 
     // Check if a month has passed since last reset
     if (now.getMonth() !== lastReset.getMonth() || now.getFullYear() !== lastReset.getFullYear()) {
-        this.usage.designsUsedThisMonth = 0;
-        this.usage.lastResetDate = now;
-        await this.save();
-        return true;
+        const result = await this.constructor.updateOne(
+            { _id: this._id, 'usage.lastResetDate': this.usage.lastResetDate },
+            { $set: { 'usage.designsUsedThisMonth': 0, 'usage.lastResetDate': now } }
+        );
+        return result.modifiedCount > 0;
     }
 
     return false;
 };
 
-// Method to increment design usage
-subscriptionSchema.methods.incrementDesignUsage = async function () {
-    // First check if we need to reset monthly usage
+// Method to reserve one monthly design and one active design slot.
+// The limits are part of the update filter, so concurrent requests can't both take the last slot.
+subscriptionSchema.methods.reserveDesignSlot = async function () {
     await this.resetMonthlyUsage();
-
-    // Check if limit reached
     await this.populate('tier');
-    if (this.usage.designsUsedThisMonth >= this.tier.features.designsPerMonth) {
-        throw new Error('Monthly design limit reached');
+    const { designsPerMonth, simultaneousDesigns } = this.tier.features;
+
+    const updated = await this.constructor
+        .findOneAndUpdate(
+            {
+                _id: this._id,
+                'usage.designsUsedThisMonth': { $lt: designsPerMonth },
+                'usage.activeDesignRequests': { $lt: simultaneousDesigns },
+            },
+            {
+                $inc: { 'usage.designsUsedThisMonth': 1, 'usage.activeDesignRequests': 1 },
+                $set: { 'usage.lastReservedAt': new Date() },
+            },
+            { new: true, projection: { usage: 1 } }
+        )
+        .lean();
+
+    if (!updated) {
+        const { usage } = await this.constructor.findById(this._id).select('usage').lean();
+        const monthly = usage.designsUsedThisMonth >= designsPerMonth;
+
+        const error = new Error(
+            monthly ? 'Monthly design limit reached' : 'Simultaneous design limit reached'
+        );
+        error.name = 'UsageLimitError';
+        error.limit = monthly ? 'monthly' : 'simultaneous';
+        throw error;
     }
 
-    this.usage.designsUsedThisMonth += 1;
-    await this.save();
-
-    return this.usage.designsUsedThisMonth;
+    return updated.usage;
 };
 
-// Method to update active design count
-subscriptionSchema.methods.updateActiveDesigns = async function (count) {
-    await this.populate('tier');
+// Method to recount active designs from the requests that hold a slot.
+// Skips the write if the count moved since this document was read, or if a reservation is
+// recent enough that its request may still be saving; the next run catches up.
+subscriptionSchema.methods.reconcileActiveDesigns = async function () {
+    const DesignRequest = mongoose.model('DesignRequest');
+    const recorded = this.usage.activeDesignRequests;
+    const settledBefore = new Date(Date.now() - RESERVATION_GRACE_MS);
 
-    if (count > this.tier.features.simultaneousDesigns) {
-        throw new Error('Simultaneous design limit exceeded');
+    if (this.usage.lastReservedAt > settledBefore) {
+        return { recorded, actual: null, fixed: false };
     }
 
-    this.usage.activeDesignRequests = count;
-    await this.save();
+    const actual = await DesignRequest.countDocuments({
+        subscription: this._id,
+        status: { $in: DesignRequest.ACTIVE_STATUSES },
+    });
+
+    if (actual === recorded) {
+        return { recorded, actual, fixed: false };
+    }
+
+    const result = await this.constructor.updateOne(
+        {
+            _id: this._id,
+            'usage.activeDesignRequests': recorded,
+            $or: [
+                { 'usage.lastReservedAt': null },
+                { 'usage.lastReservedAt': { $lte: settledBefore } },
+            ],
+        },
+        { $set: { 'usage.activeDesignRequests': actual } }
+    );
 
-    return this.usage.activeDesignRequests;
+    return { recorded, actual, fixed: result.modifiedCount > 0 };
 };
 
 // Method to cancel subscription
@@ -289,10 +349,39 @@ subscriptionSchema.methods.resume = async function () {
     return this;
 };
 
-// Static method to find active subscription for user
-subscriptionSchema.statics.findActiveByUser = function (userId) {
+// Static method to give back a reservation whose request was never created
+// Each counter is floored at zero on its own, since a monthly reset may have cleared one already.
+subscriptionSchema.statics.releaseDesignSlot = function (subscriptionId) {
+    const decrement = (field) => ({ $max: [{ $subtract: [`$${field}`, 1] }, 0] });
+
+    return this.updateOne({ _id: subscriptionId }, [
+        {
+            $set: {
+                'usage.designsUsedThisMonth': decrement('usage.designsUsedThisMonth'),
+                'usage.activeDesignRequests': decrement('usage.activeDesignRequests'),
+            },
+        },
+    ]);
+};
+
+// Static method to move the active design count, never below zero
+subscriptionSchema.statics.adjustActiveDesigns = function (subscriptionId, delta) {
+    const filter = { _id: subscriptionId };
+    if (delta < 0) {
+        filter['usage.activeDesignRequests'] = { $gte: -delta };
+    }
+
+    return this.updateOne(filter, { $inc: { 'usage.activeDesignRequests': delta } });
+};
+
+// Static method to find active subscription for user.
+// Members of an organization share its subscription.
+subscriptionSchema.statics.findActiveByUser = async function (userId) {
+    const User = mongoose.model('User');
+    const user = await User.findById(userId).select('organization');
+
     return this.findOne({
-        user: userId,
+        ...(user?.organization ? { organization: user.organization } : { user: userId }),
         status: { $in: ['active', 'trialing'] },
     }).populate('tier');
 };
@@ -311,6 +400,11 @@ subscriptionSchema.statics.findExpiringSoon = function (daysAhead = 7) {
     }).populate('user tier');
 };
 
+// Static method to find by Stripe subscription ID
+subscriptionSchema.statics.findByStripeId = function (stripeSubscriptionId) {
+    return this.findOne({ stripeSubscriptionId }).populate('tier');
+};
+
 // Static method to find past due subscriptions
 subscriptionSchema.statics.findPastDue = function () {
     return this.find({
@@ -318,6 +412,60 @@ subscriptionSchema.statics.findPastDue = function () {
     }).populate('user tier');
 };
 
+// Static method to get monthly recurring revenue from active subscriptions
+subscriptionSchema.statics.getMRR = async function (filter = {}) {
+    const result = await this.aggregate([
+        {
+            $match: {
+                ...filter,
+                status: { $in: ['active', 'past_due'] },
+            },
+        },
+        {
+            $group: {
+                _id: null,
+                mrr: {
+                    $sum: {
+                        $cond: [
+                            { $eq: ['$billingPeriod', 'quarterly'] },
+                            { $divide: ['$amount', 3] },
+                            '$amount',
+                        ],
+                    },
+                },
+                activeCount: { $sum: 1 },
+            },
+        },
+    ]);
+
+    return {
+        mrr: Math.round((result[0]?.mrr || 0) * 100) / 100,
+        activeCount: result[0]?.activeCount || 0,
+    };
+};
+
+// Static method to get churn for a date range.
+// Churn rate = subscriptions canceled in the range / subscriptions live at its start.
+subscriptionSchema.statics.getChurnStats = async function (startDate, endDate, filter = {}) {
+    const [activeAtStart, churned] = await Promise.all([
+        this.countDocuments({
+            ...filter,
+            startDate: { $lt: startDate },
+            $or: [{ canceledAt: null }, { canceledAt: { $gte: startDate } }],
+        }),
+        this.countDocuments({
+            ...filter,
+            canceledAt: { $gte: startDate, $lte: endDate },
+        }),
+    ]);
+
+    return {
+        activeAtStart,
+        churned,
+        churnRate: activeAtStart ? Math.round((churned / activeAtStart) * 10000) / 100 : 0,
+    };
+};
+
 // Pre-save middleware to update nextBillingDate
 subscriptionSchema.pre('save', function (next) {
     if (this.isModified('currentPeriodEnd')) {
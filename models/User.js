@@ -1,5 +1,11 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { authenticator } = require('otplib');
+
+// Accept the previous and next 30s code too, to allow for clock drift
+const totp = authenticator.clone({ window: 1 });
+const RECOVERY_CODE_COUNT = 10;
 
 const userSchema = new mongoose.Schema(
     {
@@ -37,11 +43,46 @@ const userSchema = new mongoose.Schema(
         },
         emailVerificationToken: String,
         emailVerificationExpires: Date,
+        // New address waiting for confirmation; the current email stays in use until then
+        pendingEmail: {
+            type: String,
+            lowercase: true,
+            trim: true,
+        },
 
         // Password Reset
         passwordResetToken: String,
         passwordResetExpires: Date,
 
+        // Two-Factor Authentication
+        twoFactorEnabled: {
+            type: Boolean,
+            default: false,
+        },
+        twoFactorSecret: {
+            type: String,
+            select: false,
+        },
+        // Secret being enrolled; it only replaces twoFactorSecret once a code from it is confirmed
+        twoFactorPendingSecret: {
+            type: String,
+            select: false,
+        },
+        // Time step of the last accepted authenticator code; a code can't be used twice
+        twoFactorLastTimeStep: {
+            type: Number,
+            select: false,
+        },
+        // scrypt hashes of the unused recovery codes, all with twoFactorRecoverySalt
+        twoFactorRecoveryCodes: {
+            type: [String],
+            select: false,
+        },
+        twoFactorRecoverySalt: {
+            type: String,
+            select: false,
+        },
+
         // Onboarding Status
         onboardingCompleted: {
             type: Boolean,
@@ -73,6 +114,14 @@ const userSchema = new mongoose.Schema(
             default: null,
         },
 
+        // Team the user files requests under; created on first use
+        organization: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Organization',
+            default: null,
+            index: true,
+        },
+
         // Subscription Reference
         currentSubscription: {
             type: mongoose.Schema.Types.ObjectId,
@@ -148,8 +197,10 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
     }
 };
 
-// Method to generate email verification token
-userSchema.methods.generateEmailVerificationToken = function () {
+// Method to generate email verification token.
+// Pass a new address to confirm an email change; a token only ever confirms one address.
+userSchema.methods.generateEmailVerificationToken = function (newEmail = null) {
+    this.pendingEmail = newEmail ? newEmail.toLowerCase().trim() : undefined;
     const token = require('crypto').randomBytes(32).toString('hex');
     this.emailVerificationToken = require('crypto')
         .createHash('sha256')
@@ -159,6 +210,17 @@ userSchema.methods.generateEmailVerificationToken = function () {
     return token;
 };
 
+// Method to apply a verified token: confirms the current address or switches to the pending one
+userSchema.methods.confirmEmail = function () {
+    if (this.pendingEmail) {
+        this.email = this.pendingEmail;
+        this.pendingEmail = undefined;
+    }
+    this.isEmailVerified = true;
+    this.emailVerificationToken = undefined;
+    this.emailVerificationExpires = undefined;
+};
+
 // Method to generate password reset token
 userSchema.methods.generatePasswordResetToken = function () {
     const token = require('crypto').randomBytes(32).toString('hex');
@@ -167,6 +229,98 @@ userSchema.methods.generatePasswordResetToken = function () {
     return token;
 };
 
+// Method to start two-factor enrollment; returns the otpauth URI for the authenticator app
+userSchema.methods.startTwoFactorSetup = function () {
+    this.twoFactorPendingSecret = totp.generateSecret();
+    return totp.keyuri(this.email, 'CanvasCue', this.twoFactorPendingSecret);
+};
+
+// Method to finish enrollment once the user proves their app produces valid codes
+userSchema.methods.confirmTwoFactorSetup = function (code) {
+    const timeStep = this.twoFactorPendingSecret
+        ? matchTimeStep(normalizeCode(code), this.twoFactorPendingSecret)
+        : null;
+    if (timeStep === null) return false;
+
+    this.twoFactorSecret = this.twoFactorPendingSecret;
+    this.twoFactorPendingSecret = undefined;
+    this.twoFactorEnabled = true;
+    // The enrollment code can't then be replayed to log in
+    this.twoFactorLastTimeStep = timeStep;
+    return true;
+};
+
+// Method to turn two-factor authentication off
+userSchema.methods.disableTwoFactor = function () {
+    this.twoFactorEnabled = false;
+    this.twoFactorSecret = undefined;
+    this.twoFactorPendingSecret = undefined;
+    this.twoFactorLastTimeStep = undefined;
+    this.twoFactorRecoveryCodes = [];
+    this.twoFactorRecoverySalt = undefined;
+};
+
+// Method to replace the recovery codes; returns the plain codes, which are only shown once
+userSchema.methods.generateRecoveryCodes = function () {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+
+    this.twoFactorRecoverySalt = crypto.randomBytes(16).toString('hex');
+    this.twoFactorRecoveryCodes = codes.map((code) =>
+        hashRecoveryCode(code, this.twoFactorRecoverySalt)
+    );
+    return codes;
+};
+
+// Method to check a login code: an authenticator code, or a recovery code which is used up.
+// Returns 'totp', 'recovery' or null. Needs twoFactorSecret, twoFactorLastTimeStep,
+// twoFactorRecoveryCodes and twoFactorRecoverySalt selected. Used codes are stored straight away.
+userSchema.methods.verifyTwoFactorCode = async function (code) {
+    const candidate = normalizeCode(code);
+    if (!this.twoFactorEnabled || !candidate) return null;
+
+    if (/^\d{6}$/.test(candidate)) {
+        const timeStep = matchTimeStep(candidate, this.twoFactorSecret);
+        if (timeStep === null) return null;
+
+        // Claim the step in one update so concurrent logins can't both use the code.
+        // Rejects a code seen before, or one older than the last accepted code.
+        const claimed = await this.constructor.updateOne(
+            {
+                _id: this._id,
+                $or: [
+                    { twoFactorLastTimeStep: null },
+                    { twoFactorLastTimeStep: { $lt: timeStep } },
+                ],
+            },
+            { $set: { twoFactorLastTimeStep: timeStep } }
+        );
+        if (claimed.modifiedCount === 0) return null;
+
+        // Already stored; a later save() mustn't write it back over a newer step
+        this.twoFactorLastTimeStep = timeStep;
+        this.unmarkModified('twoFactorLastTimeStep');
+        return 'totp';
+    }
+
+    const hashed = hashRecoveryCode(candidate, this.twoFactorRecoverySalt);
+    const index = (this.twoFactorRecoveryCodes || []).indexOf(hashed);
+    if (index === -1) return null;
+
+    // Same for recovery codes: only the request that removes the code may use it
+    const used = await this.constructor.updateOne(
+        { _id: this._id, twoFactorRecoveryCodes: hashed },
+        { $pull: { twoFactorRecoveryCodes: hashed } }
+    );
+    if (used.modifiedCount === 0) return null;
+
+    this.twoFactorRecoveryCodes.splice(index, 1);
+    this.unmarkModified('twoFactorRecoveryCodes');
+    return 'recovery';
+};
+
 // Method to check if user has active subscription
 userSchema.methods.hasActiveSubscription = async function () {
     if (!this.currentSubscription) return false;
@@ -192,6 +346,41 @@ userSchema.statics.findByEmail = function (email) {
     });
 };
 
+// Static method to find user by an unexpired email verification token
+userSchema.statics.findByVerificationToken = function (token) {
+    const hashedToken = require('crypto').createHash('sha256').update(token).digest('hex');
+
+    return this.findOne({
+        emailVerificationToken: hashedToken,
+        emailVerificationExpires: { $gt: Date.now() },
+    });
+};
+
+// Strip spaces users copy along with codes; recovery codes are case-insensitive
+function normalizeCode(code) {
+    return String(code || '')
+        .replace(/\s+/g, '')
+        .toLowerCase();
+}
+
+// Time step (30s counter) the code was generated for, or null if it isn't valid now
+function matchTimeStep(code, secret) {
+    const delta = totp.checkDelta(code, secret);
+    if (delta === null) return null;
+
+    return Math.floor(Date.now() / 1000 / totp.allOptions().step) + delta;
+}
+
+// Codes only carry 40 bits, so use a slow salted hash to make a leaked list costly to crack.
+// Codes generated before salts were added are plain SHA-256 until the user regenerates them.
+function hashRecoveryCode(code, salt) {
+    const value = normalizeCode(code).replace(/-/g, '');
+    if (!salt) {
+        return crypto.createHash('sha256').update(value).digest('hex');
+    }
+    return crypto.scryptSync(value, salt, 32).toString('hex');
+}
+
 // Ensure virtual fields are serialized
 userSchema.set('toJSON', {
     virtuals: true,
@@ -199,6 +388,11 @@ userSchema.set('toJSON', {
         delete ret.password;
         delete ret.emailVerificationToken;
         delete ret.passwordResetToken;
+        delete ret.twoFactorSecret;
+        delete ret.twoFactorPendingSecret;
+        delete ret.twoFactorRecoveryCodes;
+        delete ret.twoFactorRecoverySalt;
+        delete ret.twoFactorLastTimeStep;
         delete ret.__v;
         return ret;
     },
@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+
+// Matches the rolling session cookie lifetime in sessionMiddleware
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Browsers and platforms in match order; Edge and Opera also claim Chrome, Chrome claims Safari
+const BROWSERS = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Firefox', /Firefox\//],
+    ['Chrome', /Chrome\//],
+    ['Safari', /Safari\//],
+];
+const PLATFORMS = [
+    ['iOS', /iPhone|iPad/],
+    ['Android', /Android/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/],
+];
+
+const userSessionSchema = new mongoose.Schema(
+    {
+        // References
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            index: true,
+        },
+        // express-session id; the session data itself lives in the sessions collection
+        sessionId: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+
+        // Device
+        userAgent: {
+            type: String,
+            default: '',
+        },
+        ip: {
+            type: String,
+            default: null,
+        },
+
+        // Activity
+        lastSeenAt: {
+            type: Date,
+            default: Date.now,
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+            expires: 0,
+        },
+
+        // Timestamps
+        createdAt: {
+            type: Date,
+            default: Date.now,
+        },
+        updatedAt: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Virtual for a readable device name, e.g. "Chrome on macOS"
+userSessionSchema.virtual('device').get(function () {
+    const ua = this.userAgent || '';
+    const browser = BROWSERS.find(([, pattern]) => pattern.test(ua));
+    const platform = PLATFORMS.find(([, pattern]) => pattern.test(ua));
+
+    if (!browser && !platform) return 'Unknown device';
+    if (!platform) return browser[0];
+    if (!browser) return platform[0];
+    return `${browser[0]} on ${platform[0]}`;
+});
+
+// Static method to record or refresh the session on the current request
+userSessionSchema.statics.track = function (req, userId) {
+    const now = new Date();
+
+    return this.updateOne(
+        { sessionId: req.sessionID },
+        {
+            $set: {
+                user: userId,
+                userAgent: req.get('User-Agent') || '',
+                ip: req.ip,
+                lastSeenAt: now,
+                expiresAt: new Date(now.getTime() + SESSION_TTL_MS),
+            },
+        },
+        { upsert: true }
+    );
+};
+
+// Static method to get a user's active sessions, most recently used first
+userSessionSchema.statics.findActiveByUser = function (userId) {
+    return this.find({ user: userId, expiresAt: { $gt: new Date() } }).sort('-lastSeenAt');
+};
+
+// Static method to sign out sessions matching the filter.
+// Destroys them in the session store so the cookies stop working, then drops the records.
+userSessionSchema.statics.revoke = async function (sessionStore, filter) {
+    const sessions = await this.find(filter).select('sessionId');
+
+    await Promise.all(
+        sessions.map(
+            (session) =>
+                new Promise((resolve, reject) => {
+                    sessionStore.destroy(session.sessionId, (error) =>
+                        error ? reject(error) : resolve()
+                    );
+                })
+        )
+    );
+    await this.deleteMany({ _id: { $in: sessions.map((session) => session._id) } });
+
+    return sessions.length;
+};
+
+// Static method to sign out every session of a user except the given one
+userSessionSchema.statics.revokeOthers = function (sessionStore, userId, currentSessionId) {
+    return this.revoke(sessionStore, { user: userId, sessionId: { $ne: currentSessionId } });
+};
+
+// Ensure virtual fields are serialized
+userSessionSchema.set('toJSON', {
+    virtuals: true,
+    transform: function (doc, ret) {
+        delete ret.sessionId;
+        delete ret.__v;
+        return ret;
+    },
+});
+
+module.exports = mongoose.models.UserSession || mongoose.model('UserSession', userSessionSchema);
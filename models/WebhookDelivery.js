@@ -0,0 +1,191 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Wait before each retry; a delivery fails for good once these run out
+const RETRY_DELAYS_MS = [
+    60 * 1000, // 1 minute
+    5 * 60 * 1000, // 5 minutes
+    30 * 60 * 1000, // 30 minutes
+    2 * 60 * 60 * 1000, // 2 hours
+    6 * 60 * 60 * 1000, // 6 hours
+    12 * 60 * 60 * 1000, // 12 hours
+];
+const MAX_ATTEMPTS = RETRY_DELAYS_MS.length + 1;
+
+// How long a claimed delivery is held before another worker may pick it up
+const CLAIM_MS = 2 * 60 * 1000;
+
+// Keep the delivery log for 30 days
+const LOG_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+const webhookDeliverySchema = new mongoose.Schema(
+    {
+        // References
+        endpoint: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'WebhookEndpoint',
+            required: true,
+            index: true,
+        },
+        organization: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Organization',
+            required: true,
+            index: true,
+        },
+
+        // Event
+        event: {
+            type: String,
+            required: true,
+        },
+        // Shared by every delivery of the same event, so receivers can dedupe
+        eventId: {
+            type: String,
+            required: true,
+        },
+        payload: {
+            type: mongoose.Schema.Types.Mixed,
+            required: true,
+        },
+
+        // Delivery Status
+        status: {
+            type: String,
+            enum: ['pending', 'succeeded', 'failed'],
+            default: 'pending',
+        },
+        attempts: {
+            type: Number,
+            default: 0,
+            min: 0,
+        },
+        nextAttemptAt: {
+            type: Date,
+            default: Date.now,
+        },
+        lastAttemptAt: {
+            type: Date,
+            default: null,
+        },
+
+        // Last Response
+        responseStatus: {
+            type: Number,
+            default: null,
+        },
+        error: {
+            type: String,
+            default: null,
+        },
+        durationMs: {
+            type: Number,
+            default: null,
+        },
+
+        // Timestamps
+        createdAt: {
+            type: Date,
+            default: Date.now,
+            expires: LOG_TTL_SECONDS,
+        },
+        updatedAt: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Indexes for performance
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ organization: 1, createdAt: -1 });
+
+// Static method to queue an event for each endpoint
+webhookDeliverySchema.statics.enqueue = function (endpoints, event, payload) {
+    const eventId = payload.id || `evt_${crypto.randomBytes(12).toString('hex')}`;
+
+    return this.insertMany(
+        endpoints.map((endpoint) => ({
+            endpoint: endpoint._id,
+            organization: endpoint.organization,
+            event,
+            eventId,
+            payload: { ...payload, id: eventId },
+        }))
+    );
+};
+
+// Static method to claim a due delivery so only one worker sends it.
+// Claiming pushes nextAttemptAt forward, which frees it again if the worker dies.
+webhookDeliverySchema.statics.claim = function (filter = {}) {
+    const now = new Date();
+
+    return this.findOneAndUpdate(
+        { ...filter, status: 'pending', nextAttemptAt: { $lte: now } },
+        { $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_MS) } },
+        { new: true, sort: { nextAttemptAt: 1 } }
+    );
+};
+
+// Static method to queue a fresh copy of a delivery, keeping the old one in the log
+webhookDeliverySchema.statics.redeliver = function (delivery) {
+    return this.create({
+        endpoint: delivery.endpoint,
+        organization: delivery.organization,
+        event: delivery.event,
+        eventId: delivery.eventId,
+        payload: delivery.payload,
+    });
+};
+
+// Method to record the outcome of a send and schedule a retry if needed
+webhookDeliverySchema.methods.recordAttempt = async function ({
+    ok,
+    responseStatus = null,
+    error = null,
+    durationMs = null,
+}) {
+    this.attempts += 1;
+    this.lastAttemptAt = new Date();
+    this.responseStatus = responseStatus;
+    this.error = error;
+    this.durationMs = durationMs;
+
+    if (ok) {
+        this.status = 'succeeded';
+    } else if (this.attempts >= MAX_ATTEMPTS) {
+        this.status = 'failed';
+    } else {
+        this.nextAttemptAt = new Date(Date.now() + RETRY_DELAYS_MS[this.attempts - 1]);
+    }
+
+    await this.save();
+};
+
+// Method to give up on a delivery without sending it
+webhookDeliverySchema.methods.abandon = async function (error) {
+    this.status = 'failed';
+    this.error = error;
+    await this.save();
+};
+
+// Static method to get an organization's recent deliveries, newest first
+webhookDeliverySchema.statics.findRecentByOrganization = function (organizationId, limit = 50) {
+    return this.find({ organization: organizationId })
+        .populate('endpoint', 'url')
+        .sort('-createdAt')
+        .limit(limit);
+};
+
+webhookDeliverySchema.statics.MAX_ATTEMPTS = MAX_ATTEMPTS;
+
+// Ensure virtual fields are serialized
+webhookDeliverySchema.set('toJSON', {
+    virtuals: true,
+});
+
+module.exports =
+    mongoose.models.WebhookDelivery || mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Events an endpoint can subscribe to, and the notification types that raise them
+const EVENTS = {
+    'request.created': {
+        label: 'Request submitted',
+        types: ['request_created'],
+    },
+    'request.status_changed': {
+        label: 'Request status changed',
+        types: ['request_updated', 'designer_assigned', 'revision_requested', 'request_approved'],
+    },
+    'request.deliverable_added': {
+        label: 'New deliverable uploaded',
+        types: ['file_uploaded'],
+    },
+    'request.message_created': {
+        label: 'New message on a request',
+        types: ['message_received'],
+    },
+    'subscription.updated': {
+        label: 'Subscription started, changed or canceled',
+        types: [
+            'subscription_created',
+            'subscription_upgraded',
+            'subscription_changed',
+            'subscription_canceled',
+        ],
+    },
+    'invoice.updated': {
+        label: 'Invoice paid, failed or overdue',
+        types: ['payment_received', 'payment_failed', 'invoice_overdue'],
+    },
+};
+
+const MAX_ENDPOINTS_PER_ORGANIZATION = 10;
+
+const webhookEndpointSchema = new mongoose.Schema(
+    {
+        // References
+        organization: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Organization',
+            required: true,
+            index: true,
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+
+        // Endpoint Details
+        url: {
+            type: String,
+            required: true,
+            trim: true,
+            maxlength: 2000,
+        },
+        description: {
+            type: String,
+            trim: true,
+            maxlength: 200,
+            default: '',
+        },
+        events: [
+            {
+                type: String,
+                enum: Object.keys(EVENTS),
+            },
+        ],
+        // Signs every delivery; shown to the owner once when the endpoint is created
+        secret: {
+            type: String,
+            required: true,
+            select: false,
+        },
+        isActive: {
+            type: Boolean,
+            default: true,
+        },
+
+        // Timestamps
+        createdAt: {
+            type: Date,
+            default: Date.now,
+        },
+        updatedAt: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Static method to get the event raised by a notification type, if any
+webhookEndpointSchema.statics.getEventForType = function (type) {
+    return Object.keys(EVENTS).find((event) => EVENTS[event].types.includes(type)) || null;
+};
+
+// Static method to find the organization's active endpoints listening for an event
+webhookEndpointSchema.statics.findSubscribed = function (organizationId, event) {
+    return this.find({ organization: organizationId, isActive: true, events: event }).select(
+        '+secret'
+    );
+};
+
+// Static method to create a signing secret
+webhookEndpointSchema.statics.generateSecret = function () {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+};
+
+webhookEndpointSchema.statics.EVENTS = EVENTS;
+webhookEndpointSchema.statics.MAX_ENDPOINTS_PER_ORGANIZATION = MAX_ENDPOINTS_PER_ORGANIZATION;
+
+// Ensure virtual fields are serialized
+webhookEndpointSchema.set('toJSON', {
+    virtuals: true,
+    transform: function (doc, ret) {
+        delete ret.secret;
+        delete ret.__v;
+        return ret;
+    },
+});
+
+module.exports =
+    mongoose.models.WebhookEndpoint || mongoose.model('WebhookEndpoint', webhookEndpointSchema);
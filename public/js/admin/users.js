@@ -0,0 +1,95 @@
+// Admin User Management JavaScript
+document.addEventListener('DOMContentLoaded', function () {
+    document.querySelectorAll('.role-select').forEach((select) => {
+        select.addEventListener('change', () => changeRole(select));
+    });
+
+    document.querySelectorAll('.toggle-active-btn').forEach((button) => {
+        button.addEventListener('click', () => toggleActive(button));
+    });
+
+    document.querySelectorAll('.resend-verification-btn').forEach((button) => {
+        button.addEventListener('click', () =>
+            runAction(button, 'resend-verification', 'Verification email sent')
+        );
+    });
+
+    document.querySelectorAll('.unlock-btn').forEach((button) => {
+        button.addEventListener('click', async () => {
+            if (await runAction(button, 'unlock', 'Lockout cleared')) {
+                button.closest('tr').querySelector('.locked-badge')?.remove();
+                button.remove();
+            }
+        });
+    });
+
+    document.querySelectorAll('.reset-password-btn').forEach((button) => {
+        button.addEventListener('click', () =>
+            runAction(button, 'reset-password', 'Password reset email sent')
+        );
+    });
+});
+
+/**
+ * Get the user id for the row an element belongs to
+ */
+function getUserId(element) {
+    return element.closest('tr').dataset.userId;
+}
+
+/**
+ * Change a user's role
+ */
+async function changeRole(select) {
+    const role = select.value;
+    if (!confirm(`Change this user's role to ${role}?`)) {
+        select.value = select.dataset.current;
+        return;
+    }
+
+    const result = await APIClient.put(`/api/admin/users/${getUserId(select)}`, { role });
+
+    if (result.success) {
+        select.dataset.current = role;
+        window.Notifications.success('Role updated');
+    } else {
+        select.value = select.dataset.current;
+        window.Notifications.error(result.error || 'Failed to update role');
+    }
+}
+
+/**
+ * Deactivate or reactivate a user
+ */
+async function toggleActive(button) {
+    const isActive = button.dataset.active === 'true';
+    if (!confirm(isActive ? 'Deactivate this account?' : 'Reactivate this account?')) return;
+
+    button.disabled = true;
+    const result = await APIClient.put(`/api/admin/users/${getUserId(button)}`, {
+        isActive: !isActive,
+    });
+
+    if (result.success) {
+        window.location.reload();
+    } else {
+        window.Notifications.error(result.error || 'Failed to update account');
+        button.disabled = false;
+    }
+}
+
+/**
+ * Run a one-off account action (emails)
+ */
+async function runAction(button, action, successMessage) {
+    button.disabled = true;
+    const result = await APIClient.post(`/api/admin/users/${getUserId(button)}/${action}`, {});
+
+    if (result.success) {
+        window.Notifications.success(successMessage);
+    } else {
+        window.Notifications.error(result.error || 'Action failed');
+    }
+    button.disabled = false;
+    return result.success;
+}
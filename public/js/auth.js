@@ -7,11 +7,16 @@ document.addEventListener('DOMContentLoaded', function () {
     // Form submission
     const loginForm = document.getElementById('loginForm');
     const signupForm = document.getElementById('signupForm');
+    const twoFactorForm = document.getElementById('twoFactorForm');
 
     if (loginForm) {
         setupLoginForm();
     }
 
+    if (twoFactorForm) {
+        setupTwoFactorForm();
+    }
+
     if (signupForm) {
         setupSignupForm();
         setupPasswordValidation();
@@ -78,6 +83,41 @@ function setupLoginForm() {
     });
 }
 
+/**
+ * Setup two-factor code form
+ */
+function setupTwoFactorForm() {
+    const form = document.getElementById('twoFactorForm');
+    const codeInput = form.code;
+
+    // Switch the input over to accept a recovery code
+    document.getElementById('useRecoveryCode').addEventListener('click', function () {
+        document.getElementById('twoFactorHint').textContent =
+            'Enter one of the recovery codes you saved when setting up two-factor authentication';
+        document.getElementById('codeLabel').textContent = 'Recovery Code';
+        codeInput.placeholder = 'xxxxx-xxxxx';
+        codeInput.removeAttribute('inputmode');
+        codeInput.removeAttribute('maxlength');
+        codeInput.value = '';
+        codeInput.focus();
+        this.remove();
+    });
+
+    form.addEventListener('submit', async function (e) {
+        e.preventDefault();
+
+        clearErrors();
+
+        const code = codeInput.value.trim();
+        if (!code) {
+            showError('codeError', 'Please enter your verification code');
+            return;
+        }
+
+        await submitTwoFactor(code);
+    });
+}
+
 /**
  * Setup signup form
  */
@@ -190,7 +230,10 @@ async function submitLogin(formData) {
 
         const result = await response.json();
 
-        if (result.success) {
+        if (result.success && result.twoFactorRequired) {
+            // Password accepted, continue to the code step
+            window.location.href = result.redirectUrl;
+        } else if (result.success) {
             // Show success message
             Modal.success('Login successful!');
 
@@ -198,6 +241,11 @@ async function submitLogin(formData) {
             setTimeout(() => {
                 window.location.href = result.redirectUrl || '/dashboard';
             }, 500);
+        } else {
+            // Invalid credentials or too many failed attempts
+            showError('passwordError', result.message || 'Login failed');
+            submitBtn.classList.remove('loading');
+            submitBtn.disabled = false;
         }
     } catch (error) {
         console.error('Login error:', error);
@@ -208,6 +256,56 @@ async function submitLogin(formData) {
     }
 }
 
+/**
+ * Submit two-factor code
+ */
+async function submitTwoFactor(code) {
+    const submitBtn = document.getElementById('submitBtn');
+    submitBtn.classList.add('loading');
+    submitBtn.disabled = true;
+
+    try {
+        const response = await fetch('/login/two-factor', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ code }),
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+            if (result.recoveryCodesRemaining !== undefined) {
+                Modal.success(
+                    `Recovery code accepted. You have ${result.recoveryCodesRemaining} left.`
+                );
+            }
+
+            setTimeout(
+                () => {
+                    window.location.href = result.redirectUrl || '/dashboard';
+                },
+                result.recoveryCodesRemaining !== undefined ? 2000 : 0
+            );
+            return;
+        }
+
+        if (result.redirectUrl) {
+            window.location.href = result.redirectUrl;
+            return;
+        }
+
+        showError('codeError', result.message || 'Invalid verification code');
+    } catch (error) {
+        console.error('Two-factor error:', error);
+        showError('codeError', 'An error occurred. Please try again.');
+    }
+
+    submitBtn.classList.remove('loading');
+    submitBtn.disabled = false;
+}
+
 /**
  * Submit signup
  */
@@ -0,0 +1,32 @@
+// Designer Work Queue JavaScript
+document.addEventListener('DOMContentLoaded', function () {
+    document.querySelectorAll('.claim-btn').forEach((button) => {
+        button.addEventListener('click', () => claimRequest(button));
+    });
+});
+
+/**
+ * Claim a request from the queue
+ */
+async function claimRequest(button) {
+    const requestId = button.dataset.id;
+    button.disabled = true;
+
+    const result = await APIClient.post(`/designer/claim/${requestId}`, {});
+
+    if (result.success) {
+        window.Notifications.success('Request claimed. It is now in your assignments.');
+        button.closest('.request-item').remove();
+        return;
+    }
+
+    // Someone else claimed it first - drop it from the list
+    if (result.status === 409) {
+        window.Notifications.warning(result.error);
+        button.closest('.request-item').remove();
+        return;
+    }
+
+    window.Notifications.error(result.error || 'Failed to claim request');
+    button.disabled = false;
+}
@@ -0,0 +1,288 @@
+// Request Detail JavaScript
+const POLL_INTERVAL = 10000;
+
+let requestId;
+let clientId;
+let eventSource = null;
+let pollTimer = null;
+
+document.addEventListener('DOMContentLoaded', function () {
+    const container = document.querySelector('.request-detail');
+    if (!container) return;
+
+    requestId = container.dataset.requestId;
+    clientId = container.dataset.clientId;
+
+    const messageForm = document.getElementById('message-form');
+    if (messageForm) {
+        messageForm.addEventListener('submit', sendMessage);
+    }
+
+    const loadOlderBtn = document.getElementById('load-older-btn');
+    if (loadOlderBtn) {
+        loadOlderBtn.addEventListener('click', () => loadOlderMessages(loadOlderBtn));
+    }
+
+    scrollConversation();
+    connectStream();
+});
+
+/**
+ * Subscribe to live conversation events, falling back to polling
+ */
+function connectStream() {
+    if (!window.EventSource) {
+        startPolling();
+        return;
+    }
+
+    eventSource = new EventSource(`/api/requests/${requestId}/events`);
+
+    eventSource.addEventListener('open', () => {
+        stopPolling();
+        setLiveIndicator(true);
+    });
+
+    eventSource.addEventListener('message', (event) => appendMessage(JSON.parse(event.data)));
+
+    eventSource.addEventListener('status', (event) => {
+        const message = JSON.parse(event.data);
+        appendMessage(message);
+        updateStatus(message.systemData.newValue);
+    });
+
+    eventSource.addEventListener('deliverable', (event) => {
+        const message = JSON.parse(event.data);
+        appendMessage(message);
+        addDeliverable(message.systemData);
+    });
+
+    // The browser retries on its own; poll meanwhile so nothing is missed
+    eventSource.addEventListener('error', () => {
+        setLiveIndicator(false);
+        if (eventSource.readyState === EventSource.CLOSED) {
+            eventSource = null;
+        }
+        startPolling();
+    });
+}
+
+/**
+ * Start polling for new messages
+ */
+function startPolling() {
+    if (pollTimer) return;
+    pollTimer = setInterval(pollMessages, POLL_INTERVAL);
+}
+
+/**
+ * Stop polling once the stream is back
+ */
+function stopPolling() {
+    clearInterval(pollTimer);
+    pollTimer = null;
+}
+
+/**
+ * Fetch messages newer than the last one shown
+ */
+async function pollMessages() {
+    const last = document.querySelector('#conversation .conversation-message:last-child');
+    const after = last ? last.dataset.createdAt : '';
+
+    const result = await APIClient.get(
+        `/api/requests/${requestId}/messages?after=${encodeURIComponent(after)}`
+    );
+    if (!result.success) return;
+
+    const { messages, status } = result.data.data;
+    messages.forEach((message) => {
+        appendMessage(message);
+        if (message.systemData?.action === 'file_uploaded') {
+            addDeliverable(message.systemData);
+        }
+    });
+    updateStatus(status);
+}
+
+/**
+ * Load the previous page of messages
+ */
+async function loadOlderMessages(button) {
+    const first = document.querySelector('#conversation .conversation-message');
+    if (!first) return;
+
+    button.disabled = true;
+    const result = await APIClient.get(
+        `/api/requests/${requestId}/messages?before=${encodeURIComponent(first.dataset.createdAt)}`
+    );
+
+    if (!result.success) {
+        window.Notifications.error(result.error || 'Failed to load messages');
+        button.disabled = false;
+        return;
+    }
+
+    const { messages, hasMore } = result.data.data;
+    const conversation = document.getElementById('conversation');
+    messages
+        .slice()
+        .reverse()
+        .forEach((message) => {
+            if (!findMessage(message._id)) {
+                conversation.prepend(renderMessage(message));
+            }
+        });
+
+    if (hasMore) {
+        button.disabled = false;
+    } else {
+        button.remove();
+    }
+}
+
+/**
+ * Send a message to the designer
+ */
+async function sendMessage(e) {
+    e.preventDefault();
+
+    const form = e.target;
+    const textarea = form.querySelector('textarea');
+    const message = textarea.value.trim();
+    if (!message) return;
+
+    const button = form.querySelector('button[type="submit"]');
+    button.disabled = true;
+
+    const result = await APIClient.post(`/api/requests/${requestId}/message`, { message });
+
+    if (result.success) {
+        textarea.value = '';
+        // The stream usually delivers it first; this covers polling mode
+        appendMessage(result.data.data);
+    } else {
+        window.Notifications.error(result.error || 'Failed to send message');
+    }
+
+    button.disabled = false;
+}
+
+/**
+ * Find a rendered message by id
+ */
+function findMessage(messageId) {
+    return document.querySelector(`#conversation [data-message-id="${messageId}"]`);
+}
+
+/**
+ * Build the element for a message
+ */
+function renderMessage(message) {
+    const senderId = message.sender?._id || message.sender;
+    const element = document.createElement('div');
+    element.className = 'conversation-message';
+    if (message.messageType === 'system') element.classList.add('system');
+    if (senderId && senderId === clientId) element.classList.add('own');
+    element.dataset.messageId = message._id;
+    element.dataset.createdAt = message.createdAt;
+
+    if (message.messageType !== 'system' && message.sender?.fullName) {
+        const sender = document.createElement('div');
+        sender.className = 'message-sender';
+        sender.textContent = message.sender.fullName;
+        element.appendChild(sender);
+    }
+
+    const body = document.createElement('div');
+    body.className = 'message-body';
+    body.textContent = message.message;
+    element.appendChild(body);
+
+    (message.attachments || []).forEach((attachment) => {
+        const link = document.createElement('a');
+        link.className = 'message-attachment';
+        link.href = attachment.fileUrl;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.innerHTML = '<i class="fas fa-paperclip"></i> ';
+        link.append(attachment.fileName);
+        element.appendChild(link);
+    });
+
+    const time = document.createElement('div');
+    time.className = 'message-time';
+    time.textContent = new Date(message.createdAt).toLocaleString();
+    element.appendChild(time);
+
+    return element;
+}
+
+/**
+ * Append a message unless it's already shown
+ */
+function appendMessage(message) {
+    if (findMessage(message._id)) return;
+
+    document.getElementById('conversation').appendChild(renderMessage(message));
+    scrollConversation();
+}
+
+/**
+ * Reflect a status change in the overview badge
+ */
+function updateStatus(status) {
+    const badge = document.getElementById('request-status');
+    if (!badge || !status) return;
+
+    badge.className = `status-badge status-${status}`;
+    badge.textContent = status.replace('-', ' ');
+
+    const messageForm = document.getElementById('message-form');
+    if (status === 'canceled' && messageForm) {
+        messageForm.remove();
+    }
+}
+
+/**
+ * Add an uploaded file to the deliverables list
+ */
+function addDeliverable(systemData) {
+    const file = systemData?.metadata;
+    if (!file?.fileUrl) return;
+
+    const list = document.getElementById('deliverables-list');
+    if (list.querySelector(`a[href="${CSS.escape(file.fileUrl)}"]`)) return;
+
+    const item = document.createElement('li');
+    const link = document.createElement('a');
+    link.href = file.fileUrl;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.innerHTML = '<i class="fas fa-file"></i> ';
+    link.append(file.fileName);
+
+    const meta = document.createElement('span');
+    meta.className = 'request-meta';
+    meta.textContent = `v${systemData.newValue} • ${new Date().toLocaleDateString()}`;
+
+    item.append(link, ' ', meta);
+    list.appendChild(item);
+    document.getElementById('deliverables-empty').hidden = true;
+}
+
+/**
+ * Toggle the live indicator
+ */
+function setLiveIndicator(isLive) {
+    const indicator = document.getElementById('conversation-live');
+    if (indicator) indicator.hidden = !isLive;
+}
+
+/**
+ * Keep the newest message in view
+ */
+function scrollConversation() {
+    const conversation = document.getElementById('conversation');
+    if (conversation) conversation.scrollTop = conversation.scrollHeight;
+}
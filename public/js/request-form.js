@@ -0,0 +1,35 @@
+// Request Form JavaScript
+
+document.addEventListener('DOMContentLoaded', function () {
+    const form = document.getElementById('request-form');
+    if (!form) return;
+
+    form.addEventListener('submit', submitRequest);
+});
+
+/**
+ * Submit the new request with fetch so field errors show next to their inputs
+ */
+async function submitRequest(event) {
+    event.preventDefault();
+
+    const form = event.target;
+    const submitBtn = form.querySelector('button[type="submit"]');
+    FormManager.clearErrors(form);
+    if (submitBtn) submitBtn.disabled = true;
+
+    // FormData keeps repeated keys and files; the server rebuilds nested fields
+    const result = await APIClient.post(form.action, new FormData(form));
+
+    if (result.success) {
+        window.location.href = result.data.data.url;
+        return;
+    }
+
+    if (submitBtn) submitBtn.disabled = false;
+
+    const allShown = result.errors ? FormManager.showErrors(form, result.errors) : false;
+    if (!allShown) {
+        window.Notifications.error(result.error || 'Failed to create request');
+    }
+}
@@ -0,0 +1,517 @@
+// Settings JavaScript
+document.addEventListener('DOMContentLoaded', function () {
+    const notificationsForm = document.getElementById('notifications-form');
+    if (notificationsForm) {
+        notificationsForm.addEventListener('submit', saveNotificationPreferences);
+    }
+
+    const setupBtn = document.getElementById('two-factor-setup-btn');
+    if (setupBtn) {
+        setupBtn.addEventListener('click', () => startTwoFactorSetup(setupBtn));
+    }
+
+    [
+        ['two-factor-enable-form', enableTwoFactor],
+        ['two-factor-disable-form', disableTwoFactor],
+        ['recovery-codes-form', regenerateRecoveryCodes],
+    ].forEach(([id, handler]) => {
+        const form = document.getElementById(id);
+        if (form) form.addEventListener('submit', handler);
+    });
+
+    document.querySelectorAll('.revoke-session-btn').forEach((button) => {
+        button.addEventListener('click', () => revokeSession(button));
+    });
+
+    const revokeOthersBtn = document.getElementById('revoke-other-sessions-btn');
+    if (revokeOthersBtn) {
+        revokeOthersBtn.addEventListener('click', () => revokeOtherSessions(revokeOthersBtn));
+    }
+
+    const inviteForm = document.getElementById('invite-member-form');
+    if (inviteForm) {
+        inviteForm.addEventListener('submit', inviteMember);
+    }
+
+    document.querySelectorAll('.member-role-select').forEach((select) => {
+        select.addEventListener('change', () => changeMemberRole(select));
+    });
+
+    document.querySelectorAll('.remove-member-btn').forEach((button) => {
+        button.addEventListener('click', () => removeMember(button));
+    });
+
+    document.querySelectorAll('.revoke-invitation-btn').forEach((button) => {
+        button.addEventListener('click', () => revokeInvitation(button));
+    });
+
+    const apiTokenForm = document.getElementById('api-token-form');
+    if (apiTokenForm) {
+        apiTokenForm.addEventListener('submit', createApiToken);
+    }
+
+    document.querySelectorAll('.revoke-api-token-btn').forEach((button) => {
+        button.addEventListener('click', () => revokeApiToken(button));
+    });
+
+    const webhookForm = document.getElementById('webhook-create-form');
+    if (webhookForm) {
+        webhookForm.addEventListener('submit', createWebhookEndpoint);
+    }
+
+    document.querySelectorAll('.webhook-endpoint').forEach((form) => {
+        form.addEventListener('submit', saveWebhookEvents);
+    });
+
+    document.querySelectorAll('.toggle-webhook-btn').forEach((button) => {
+        button.addEventListener('click', () => toggleWebhookEndpoint(button));
+    });
+
+    document.querySelectorAll('.delete-webhook-btn').forEach((button) => {
+        button.addEventListener('click', () => deleteWebhookEndpoint(button));
+    });
+
+    document.querySelectorAll('.redeliver-webhook-btn').forEach((button) => {
+        button.addEventListener('click', () => redeliverWebhook(button));
+    });
+
+    const resendBtn = document.getElementById('resend-verification-btn');
+    if (resendBtn) {
+        resendBtn.addEventListener('click', () => resendVerification(resendBtn));
+    }
+});
+
+/**
+ * Resend the email verification link
+ */
+async function resendVerification(button) {
+    button.disabled = true;
+    const result = await APIClient.post('/verify-email/resend', {});
+
+    if (result.success) {
+        window.Notifications.success(result.data.message);
+    } else {
+        window.Notifications.error(result.error || 'Failed to send verification email');
+        button.disabled = false;
+    }
+}
+
+/**
+ * Save notification channel preferences
+ */
+async function saveNotificationPreferences(e) {
+    e.preventDefault();
+
+    const form = e.target;
+    const button = form.querySelector('button[type="submit"]');
+    button.disabled = true;
+
+    // Each radio group is named after its notification type
+    const { digestFrequency, ...channels } = FormManager.serialize(form);
+    const result = await APIClient.post('/settings/notifications', { channels, digestFrequency });
+
+    if (result.success) {
+        window.Notifications.success('Notification preferences saved');
+    } else {
+        window.Notifications.error(result.error || 'Failed to save preferences');
+    }
+
+    button.disabled = false;
+}
+
+/**
+ * Start two-factor setup and show the QR code
+ */
+async function startTwoFactorSetup(button) {
+    button.disabled = true;
+    const result = await APIClient.post('/settings/two-factor/setup', {});
+
+    if (!result.success) {
+        window.Notifications.error(result.error || 'Failed to start two-factor setup');
+        button.disabled = false;
+        return;
+    }
+
+    document.getElementById('two-factor-qr').src = result.data.qrCode;
+    document.getElementById('two-factor-secret').textContent = result.data.secret;
+    document.getElementById('two-factor-enable-form').hidden = false;
+    button.hidden = true;
+}
+
+/**
+ * Confirm the first authenticator code and turn two-factor on
+ */
+async function enableTwoFactor(e) {
+    e.preventDefault();
+
+    const form = e.target;
+    const button = form.querySelector('button[type="submit"]');
+    button.disabled = true;
+
+    const result = await APIClient.post('/settings/two-factor/enable', FormManager.serialize(form));
+
+    if (result.success) {
+        form.hidden = true;
+        showRecoveryCodes(result.data.recoveryCodes);
+        window.Notifications.success('Two-factor authentication enabled');
+    } else {
+        window.Notifications.error(result.error || 'Invalid verification code');
+        button.disabled = false;
+    }
+}
+
+/**
+ * Turn two-factor off
+ */
+async function disableTwoFactor(e) {
+    e.preventDefault();
+
+    const form = e.target;
+    const button = form.querySelector('button[type="submit"]');
+    button.disabled = true;
+
+    const result = await APIClient.post(
+        '/settings/two-factor/disable',
+        FormManager.serialize(form)
+    );
+
+    if (result.success) {
+        window.location.href = '/settings?tab=security';
+    } else {
+        window.Notifications.error(result.error || 'Failed to disable two-factor authentication');
+        button.disabled = false;
+    }
+}
+
+/**
+ * Replace the recovery codes
+ */
+async function regenerateRecoveryCodes(e) {
+    e.preventDefault();
+
+    const form = e.target;
+    const button = form.querySelector('button[type="submit"]');
+    button.disabled = true;
+
+    const result = await APIClient.post(
+        '/settings/two-factor/recovery-codes',
+        FormManager.serialize(form)
+    );
+
+    if (result.success) {
+        form.reset();
+        showRecoveryCodes(result.data.recoveryCodes);
+    } else {
+        window.Notifications.error(result.error || 'Invalid verification code');
+    }
+    button.disabled = false;
+}
+
+/**
+ * Show freshly generated recovery codes once
+ */
+function showRecoveryCodes(codes) {
+    const list = document.getElementById('recovery-codes-list');
+    list.innerHTML = '';
+    codes.forEach((code) => {
+        const item = document.createElement('li');
+        item.textContent = code;
+        list.appendChild(item);
+    });
+
+    document.getElementById('recovery-codes').hidden = false;
+}
+
+/**
+ * Sign out one of the other sessions
+ */
+async function revokeSession(button) {
+    const row = button.closest('tr');
+    button.disabled = true;
+
+    const result = await APIClient.post(`/settings/sessions/${row.dataset.sessionId}/revoke`, {});
+
+    if (result.success) {
+        row.remove();
+        window.Notifications.success('Session signed out');
+    } else {
+        window.Notifications.error(result.error || 'Failed to sign out session');
+        button.disabled = false;
+    }
+}
+
+/**
+ * Sign out every session except this one
+ */
+async function revokeOtherSessions(button) {
+    if (!confirm('Sign out of CanvasCue on all other devices?')) return;
+
+    button.disabled = true;
+    const result = await APIClient.post('/settings/sessions/revoke-others', {});
+
+    if (result.success) {
+        document.querySelectorAll('.revoke-session-btn').forEach((b) => b.closest('tr').remove());
+        button.remove();
+        window.Notifications.success(result.data.message);
+    } else {
+        window.Notifications.error(result.error || 'Failed to sign out other sessions');
+        button.disabled = false;
+    }
+}
+
+/**
+ * Invite a teammate by email
+ */
+async function inviteMember(e) {
+    e.preventDefault();
+
+    const form = e.target;
+    const button = form.querySelector('button[type="submit"]');
+    button.disabled = true;
+
+    const result = await APIClient.post('/settings/team/invitations', FormManager.serialize(form));
+
+    if (result.success) {
+        window.location.href = '/settings?tab=team';
+    } else {
+        window.Notifications.error(result.error || 'Failed to send invitation');
+        button.disabled = false;
+    }
+}
+
+/**
+ * Change a teammate's role
+ */
+async function changeMemberRole(select) {
+    const memberId = select.closest('tr').dataset.memberId;
+    const result = await APIClient.post(`/settings/team/members/${memberId}/role`, {
+        role: select.value,
+    });
+
+    if (result.success) {
+        select.dataset.current = select.value;
+        window.Notifications.success('Role updated');
+    } else {
+        select.value = select.dataset.current;
+        window.Notifications.error(result.error || 'Failed to update role');
+    }
+}
+
+/**
+ * Remove a teammate, or leave the team
+ */
+async function removeMember(button) {
+    const leaving = button.dataset.self === 'true';
+    if (!confirm(leaving ? 'Leave this team?' : 'Remove this person from the team?')) return;
+
+    const row = button.closest('tr');
+    button.disabled = true;
+
+    const result = await APIClient.post(
+        `/settings/team/members/${row.dataset.memberId}/remove`,
+        {}
+    );
+
+    if (result.success && leaving) {
+        window.location.href = '/dashboard';
+    } else if (result.success) {
+        row.remove();
+        window.Notifications.success('Member removed');
+    } else {
+        window.Notifications.error(result.error || 'Failed to remove member');
+        button.disabled = false;
+    }
+}
+
+/**
+ * Cancel a pending invitation
+ */
+async function revokeInvitation(button) {
+    const row = button.closest('tr');
+    button.disabled = true;
+
+    const result = await APIClient.post(
+        `/settings/team/invitations/${row.dataset.invitationId}/revoke`,
+        {}
+    );
+
+    if (result.success) {
+        row.remove();
+        window.Notifications.success('Invitation revoked');
+    } else {
+        window.Notifications.error(result.error || 'Failed to revoke invitation');
+        button.disabled = false;
+    }
+}
+
+/**
+ * Create a personal API token and show it once
+ */
+async function createApiToken(e) {
+    e.preventDefault();
+
+    const form = e.target;
+    const button = form.querySelector('button[type="submit"]');
+    const scopes = [...form.querySelectorAll('input[name="scopes"]:checked')].map((i) => i.value);
+
+    if (scopes.length === 0) {
+        window.Notifications.error('Choose at least one scope');
+        return;
+    }
+
+    button.disabled = true;
+    const result = await APIClient.post('/settings/api-tokens', {
+        ...FormManager.serialize(form),
+        scopes,
+    });
+
+    if (result.success) {
+        document.getElementById('api-token-value').textContent = result.data.token;
+        document.getElementById('api-token-created').hidden = false;
+        form.hidden = true;
+    } else {
+        window.Notifications.error(result.error || 'Failed to create API token');
+        button.disabled = false;
+    }
+}
+
+/**
+ * Revoke a personal API token
+ */
+async function revokeApiToken(button) {
+    if (!confirm('Revoke this token? Anything using it will stop working.')) return;
+
+    const row = button.closest('tr');
+    button.disabled = true;
+
+    const result = await APIClient.post(`/settings/api-tokens/${row.dataset.tokenId}/revoke`, {});
+
+    if (result.success) {
+        row.remove();
+        window.Notifications.success('API token revoked');
+    } else {
+        window.Notifications.error(result.error || 'Failed to revoke API token');
+        button.disabled = false;
+    }
+}
+
+/**
+ * Get the checked event names in a webhook form
+ */
+function getCheckedEvents(form) {
+    return [...form.querySelectorAll('input[name="events"]:checked')].map((i) => i.value);
+}
+
+/**
+ * Add a webhook endpoint and show its signing secret once
+ */
+async function createWebhookEndpoint(e) {
+    e.preventDefault();
+
+    const form = e.target;
+    const button = form.querySelector('button[type="submit"]');
+    const events = getCheckedEvents(form);
+
+    if (events.length === 0) {
+        window.Notifications.error('Choose at least one event');
+        return;
+    }
+
+    button.disabled = true;
+    const result = await APIClient.post('/settings/webhooks', {
+        ...FormManager.serialize(form),
+        events,
+    });
+
+    if (result.success) {
+        document.getElementById('webhook-secret-value').textContent = result.data.secret;
+        document.getElementById('webhook-secret-created').hidden = false;
+        form.hidden = true;
+    } else {
+        window.Notifications.error(result.error || 'Failed to add webhook endpoint');
+        button.disabled = false;
+    }
+}
+
+/**
+ * Save the events an endpoint listens for
+ */
+async function saveWebhookEvents(e) {
+    e.preventDefault();
+
+    const form = e.target;
+    const button = form.querySelector('button[type="submit"]');
+    button.disabled = true;
+
+    const result = await APIClient.post(`/settings/webhooks/${form.dataset.endpointId}/update`, {
+        events: getCheckedEvents(form),
+    });
+
+    if (result.success) {
+        window.Notifications.success('Webhook events saved');
+    } else {
+        window.Notifications.error(result.error || 'Failed to update webhook endpoint');
+    }
+    button.disabled = false;
+}
+
+/**
+ * Turn a webhook endpoint on or off
+ */
+async function toggleWebhookEndpoint(button) {
+    const endpointId = button.closest('form').dataset.endpointId;
+    button.disabled = true;
+
+    const result = await APIClient.post(`/settings/webhooks/${endpointId}/update`, {
+        isActive: button.dataset.active !== 'true',
+    });
+
+    if (result.success) {
+        window.location.href = '/settings?tab=webhooks';
+    } else {
+        window.Notifications.error(result.error || 'Failed to update webhook endpoint');
+        button.disabled = false;
+    }
+}
+
+/**
+ * Delete a webhook endpoint
+ */
+async function deleteWebhookEndpoint(button) {
+    if (!confirm('Delete this endpoint and its delivery log?')) return;
+
+    const form = button.closest('form');
+    button.disabled = true;
+
+    const result = await APIClient.post(`/settings/webhooks/${form.dataset.endpointId}/delete`, {});
+
+    if (result.success) {
+        window.location.href = '/settings?tab=webhooks';
+    } else {
+        window.Notifications.error(result.error || 'Failed to delete webhook endpoint');
+        button.disabled = false;
+    }
+}
+
+/**
+ * Send a logged delivery again
+ */
+async function redeliverWebhook(button) {
+    const deliveryId = button.closest('tr').dataset.deliveryId;
+    button.disabled = true;
+
+    const result = await APIClient.post(
+        `/settings/webhooks/deliveries/${deliveryId}/redeliver`,
+        {}
+    );
+
+    if (result.success) {
+        window.Notifications.success(result.data.message);
+        setTimeout(() => {
+            window.location.href = '/settings?tab=webhooks';
+        }, 1500);
+    } else {
+        window.Notifications.error(result.error || 'Failed to redeliver webhook');
+        button.disabled = false;
+    }
+}
@@ -4,6 +4,7 @@ class APIClient {
         const defaultOptions = {
             headers: {
                 "Content-Type": "application/json",
+                Accept: "application/json",
             },
         };
 
@@ -31,6 +32,7 @@ class APIClient {
                 return {
                     success: false,
                     error: errorMessage,
+                    errors: data.errors || null,
                     status: response.status,
                 };
             }
@@ -54,7 +56,9 @@ class APIClient {
         return this.request(url, {
             method: "POST",
             body: isFormData ? data : JSON.stringify(data),
-            headers: isFormData ? {} : { "Content-Type": "application/json" },
+            headers: isFormData
+                ? { Accept: "application/json" }
+                : { "Content-Type": "application/json", Accept: "application/json" },
         });
     }
 
@@ -74,6 +74,53 @@ class FormManager {
 
         return isValid;
     }
+
+    // Input names a server field path ("specifications.dimensions.width") may use
+    static fieldNames(path) {
+        const parts = path.split(".").filter((part) => !/^\d+$/.test(part));
+        const bracketed =
+            parts[0] + parts.slice(1).map((part) => `[${part}]`).join("");
+        return [path, parts.join("."), bracketed, `${bracketed}[]`];
+    }
+
+    // Show a server error map inline; returns false if some errors had no matching field
+    static showErrors(form, errors = {}) {
+        this.clearErrors(form);
+
+        const marked = new Set();
+        let allShown = true;
+
+        Object.entries(errors).forEach(([path, message]) => {
+            const field = this.fieldNames(path)
+                .map((name) => form.querySelector(`[name="${CSS.escape(name)}"]`))
+                .find(Boolean);
+
+            if (!field) {
+                allShown = false;
+                return;
+            }
+            if (marked.has(field)) return;
+            marked.add(field);
+
+            field.classList.add("error");
+            const error = document.createElement("span");
+            error.className = "form-error";
+            error.dataset.fieldError = path;
+            error.textContent = message;
+            (field.closest(".form-group") || field.parentElement).appendChild(error);
+        });
+
+        const [firstField] = marked;
+        firstField?.focus();
+        return allShown;
+    }
+
+    static clearErrors(form) {
+        form.querySelectorAll("[data-field-error]").forEach((el) => el.remove());
+        form.querySelectorAll(".error").forEach((field) => {
+            field.classList.remove("error");
+        });
+    }
 }
 
 // Add to global namespace
@@ -4,6 +4,7 @@ class NotificationManager {
         this.container = null;
         this.unreadCount = 0;
         this.notifications = [];
+        this.pollTimer = null;
         this.init();
     }
 
@@ -146,13 +147,41 @@ class NotificationManager {
         if (markAllBtn) {
             markAllBtn.addEventListener("click", () => this.markAllRead());
         }
+
+        // Keep the bell badge current
+        this.refreshUnreadCount();
+        this.startPolling();
+    }
+
+    startPolling(interval = 60000) {
+        if (this.pollTimer) return;
+
+        this.pollTimer = setInterval(() => {
+            if (!document.hidden) this.refreshUnreadCount();
+        }, interval);
+
+        document.addEventListener("visibilitychange", () => {
+            if (!document.hidden) this.refreshUnreadCount();
+        });
+    }
+
+    async refreshUnreadCount() {
+        const result = await APIClient.get("/api/notifications/unread-count");
+        if (result.success) {
+            this.updateBadge(result.data.data.unreadCount);
+        }
     }
 
     async loadNotifications() {
-        // Override this method to load from API
         const list = document.querySelector(".notifications-list");
         if (!list) return;
 
+        const result = await APIClient.get("/api/notifications?limit=10");
+        if (result.success) {
+            this.notifications = result.data.data.notifications;
+            this.updateBadge(result.data.data.unreadCount);
+        }
+
         if (this.notifications.length === 0) {
             list.innerHTML = `
                 <div class="no-notifications">
@@ -175,7 +204,7 @@ class NotificationManager {
             <div class="notification-item ${
                 notification.isRead ? "" : "unread"
             } priority-${notification.priority || "normal"}"
-                 onclick="NotificationManager.markRead('${notification.id}')">
+                 onclick="Notifications.markRead('${notification.id}')">
                 <div class="notification-icon icon-${notification.type}">
                     <i class="fas ${iconClass}"></i>
                 </div>
@@ -203,20 +232,26 @@ class NotificationManager {
     }
 
     async markRead(notificationId) {
-        // Override to call API
         const notification = this.notifications.find(
             (n) => n.id === notificationId
         );
-        if (notification) {
-            notification.isRead = true;
-            this.updateBadge(
-                this.notifications.filter((n) => !n.isRead).length
-            );
-        }
+        if (!notification || notification.isRead) return;
+
+        const result = await APIClient.put(
+            `/api/notifications/${notificationId}/read`,
+            {}
+        );
+        if (!result.success) return;
+
+        notification.isRead = true;
+        this.updateBadge(result.data.data.unreadCount);
+        this.loadNotifications();
     }
 
     async markAllRead() {
-        // Override to call API
+        const result = await APIClient.put("/api/notifications/read-all", {});
+        if (!result.success) return;
+
         this.notifications.forEach((n) => (n.isRead = true));
         this.updateBadge(0);
         this.loadNotifications();
@@ -241,6 +276,11 @@ class NotificationManager {
             message: "fa-envelope",
             alert: "fa-bell",
             system: "fa-cog",
+            message_received: "fa-envelope",
+            file_uploaded: "fa-file-upload",
+            revision_requested: "fa-redo",
+            request_approved: "fa-check",
+            payment_failed: "fa-credit-card",
         };
         return icons[type] || "fa-bell";
     }
@@ -0,0 +1,134 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { createAppLogger } = require('@sahab/core');
+const { routes, schemas } = require('./routes');
+const { validate } = require('../../utils/apiSchema');
+const { apiError, sendError } = require('../../utils/apiUtils');
+const { getMembership } = require('../../utils/organizationUtils');
+const { buildOpenApiDocument } = require('../../utils/openapi');
+
+const logger = createAppLogger();
+const router = express.Router();
+
+// Errors from the shared request actions and the API carry their own status and code
+const HANDLED_ERRORS = ['ApiError', 'RequestActionError'];
+
+/**
+ * Require a signed-in client, from a session or a personal API token
+ */
+const authenticate = (req, res, next) => {
+    if (!req.session?.userId) {
+        return next(apiError(401, 'unauthorized', 'Sign in or send a valid API token'));
+    }
+    if (req.session.userRole !== 'client') {
+        return next(apiError(403, 'forbidden', 'The API is only available to client accounts'));
+    }
+    next();
+};
+
+/**
+ * Build the access checks a route definition asks for
+ */
+const authorize = (route) => async (req, res, next) => {
+    try {
+        if (route.scope && req.apiToken && !req.apiToken.hasScope(route.scope)) {
+            throw apiError(
+                403,
+                'insufficient_scope',
+                `This API token is missing the ${route.scope} scope`
+            );
+        }
+
+        if (
+            route.verifiedEmail &&
+            process.env.REQUIRE_VERIFIED_EMAIL === 'true' &&
+            !req.currentUser?.isEmailVerified
+        ) {
+            throw apiError(403, 'email_not_verified', 'Please verify your email address first');
+        }
+
+        if (route.teamRoles) {
+            const { role } = await getMembership(req);
+            if (!route.teamRoles.includes(role)) {
+                throw apiError(403, 'forbidden', 'Your team role does not allow this action');
+            }
+        }
+
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Validate path ids, query and body against the route definition
+ */
+const validateInput = (route) => (req, res, next) => {
+    const invalidParam = Object.entries(req.params).find(
+        ([, value]) => !mongoose.Types.ObjectId.isValid(value)
+    );
+    if (invalidParam) {
+        return next(apiError(404, 'not_found', 'Resource not found'));
+    }
+
+    const errors = {};
+    if (route.query) {
+        const result = validate(route.query, req.query, { coerce: true });
+        Object.assign(errors, result.errors);
+        // Express 5 exposes req.query as a getter
+        Object.defineProperty(req, 'query', { value: result.value });
+    }
+    if (route.body) {
+        const result = validate(route.body, req.body);
+        Object.assign(errors, result.errors);
+        req.body = result.value;
+    }
+
+    if (Object.keys(errors).length > 0) {
+        return next(apiError(400, 'validation_failed', 'Some fields are invalid', errors));
+    }
+    next();
+};
+
+/**
+ * Pass rejected promises from async handlers to the error handler
+ */
+const wrap = (handler) => (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+// Machine-readable description of everything below
+router.get('/openapi.json', (req, res) => {
+    res.json(
+        buildOpenApiDocument({
+            title: 'CanvasCue API',
+            version: '1.0.0',
+            serverUrl: `${process.env.PORTAL_URL || ''}/api/v1`,
+            routes,
+            schemas,
+        })
+    );
+});
+
+router.use(authenticate);
+
+routes.forEach((route) => {
+    router[route.method](route.path, authorize(route), validateInput(route), wrap(route.handler));
+});
+
+// Unknown endpoints
+router.use((req, res, next) => {
+    next(apiError(404, 'not_found', `No endpoint ${req.method} ${req.baseUrl}${req.path}`));
+});
+
+// Every error leaves as the standard error envelope
+router.use((error, req, res, next) => {
+    if (HANDLED_ERRORS.includes(error.name)) {
+        return sendError(res, error.status, error.code, error.message, error.details);
+    }
+
+    logger.error(`API v1 ${req.method} ${req.originalUrl} error:`, error);
+    sendError(res, 500, 'internal_error', 'Something went wrong');
+});
+
+module.exports = router;
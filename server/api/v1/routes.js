@@ -0,0 +1,304 @@
+const Invoice = require('../../../models/Invoice');
+const requestsController = require('../../controllers/api/v1/requestsController');
+const billingController = require('../../controllers/api/v1/billingController');
+const { objectId } = require('../../utils/apiSchema');
+const { PAGINATION_QUERY } = require('../../utils/apiUtils');
+const { EDITOR_ROLES } = require('../../utils/organizationUtils');
+const {
+    CATEGORIES,
+    PLATFORMS,
+    STATUSES,
+    PRIORITIES,
+    SPECIFICATIONS_SCHEMA,
+    CREATE_REQUEST_SCHEMA,
+    UPDATE_REQUEST_SCHEMA,
+} = require('../../utils/requestSchemas');
+
+const PAYMENT_STATUSES = Invoice.schema.path('paymentStatus').enumValues;
+
+/**
+ * Shared schemas, published under components.schemas in the OpenAPI document
+ */
+const schemas = {
+    Specifications: SPECIFICATIONS_SCHEMA,
+    DesignRequest: {
+        type: 'object',
+        properties: {
+            _id: objectId(),
+            requestNumber: { type: 'string' },
+            title: { type: 'string' },
+            description: { type: 'string' },
+            category: { type: 'string', enum: CATEGORIES },
+            platform: { type: 'string', enum: PLATFORMS, nullable: true },
+            priority: { type: 'string', enum: PRIORITIES },
+            status: { type: 'string', enum: STATUSES },
+            deadline: { type: 'string', format: 'date-time', nullable: true },
+            specifications: { $ref: '#/components/schemas/Specifications' },
+            clientNotes: { type: 'string', nullable: true },
+            designer: {
+                type: 'object',
+                nullable: true,
+                properties: { _id: objectId(), fullName: { type: 'string' } },
+            },
+            deliverables: { type: 'array', items: { type: 'object' } },
+            revisions: { type: 'array', items: { type: 'object' } },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' },
+        },
+    },
+    Message: {
+        type: 'object',
+        properties: {
+            _id: objectId(),
+            designRequest: objectId(),
+            sender: {
+                type: 'object',
+                properties: {
+                    _id: objectId(),
+                    fullName: { type: 'string' },
+                    role: { type: 'string' },
+                },
+            },
+            message: { type: 'string' },
+            messageType: { type: 'string' },
+            attachments: { type: 'array', items: { type: 'object' } },
+            createdAt: { type: 'string', format: 'date-time' },
+        },
+    },
+    Revision: {
+        type: 'object',
+        properties: {
+            _id: objectId(),
+            revisionNumber: { type: 'integer' },
+            description: { type: 'string' },
+            requestedBy: objectId(),
+            requestedAt: { type: 'string', format: 'date-time' },
+        },
+    },
+    Usage: {
+        type: 'object',
+        properties: {
+            hasSubscription: { type: 'boolean' },
+            status: { type: 'string' },
+            usage: {
+                type: 'object',
+                properties: {
+                    designsUsedThisMonth: { type: 'integer' },
+                    activeDesignRequests: { type: 'integer' },
+                },
+            },
+            limits: {
+                type: 'object',
+                properties: {
+                    designs: { type: 'integer' },
+                    simultaneous: { type: 'integer' },
+                },
+            },
+        },
+    },
+    Invoice: {
+        type: 'object',
+        properties: {
+            _id: objectId(),
+            invoiceNumber: { type: 'string' },
+            formattedNumber: { type: 'string' },
+            paymentStatus: { type: 'string', enum: PAYMENT_STATUSES },
+            subtotal: { type: 'number' },
+            tax: { type: 'number' },
+            total: { type: 'number' },
+            currency: { type: 'string' },
+            periodStart: { type: 'string', format: 'date-time' },
+            periodEnd: { type: 'string', format: 'date-time' },
+            createdAt: { type: 'string', format: 'date-time' },
+        },
+    },
+};
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+/**
+ * Route definitions. Each one is mounted under /api/v1 and documented in the OpenAPI spec.
+ *   scope      - API token scope required (session users always pass)
+ *   teamRoles  - organization roles allowed; defaults to every member
+ *   verifiedEmail - honor REQUIRE_VERIFIED_EMAIL
+ *   query/body - JSON Schemas the input is validated against
+ *   response   - schema of `data` in the success envelope; `paginated` adds meta.pagination
+ */
+const routes = [
+    // Requests
+    {
+        method: 'get',
+        path: '/requests',
+        operationId: 'listRequests',
+        summary: "List your organization's design requests, newest first",
+        tag: 'Requests',
+        scope: 'requests:read',
+        query: {
+            type: 'object',
+            properties: {
+                ...PAGINATION_QUERY,
+                status: { type: 'string', enum: STATUSES },
+                priority: { type: 'string', enum: PRIORITIES },
+            },
+        },
+        response: ref('DesignRequest'),
+        paginated: true,
+        handler: requestsController.listRequests,
+    },
+    {
+        method: 'post',
+        path: '/requests',
+        operationId: 'createRequest',
+        summary: 'Create a draft design request',
+        tag: 'Requests',
+        scope: 'requests:write',
+        teamRoles: EDITOR_ROLES,
+        verifiedEmail: true,
+        body: { ...CREATE_REQUEST_SCHEMA, additionalProperties: false },
+        status: 201,
+        response: ref('DesignRequest'),
+        handler: requestsController.createRequest,
+    },
+    {
+        method: 'get',
+        path: '/requests/:id',
+        operationId: 'getRequest',
+        summary: 'Get a design request',
+        tag: 'Requests',
+        scope: 'requests:read',
+        response: ref('DesignRequest'),
+        handler: requestsController.getRequest,
+    },
+    {
+        method: 'patch',
+        path: '/requests/:id',
+        operationId: 'updateRequest',
+        summary: 'Edit a draft or submitted request, or change its status',
+        tag: 'Requests',
+        scope: 'requests:write',
+        teamRoles: EDITOR_ROLES,
+        body: { ...UPDATE_REQUEST_SCHEMA, additionalProperties: false },
+        response: ref('DesignRequest'),
+        handler: requestsController.updateRequest,
+    },
+    {
+        method: 'get',
+        path: '/requests/:id/messages',
+        operationId: 'listMessages',
+        summary: "List a request's messages, newest first",
+        tag: 'Requests',
+        scope: 'requests:read',
+        query: {
+            type: 'object',
+            properties: PAGINATION_QUERY,
+        },
+        response: ref('Message'),
+        paginated: true,
+        handler: requestsController.listMessages,
+    },
+    {
+        method: 'post',
+        path: '/requests/:id/messages',
+        operationId: 'createMessage',
+        summary: 'Post a message to the designer',
+        tag: 'Requests',
+        scope: 'requests:write',
+        teamRoles: EDITOR_ROLES,
+        body: {
+            type: 'object',
+            additionalProperties: false,
+            required: ['message'],
+            properties: {
+                message: { type: 'string', minLength: 1, maxLength: 2000 },
+            },
+        },
+        status: 201,
+        response: ref('Message'),
+        handler: requestsController.createMessage,
+    },
+    {
+        method: 'post',
+        path: '/requests/:id/revisions',
+        operationId: 'createRevision',
+        summary: 'Ask for changes to the latest deliverable',
+        tag: 'Requests',
+        scope: 'requests:write',
+        teamRoles: EDITOR_ROLES,
+        body: {
+            type: 'object',
+            additionalProperties: false,
+            required: ['description'],
+            properties: {
+                description: { type: 'string', minLength: 1, maxLength: 2000 },
+            },
+        },
+        status: 201,
+        response: ref('Revision'),
+        handler: requestsController.createRevision,
+    },
+    {
+        method: 'post',
+        path: '/requests/:id/approval',
+        operationId: 'approveRequest',
+        summary: 'Approve a deliverable version, completing the request',
+        tag: 'Requests',
+        scope: 'requests:write',
+        teamRoles: EDITOR_ROLES,
+        body: {
+            type: 'object',
+            additionalProperties: false,
+            required: ['version'],
+            properties: {
+                version: { type: 'integer', minimum: 1 },
+                feedback: { type: 'string', maxLength: 2000 },
+            },
+        },
+        response: ref('DesignRequest'),
+        handler: requestsController.approveRequest,
+    },
+
+    // Billing
+    {
+        method: 'get',
+        path: '/usage',
+        operationId: 'getUsage',
+        summary: 'Get plan usage and limits for the current month',
+        tag: 'Billing',
+        scope: 'billing:read',
+        response: ref('Usage'),
+        handler: billingController.getUsage,
+    },
+    {
+        method: 'get',
+        path: '/invoices',
+        operationId: 'listInvoices',
+        summary: 'List your invoices, newest first',
+        tag: 'Billing',
+        scope: 'billing:read',
+        query: {
+            type: 'object',
+            properties: {
+                ...PAGINATION_QUERY,
+                status: { type: 'string', enum: PAYMENT_STATUSES },
+            },
+        },
+        response: ref('Invoice'),
+        paginated: true,
+        handler: billingController.listInvoices,
+    },
+    {
+        method: 'get',
+        path: '/invoices/:id',
+        operationId: 'getInvoice',
+        summary: 'Get an invoice',
+        tag: 'Billing',
+        scope: 'billing:read',
+        response: ref('Invoice'),
+        handler: billingController.getInvoice,
+    },
+];
+
+module.exports = {
+    routes,
+    schemas,
+};
@@ -0,0 +1,65 @@
+const SubscriptionTier = require('../../../models/SubscriptionTier');
+const { createAppLogger } = require('@sahab/core');
+const { getAnalytics } = require('../../utils/analyticsUtils');
+
+const logger = createAppLogger();
+
+/**
+ * Show analytics dashboard
+ */
+const showAnalytics = async (req, res) => {
+    try {
+        const { from, to, tier } = req.query;
+
+        const [analytics, tiers] = await Promise.all([
+            getAnalytics({ from, to, tier }),
+            SubscriptionTier.find().sort('tierLevel'),
+        ]);
+
+        res.render('admin/analytics/index', {
+            title: 'Analytics - CanvasCue Admin',
+            layout: 'layout',
+            additionalCSS: ['dashboard-shared.css', 'admin/dashboard.css'],
+            analytics,
+            tiers,
+            currentFilters: {
+                from: analytics.range.from.toISOString().slice(0, 10),
+                to: analytics.range.to.toISOString().slice(0, 10),
+                tier: tier || '',
+            },
+        });
+    } catch (error) {
+        logger.error('Show analytics error:', error);
+        res.status(500).render('error', {
+            title: 'Error',
+            message: 'Failed to load analytics',
+            layout: 'layout',
+        });
+    }
+};
+
+/**
+ * Get analytics (API)
+ */
+const getAnalyticsData = async (req, res) => {
+    try {
+        const { from, to, tier } = req.query;
+        const analytics = await getAnalytics({ from, to, tier });
+
+        res.json({
+            success: true,
+            data: analytics,
+        });
+    } catch (error) {
+        logger.error('Get analytics API error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch analytics',
+        });
+    }
+};
+
+module.exports = {
+    showAnalytics,
+    getAnalyticsData,
+};
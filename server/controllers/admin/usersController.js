@@ -0,0 +1,340 @@
+const mongoose = require('mongoose');
+const User = require('../../../models/User');
+const Subscription = require('../../../models/Subscription');
+const LoginAttempt = require('../../../models/LoginAttempt');
+const { createAppLogger } = require('@sahab/core');
+const { createNotifier } = require('../../utils/notifier');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../../utils/accountEmails');
+
+const logger = createAppLogger();
+const notifications = createNotifier({
+    types: ['account_updated'],
+    relatedModels: ['User'],
+});
+
+const ROLES = User.schema.path('role').enumValues;
+const SUBSCRIPTION_STATUSES = Subscription.schema.path('status').enumValues;
+
+/**
+ * Build user filter from query params
+ */
+async function buildUserFilter(query) {
+    const { search, role, isActive, subscriptionStatus } = query;
+    const filter = {};
+
+    if (search?.trim()) {
+        const pattern = new RegExp(search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+        filter.$or = [{ email: pattern }, { fullName: pattern }, { companyName: pattern }];
+    }
+
+    if (role && ROLES.includes(role)) {
+        filter.role = role;
+    }
+
+    if (isActive === 'true' || isActive === 'false') {
+        filter.isActive = isActive === 'true';
+    }
+
+    if (subscriptionStatus === 'none') {
+        filter.currentSubscription = null;
+    } else if (SUBSCRIPTION_STATUSES.includes(subscriptionStatus)) {
+        const subscriptionIds = await Subscription.find({ status: subscriptionStatus }).distinct(
+            '_id'
+        );
+        filter.currentSubscription = { $in: subscriptionIds };
+    }
+
+    return filter;
+}
+
+/**
+ * Fetch one page of users
+ */
+async function findUserPage(query) {
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit) || 25, 1), 100);
+    const filter = await buildUserFilter(query);
+
+    const [users, total] = await Promise.all([
+        User.find(filter)
+            .populate({ path: 'currentSubscription', select: 'status tier', populate: 'tier' })
+            .sort('-createdAt')
+            .limit(limit)
+            .skip((page - 1) * limit),
+        User.countDocuments(filter),
+    ]);
+
+    const lockedEmails = await LoginAttempt.findLockedEmails(users.map((user) => user.email));
+
+    return {
+        users: users.map((user) => ({
+            ...user.toJSON(),
+            isLockedOut: lockedEmails.has(user.email),
+        })),
+        pagination: {
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+        },
+    };
+}
+
+/**
+ * Find a user by id, guarding against malformed ids
+ */
+async function findUser(userId) {
+    if (!mongoose.Types.ObjectId.isValid(userId)) return null;
+    return User.findById(userId);
+}
+
+/**
+ * Show user management console
+ */
+const showUsers = async (req, res) => {
+    try {
+        const { users, pagination } = await findUserPage(req.query);
+
+        res.render('admin/users/index', {
+            title: 'Users - CanvasCue Admin',
+            layout: 'layout',
+            additionalCSS: ['dashboard-shared.css', 'admin/dashboard.css'],
+            additionalJS: ['admin/users.js'],
+            users,
+            pagination,
+            roles: ROLES,
+            subscriptionStatuses: SUBSCRIPTION_STATUSES,
+            currentFilters: {
+                search: req.query.search || '',
+                role: req.query.role || '',
+                isActive: req.query.isActive || '',
+                subscriptionStatus: req.query.subscriptionStatus || '',
+            },
+        });
+    } catch (error) {
+        logger.error('Show users error:', error);
+        res.status(500).render('error', {
+            title: 'Error',
+            message: 'Failed to load users',
+            layout: 'layout',
+        });
+    }
+};
+
+/**
+ * Get users (API)
+ */
+const getUsers = async (req, res) => {
+    try {
+        const data = await findUserPage(req.query);
+
+        res.json({
+            success: true,
+            data,
+        });
+    } catch (error) {
+        logger.error('Get users API error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch users',
+        });
+    }
+};
+
+/**
+ * Update user role or active status (API)
+ */
+const updateUser = async (req, res) => {
+    try {
+        const adminId = req.session.userId;
+        const { role, isActive } = req.body;
+
+        const user = await findUser(req.params.id);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found',
+            });
+        }
+
+        // Admins can't lock themselves out
+        if (user._id.toString() === adminId && (role !== undefined || isActive !== undefined)) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot change your own role or status',
+            });
+        }
+
+        const changes = [];
+
+        if (role !== undefined) {
+            if (!ROLES.includes(role)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid role',
+                });
+            }
+            if (role !== user.role) {
+                changes.push(`role ${user.role} -> ${role}`);
+                user.role = role;
+            }
+        }
+
+        if (isActive !== undefined) {
+            const active = isActive === true || isActive === 'true';
+            if (active !== user.isActive) {
+                changes.push(active ? 'reactivated' : 'deactivated');
+                user.isActive = active;
+            }
+        }
+
+        if (changes.length === 0) {
+            return res.json({
+                success: true,
+                message: 'No changes made',
+                data: user,
+            });
+        }
+
+        // Deactivated users are logged out by sessionValidator on their next request
+        await user.save();
+
+        await notifications.create(
+            user._id,
+            'account_updated',
+            'Account Updated',
+            'An administrator has updated your account',
+            {
+                relatedModel: 'User',
+                relatedId: user._id,
+            }
+        );
+
+        logger.info(`Admin ${adminId} updated user ${user._id}: ${changes.join(', ')}`);
+
+        res.json({
+            success: true,
+            message: 'User updated successfully',
+            data: user,
+        });
+    } catch (error) {
+        logger.error('Update user error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update user',
+        });
+    }
+};
+
+/**
+ * Resend email verification (API)
+ */
+const resendVerification = async (req, res) => {
+    try {
+        const user = await findUser(req.params.id);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found',
+            });
+        }
+
+        // A pending email change is confirmed at the new address; keep it pending
+        if (user.isEmailVerified && !user.pendingEmail) {
+            return res.status(400).json({
+                success: false,
+                message: 'Email is already verified',
+            });
+        }
+
+        const address = user.pendingEmail || user.email;
+        const verificationToken = user.generateEmailVerificationToken(user.pendingEmail);
+        await user.save();
+
+        await sendVerificationEmail(address, verificationToken);
+
+        logger.info(`Admin ${req.session.userId} resent verification to ${address}`);
+
+        res.json({
+            success: true,
+            message: 'Verification email sent',
+        });
+    } catch (error) {
+        logger.error('Resend verification error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to send verification email',
+        });
+    }
+};
+
+/**
+ * Trigger password reset email (API)
+ */
+const sendPasswordReset = async (req, res) => {
+    try {
+        const user = await findUser(req.params.id);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found',
+            });
+        }
+
+        const resetToken = user.generatePasswordResetToken();
+        await user.save();
+
+        await sendPasswordResetEmail(user.email, resetToken);
+
+        logger.info(`Admin ${req.session.userId} sent password reset to ${user.email}`);
+
+        res.json({
+            success: true,
+            message: 'Password reset email sent',
+        });
+    } catch (error) {
+        logger.error('Admin password reset error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to send password reset email',
+        });
+    }
+};
+
+/**
+ * Clear a login lockout (API)
+ */
+const clearLockout = async (req, res) => {
+    try {
+        const user = await findUser(req.params.id);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found',
+            });
+        }
+
+        await LoginAttempt.clear(LoginAttempt.accountKey(user.email));
+
+        logger.info(`Admin ${req.session.userId} cleared login lockout for ${user.email}`);
+
+        res.json({
+            success: true,
+            message: 'Lockout cleared',
+        });
+    } catch (error) {
+        logger.error('Clear lockout error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to clear lockout',
+        });
+    }
+};
+
+module.exports = {
+    showUsers,
+    getUsers,
+    updateUser,
+    resendVerification,
+    sendPasswordReset,
+    clearLockout,
+};
@@ -0,0 +1,70 @@
+const Subscription = require('../../../../models/Subscription');
+const Invoice = require('../../../../models/Invoice');
+const { apiError, sendData, paginate } = require('../../../utils/apiUtils');
+const { getInvoiceScope } = require('../../../utils/organizationUtils');
+
+/**
+ * Get plan usage and limits
+ */
+const getUsage = async (req, res) => {
+    const subscription = await Subscription.findActiveByUser(req.session.userId);
+
+    if (!subscription) {
+        return sendData(res, { hasSubscription: false });
+    }
+
+    sendData(res, {
+        hasSubscription: true,
+        status: subscription.status,
+        usage: subscription.usage,
+        limits: {
+            designs: subscription.tier.features.designsPerMonth,
+            simultaneous: subscription.tier.features.simultaneousDesigns,
+        },
+    });
+};
+
+/**
+ * List the organization's invoices
+ */
+const listInvoices = async (req, res) => {
+    const filter = await getInvoiceScope(req);
+    if (req.query.status) filter.paymentStatus = req.query.status;
+
+    const { items, meta } = await paginate(
+        req.query,
+        () =>
+            Invoice.find(filter)
+                .select('-internalNotes')
+                .populate('subscriptionTier', 'displayName')
+                .sort('-createdAt'),
+        () => Invoice.countDocuments(filter)
+    );
+
+    sendData(
+        res,
+        items.map((invoice) => invoice.toJSON()),
+        { meta }
+    );
+};
+
+/**
+ * Get a single invoice
+ */
+const getInvoice = async (req, res) => {
+    const invoice = await Invoice.findOne({ _id: req.params.id, ...(await getInvoiceScope(req)) })
+        .select('-internalNotes')
+        .populate('subscriptionTier', 'displayName');
+
+    if (!invoice) {
+        throw apiError(404, 'not_found', 'Invoice not found');
+    }
+
+    sendData(res, invoice.toJSON());
+};
+
+module.exports = {
+    getUsage,
+    listInvoices,
+    getInvoice,
+};
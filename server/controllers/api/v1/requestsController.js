@@ -0,0 +1,146 @@
+const DesignRequest = require('../../../../models/DesignRequest');
+const Message = require('../../../../models/Message');
+const { createAppLogger } = require('@sahab/core');
+const { getRequestScope } = require('../../../utils/organizationUtils');
+const { sendData, paginate } = require('../../../utils/apiUtils');
+const {
+    findScopedRequest,
+    createDesignRequest,
+    updateDesignRequest,
+    addRequestMessage,
+    requestDesignRevision,
+    approveDesignDeliverable,
+} = require('../../../utils/requestUtils');
+
+const logger = createAppLogger();
+
+/**
+ * Serialize a request without staff-only fields
+ */
+function serializeRequest(request) {
+    const { internalNotes, ...data } = request.toJSON();
+    return data;
+}
+
+/**
+ * List the organization's requests
+ */
+const listRequests = async (req, res) => {
+    const { status, priority } = req.query;
+
+    const filter = { ...(await getRequestScope(req)), isArchived: false };
+    if (status) filter.status = status;
+    if (priority) filter.priority = priority;
+
+    const { items, meta } = await paginate(
+        req.query,
+        () =>
+            DesignRequest.find(filter)
+                .select('-internalNotes')
+                .populate('designer', 'fullName')
+                .sort('-createdAt'),
+        () => DesignRequest.countDocuments(filter)
+    );
+
+    sendData(res, items.map(serializeRequest), { meta });
+};
+
+/**
+ * Get a single request
+ */
+const getRequest = async (req, res) => {
+    const request = await findScopedRequest(req, req.params.id);
+    await request.populate('designer', 'fullName');
+
+    sendData(res, serializeRequest(request));
+};
+
+/**
+ * Create a draft request
+ */
+const createRequest = async (req, res) => {
+    const request = await createDesignRequest(req, req.body);
+
+    logger.info(`Design request created via API v1: ${request.requestNumber}`);
+
+    sendData(res, serializeRequest(request), { status: 201 });
+};
+
+/**
+ * Edit a request or change its status
+ */
+const updateRequest = async (req, res) => {
+    const request = await updateDesignRequest(req, req.params.id, req.body);
+
+    logger.info(`Request ${request.requestNumber} updated via API v1`);
+
+    sendData(res, serializeRequest(request));
+};
+
+/**
+ * List a request's conversation, newest first
+ */
+const listMessages = async (req, res) => {
+    const request = await findScopedRequest(req, req.params.id);
+    const filter = { designRequest: request._id, isDeleted: false };
+
+    const { items, meta } = await paginate(
+        req.query,
+        () => Message.find(filter).populate('sender', 'fullName role').sort('-createdAt'),
+        () => Message.countDocuments(filter)
+    );
+
+    sendData(
+        res,
+        items.map((message) => message.toJSON()),
+        { meta }
+    );
+};
+
+/**
+ * Post a message on a request
+ */
+const createMessage = async (req, res) => {
+    const { request, message } = await addRequestMessage(req, req.params.id, req.body);
+
+    logger.info(`Message added to request ${request.requestNumber} via API v1`);
+
+    sendData(res, message.toJSON(), { status: 201 });
+};
+
+/**
+ * Ask for a revision of the latest deliverable
+ */
+const createRevision = async (req, res) => {
+    const { request, revision } = await requestDesignRevision(
+        req,
+        req.params.id,
+        req.body.description
+    );
+
+    logger.info(`Revision requested for ${request.requestNumber} via API v1`);
+
+    sendData(res, revision.toJSON(), { status: 201 });
+};
+
+/**
+ * Approve a deliverable version
+ */
+const approveRequest = async (req, res) => {
+    const { request, deliverable } = await approveDesignDeliverable(req, req.params.id, req.body);
+
+    logger.info(`Version ${deliverable.version} of ${request.requestNumber} approved via API v1`);
+
+    sendData(res, serializeRequest(request));
+};
+
+module.exports = {
+    listRequests,
+    getRequest,
+    createRequest,
+    updateRequest,
+    listMessages,
+    createMessage,
+    createRevision,
+    approveRequest,
+};
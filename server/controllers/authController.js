@@ -1,5 +1,7 @@
 const User = require('../../models/User');
 const Onboarding = require('../../models/Onboarding');
+const LoginAttempt = require('../../models/LoginAttempt');
+const UserSession = require('../../models/UserSession');
 
 const {
     logger,
@@ -9,6 +11,18 @@ const {
     validation,
     notifications,
 } = require('../utils/services');
+const {
+    sendVerificationEmail,
+    sendPasswordResetEmail,
+    sendAccountLockedEmail,
+} = require('../utils/accountEmails');
+
+// Minimum time between verification emails; tokens are valid for 24 hours
+const VERIFICATION_TTL = 24 * 60 * 60 * 1000;
+const VERIFICATION_RESEND_INTERVAL = 60 * 1000;
+
+// Time allowed between the password step and the two-factor code
+const TWO_FACTOR_TTL = 10 * 60 * 1000;
 
 /**
  * Show login page
@@ -31,6 +45,106 @@ const showLogin = async (req, res) => {
     });
 };
 
+/**
+ * Show the two-factor code step of login
+ */
+const showTwoFactor = async (req, res) => {
+    if (!req.session.pendingTwoFactor) {
+        return res.redirect('/login');
+    }
+
+    res.render('auth/two-factor', {
+        title: 'Two-Factor Authentication - CanvasCue',
+        layout: 'layout',
+        showNav: false,
+        showFooter: false,
+        additionalCSS: ['auth.css'],
+        additionalJS: ['auth.js'],
+    });
+};
+
+/**
+ * Verify the two-factor code and finish logging in
+ */
+const verifyTwoFactor = async (req, res) => {
+    try {
+        const pending = req.session.pendingTwoFactor;
+        const { code } = req.body;
+
+        if (!pending) {
+            return res.status(401).json({
+                success: false,
+                message: 'Your sign-in has expired. Please log in again.',
+                redirectUrl: '/login',
+            });
+        }
+
+        if (!code) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please enter your verification code',
+            });
+        }
+
+        const user = await User.findById(pending.userId).select(
+            '+twoFactorSecret +twoFactorLastTimeStep +twoFactorRecoveryCodes +twoFactorRecoverySalt'
+        );
+
+        if (!user || !user.isActive) {
+            delete req.session.pendingTwoFactor;
+            return res.status(401).json({
+                success: false,
+                message: 'Your sign-in has expired. Please log in again.',
+                redirectUrl: '/login',
+            });
+        }
+
+        // Codes are throttled with the same counters as passwords
+        const accountKey = LoginAttempt.accountKey(user.email);
+        const ipKey = LoginAttempt.ipKey(req.ip);
+        const blocked = await LoginAttempt.check([accountKey, ipKey]);
+
+        if (blocked) {
+            return sendTooManyAttempts(res, blocked);
+        }
+
+        const method = await user.verifyTwoFactorCode(code);
+
+        if (!method) {
+            await recordLoginFailure(accountKey, ipKey, user);
+            logger.warn(`Login failed - invalid two-factor code for: ${user.email}`);
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid verification code',
+            });
+        }
+
+        await LoginAttempt.clear(accountKey);
+        const redirectUrl = await startSession(req, user);
+
+        if (method === 'recovery') {
+            logger.warn(
+                `Recovery code used by ${user.email}, ${user.twoFactorRecoveryCodes.length} left`
+            );
+        }
+        logger.info(`User logged in successfully: ${user.email}`);
+
+        res.json({
+            success: true,
+            message: 'Login successful',
+            redirectUrl,
+            recoveryCodesRemaining:
+                method === 'recovery' ? user.twoFactorRecoveryCodes.length : undefined,
+        });
+    } catch (error) {
+        logger.error('Two-factor login error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'An error occurred during login. Please try again.',
+        });
+    }
+};
+
 /**
  * Show signup page
  */
@@ -51,6 +165,84 @@ const showSignup = async (req, res) => {
     });
 };
 
+/**
+ * Record a failed login against the account and IP, emailing the owner if it locked the account
+ */
+const recordLoginFailure = async (accountKey, ipKey, user) => {
+    const [{ record, justLocked }] = await Promise.all([
+        LoginAttempt.recordFailure(accountKey, 'account'),
+        LoginAttempt.recordFailure(ipKey, 'ip'),
+    ]);
+
+    if (justLocked && user) {
+        logger.warn(`Account locked after ${record.failures} failed logins: ${user.email}`);
+        try {
+            const unlockToken = await record.generateUnlockToken();
+            await sendAccountLockedEmail(user.email, unlockToken, record.lockedUntil);
+        } catch (emailError) {
+            logger.error('Failed to send account locked email:', emailError);
+        }
+    }
+};
+
+/**
+ * Respond to a throttled login attempt
+ */
+const sendTooManyAttempts = (res, blocked) => {
+    const retryAfter = Math.ceil(blocked.retryAfterMs / 1000);
+    const wait = blocked.locked ? `${Math.ceil(retryAfter / 60)} minutes` : `${retryAfter} seconds`;
+
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+        success: false,
+        message: `Too many failed attempts. Try again in ${wait}.`,
+    });
+};
+
+/**
+ * Move the visitor to a new session ID whenever their privileges change,
+ * so an ID planted before login can't be used afterwards
+ */
+const regenerateSession = (req) => {
+    const { invitationToken } = req.session;
+
+    return new Promise((resolve, reject) => {
+        req.session.regenerate((err) => {
+            if (err) return reject(err);
+
+            // Carry over the invitation being accepted; pendingTwoFactor is dropped on purpose
+            if (invitationToken) req.session.invitationToken = invitationToken;
+            resolve();
+        });
+    });
+};
+
+/**
+ * Log the user in on a fresh session and return where to send them
+ */
+const startSession = async (req, user) => {
+    // Update last login
+    user.lastLogin = new Date();
+    await user.save();
+
+    // Create session
+    await regenerateSession(req);
+    req.session.userId = user._id.toString();
+    req.session.userEmail = user.email;
+    req.session.onboardingCompleted = user.onboardingCompleted;
+
+    await UserSession.track(req, user._id);
+    req.session.lastTrackedAt = Date.now();
+
+    // Finish accepting a team invitation opened before signing in
+    if (req.session.invitationToken) {
+        return `/invitations/${req.session.invitationToken}`;
+    }
+
+    // Determine redirect based on onboarding status
+    return user.onboardingCompleted ? '/dashboard' : '/onboarding';
+};
+
 /**
  * Process login
  */
@@ -74,10 +266,21 @@ const login = async (req, res) => {
             });
         }
 
+        // Throttle by account and by IP. Unknown emails are tracked too, so lockouts
+        // don't reveal which accounts exist.
+        const accountKey = LoginAttempt.accountKey(email);
+        const ipKey = LoginAttempt.ipKey(req.ip);
+        const blocked = await LoginAttempt.check([accountKey, ipKey]);
+
+        if (blocked) {
+            return sendTooManyAttempts(res, blocked);
+        }
+
         // Find user by email
         const user = await User.findByEmail(email);
 
         if (!user) {
+            await recordLoginFailure(accountKey, ipKey, null);
             logger.warn(`Login attempt failed - user not found: ${email}`);
             return res.status(401).json({
                 success: false,
@@ -98,6 +301,7 @@ const login = async (req, res) => {
         const isPasswordValid = await user.comparePassword(password);
 
         if (!isPasswordValid) {
+            await recordLoginFailure(accountKey, ipKey, user);
             logger.warn(`Login failed - invalid password for: ${email}`);
             return res.status(401).json({
                 success: false,
@@ -105,19 +309,27 @@ const login = async (req, res) => {
             });
         }
 
-        // Update last login
-        user.lastLogin = new Date();
-        await user.save();
+        // With two-factor on, the session stays pending until the code step succeeds
+        if (user.twoFactorEnabled) {
+            await regenerateSession(req);
+            req.session.pendingTwoFactor = {
+                userId: user._id.toString(),
+                expiresAt: Date.now() + TWO_FACTOR_TTL,
+            };
 
-        // Create session
-        req.session.userId = user._id.toString();
-        req.session.userEmail = user.email;
-        req.session.onboardingCompleted = user.onboardingCompleted;
+            logger.info(`Password accepted, awaiting two-factor code: ${user.email}`);
 
-        logger.info(`User logged in successfully: ${user.email}`);
+            return res.json({
+                success: true,
+                twoFactorRequired: true,
+                redirectUrl: '/login/two-factor',
+            });
+        }
 
-        // Determine redirect based on onboarding status
-        const redirectUrl = user.onboardingCompleted ? '/dashboard' : '/onboarding';
+        await LoginAttempt.clear(accountKey);
+        const redirectUrl = await startSession(req, user);
+
+        logger.info(`User logged in successfully: ${user.email}`);
 
         res.json({
             success: true,
@@ -198,6 +410,7 @@ const signup = async (req, res) => {
             role: 'client',
         });
 
+        const verificationToken = user.generateEmailVerificationToken();
         await user.save();
 
         // Create empty onboarding record
@@ -224,17 +437,29 @@ const signup = async (req, res) => {
             // Don't fail signup if email fails
         }
 
+        try {
+            await sendVerificationEmail(user.email, verificationToken);
+        } catch (emailError) {
+            logger.error('Failed to send verification email:', emailError);
+        }
+
         // Auto-login after signup
+        await regenerateSession(req);
         req.session.userId = user._id.toString();
         req.session.userEmail = user.email;
         req.session.onboardingCompleted = false;
 
+        await UserSession.track(req, user._id);
+        req.session.lastTrackedAt = Date.now();
+
         logger.info(`New user registered: ${user.email}`);
 
         res.json({
             success: true,
             message: 'Account created successfully',
-            redirectUrl: '/onboarding',
+            redirectUrl: req.session.invitationToken
+                ? `/invitations/${req.session.invitationToken}`
+                : '/onboarding',
         });
     } catch (error) {
         logger.error('Signup error:', error);
@@ -245,12 +470,161 @@ const signup = async (req, res) => {
     }
 };
 
+/**
+ * Render the outcome of an email verification link
+ */
+const renderVerifyResult = (res, status, success, message) => {
+    res.status(status).render('auth/verify-email', {
+        title: 'Verify Email - CanvasCue',
+        layout: 'layout',
+        showNav: false,
+        showFooter: false,
+        additionalCSS: ['auth.css'],
+        success,
+        message,
+    });
+};
+
+/**
+ * Verify email address from emailed link
+ */
+const verifyEmail = async (req, res) => {
+    try {
+        const user = await User.findByVerificationToken(req.params.token);
+
+        if (!user) {
+            return renderVerifyResult(
+                res,
+                400,
+                false,
+                'This verification link is invalid or has expired.'
+            );
+        }
+
+        // The new address may have been claimed since the change was requested
+        if (user.pendingEmail) {
+            const existingUser = await User.findByEmail(user.pendingEmail);
+            if (existingUser && !existingUser._id.equals(user._id)) {
+                return renderVerifyResult(
+                    res,
+                    409,
+                    false,
+                    'This email address is already in use by another account.'
+                );
+            }
+        }
+
+        const previousEmail = user.email;
+        user.confirmEmail();
+        await user.save();
+
+        // Keep the session in step if the user is logged in here
+        if (req.session?.userId === user._id.toString()) {
+            req.session.userEmail = user.email;
+        }
+
+        if (previousEmail !== user.email) {
+            logger.info(`Email changed from ${previousEmail} to ${user.email}`);
+        } else {
+            logger.info(`Email verified: ${user.email}`);
+        }
+
+        renderVerifyResult(res, 200, true, `${user.email} has been verified.`);
+    } catch (error) {
+        logger.error('Verify email error:', error);
+        renderVerifyResult(res, 500, false, 'An error occurred. Please try again.');
+    }
+};
+
+/**
+ * Resend verification email for the logged in user
+ */
+const resendVerification = async (req, res) => {
+    try {
+        const user = await User.findById(req.session.userId);
+
+        if (user.isEmailVerified && !user.pendingEmail) {
+            return res.status(400).json({
+                success: false,
+                message: 'Your email is already verified',
+            });
+        }
+
+        // A token issued in the last minute still has nearly its full lifetime left
+        if (
+            user.emailVerificationExpires &&
+            user.emailVerificationExpires - Date.now() >
+                VERIFICATION_TTL - VERIFICATION_RESEND_INTERVAL
+        ) {
+            return res.status(429).json({
+                success: false,
+                message: 'A verification email was just sent. Please wait a minute and try again.',
+            });
+        }
+
+        // Resend to the pending address if an email change is waiting
+        const targetEmail = user.pendingEmail || user.email;
+        const verificationToken = user.generateEmailVerificationToken(user.pendingEmail);
+        await user.save();
+
+        await sendVerificationEmail(targetEmail, verificationToken);
+
+        logger.info(`Verification email resent to: ${targetEmail}`);
+
+        res.json({
+            success: true,
+            message: `Verification email sent to ${targetEmail}`,
+        });
+    } catch (error) {
+        logger.error('Resend verification error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to send verification email',
+        });
+    }
+};
+
+/**
+ * Unlock a locked account from the emailed link
+ */
+const unlockAccount = async (req, res) => {
+    try {
+        const record = await LoginAttempt.unlockWithToken(req.params.token);
+
+        res.status(record ? 200 : 400).render('auth/unlock-account', {
+            title: 'Unlock Account - CanvasCue',
+            layout: 'layout',
+            showNav: false,
+            showFooter: false,
+            additionalCSS: ['auth.css'],
+            success: !!record,
+        });
+
+        if (record) {
+            logger.info(`Account unlocked by email link: ${record.key}`);
+        }
+    } catch (error) {
+        logger.error('Unlock account error:', error);
+        res.status(500).render('error', {
+            title: 'Error',
+            message: 'Failed to unlock account',
+            layout: 'layout',
+        });
+    }
+};
+
 /**
  * Logout
  */
 const logout = async (req, res) => {
     const userEmail = req.session?.userEmail;
 
+    try {
+        await UserSession.deleteOne({ sessionId: req.sessionID });
+    } catch (error) {
+        logger.error('Failed to remove session record:', error);
+    }
+
     req.session.destroy((err) => {
         if (err) {
             logger.error('Logout error:', err);
@@ -308,22 +682,8 @@ const forgotPassword = async (req, res) => {
         await user.save();
 
         // Send reset email
-        const resetUrl = `${process.env.PORTAL_URL}/reset-password/${resetToken}`;
-
         try {
-            await emailService.send(
-                user.email,
-                'Password Reset Request - CanvasCue',
-                `
-                <h2>Password Reset Request</h2>
-                <p>You requested to reset your password. Click the link below to create a new password:</p>
-                <p><a href="${resetUrl}" style="display: inline-block; padding: 10px 20px; background: #3b82f6; color: white; text-decoration: none; border-radius: 5px;">Reset Password</a></p>
-                <p>This link will expire in 1 hour.</p>
-                <p>If you didn't request this, please ignore this email.</p>
-                <br>
-                <p>Best regards,<br>The CanvasCue Team</p>
-                `
-            );
+            await sendPasswordResetEmail(user.email, resetToken);
         } catch (emailError) {
             logger.error('Failed to send password reset email:', emailError);
             return res.status(500).json({
@@ -410,6 +770,9 @@ const resetPassword = async (req, res) => {
         user.passwordResetExpires = undefined;
         await user.save();
 
+        // Whoever had the old password shouldn't stay signed in
+        await UserSession.revoke(req.sessionStore, { user: user._id });
+
         logger.info(`Password reset successful for: ${user.email}`);
 
         res.json({
@@ -432,6 +795,11 @@ module.exports = {
     login,
     signup,
     logout,
+    verifyEmail,
+    resendVerification,
+    unlockAccount,
+    showTwoFactor,
+    verifyTwoFactor,
     showForgotPassword,
     forgotPassword,
     showResetPassword,
@@ -3,6 +3,7 @@ const DesignRequest = require('../../../models/DesignRequest');
 const Subscription = require('../../../models/Subscription');
 const { createAppLogger } = require('@sahab/core');
 const { getRequestStatistics, formatSubscriptionData } = require('../../utils/dashboardUtils');
+const { getRequestScope } = require('../../utils/organizationUtils');
 
 const logger = createAppLogger();
 
@@ -22,14 +23,14 @@ const showDashboard = async (req, res) => {
         // Get subscription
         const subscription = await Subscription.findActiveByUser(userId);
 
-        // Get recent requests
-        const recentRequests = await DesignRequest.findByClient(userId, {
-            limit: 5,
-            sort: '-createdAt',
-        });
+        // Recent requests and statistics cover the whole organization, like the request list
+        const scope = await getRequestScope(req);
+        const recentRequests = await DesignRequest.find({ ...scope, isArchived: false })
+            .sort('-createdAt')
+            .limit(5)
+            .populate('designer', 'fullName email');
 
-        // Get statistics
-        const stats = await getRequestStatistics(userId, 'client');
+        const stats = await getRequestStatistics(userId, 'client', scope);
 
         res.render('client/dashboard', {
             title: 'Dashboard - CanvasCue',
@@ -57,8 +58,11 @@ const showDashboard = async (req, res) => {
  */
 const getStats = async (req, res) => {
     try {
-        const userId = req.session.userId;
-        const stats = await getRequestStatistics(userId, 'client');
+        const stats = await getRequestStatistics(
+            req.session.userId,
+            'client',
+            await getRequestScope(req)
+        );
 
         res.json({
             success: true,
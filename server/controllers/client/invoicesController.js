@@ -0,0 +1,213 @@
+const mongoose = require('mongoose');
+const Invoice = require('../../../models/Invoice');
+const { createAppLogger } = require('@sahab/core');
+const { renderInvoicePdf } = require('../../utils/invoicePdf');
+const { getInvoiceScope } = require('../../utils/organizationUtils');
+
+const logger = createAppLogger();
+
+const PAYMENT_STATUSES = Invoice.schema.path('paymentStatus').enumValues;
+
+/**
+ * Build invoice filter from query params
+ */
+function buildInvoiceFilter(scope, query) {
+    const filter = { ...scope };
+
+    if (query.status && query.status !== 'all' && PAYMENT_STATUSES.includes(query.status)) {
+        filter.paymentStatus = query.status;
+    }
+
+    const from = query.from ? new Date(query.from) : null;
+    const to = query.to ? new Date(query.to) : null;
+    if (from && !isNaN(from)) filter.createdAt = { ...filter.createdAt, $gte: from };
+    if (to && !isNaN(to)) filter.createdAt = { ...filter.createdAt, $lte: to };
+
+    return filter;
+}
+
+/**
+ * Fetch one page of the organization's invoices
+ */
+async function findInvoicePage(req, query) {
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 100);
+    const filter = buildInvoiceFilter(await getInvoiceScope(req), query);
+
+    const [invoices, total] = await Promise.all([
+        Invoice.find(filter)
+            .select('-internalNotes')
+            .populate('subscriptionTier', 'displayName')
+            .sort('-createdAt')
+            .limit(limit)
+            .skip((page - 1) * limit),
+        Invoice.countDocuments(filter),
+    ]);
+
+    return {
+        invoices: invoices.map((invoice) => invoice.toJSON()),
+        pagination: {
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+        },
+    };
+}
+
+/**
+ * Find a single invoice in the user's organization
+ */
+async function findScopedInvoice(req, invoiceId) {
+    if (!mongoose.Types.ObjectId.isValid(invoiceId)) return null;
+
+    return Invoice.findOne({ _id: invoiceId, ...(await getInvoiceScope(req)) })
+        .select('-internalNotes')
+        .populate('subscriptionTier', 'displayName');
+}
+
+/**
+ * Show billing history
+ */
+const showInvoices = async (req, res) => {
+    try {
+        const { invoices, pagination } = await findInvoicePage(req, req.query);
+
+        res.render('client/subscription/invoices', {
+            title: 'Billing History - CanvasCue',
+            layout: 'layout',
+            additionalCSS: ['dashboard-shared.css', 'subscription.css'],
+            invoices,
+            pagination,
+            statuses: PAYMENT_STATUSES,
+            currentFilters: { status: req.query.status || 'all' },
+        });
+    } catch (error) {
+        logger.error('Show invoices error:', error);
+        res.status(500).render('error', {
+            title: 'Error',
+            message: 'Failed to load billing history',
+            layout: 'layout',
+        });
+    }
+};
+
+/**
+ * Show single invoice
+ */
+const showInvoice = async (req, res) => {
+    try {
+        const invoice = await findScopedInvoice(req, req.params.id);
+
+        if (!invoice) {
+            return res.status(404).render('error', {
+                title: 'Not Found',
+                message: 'Invoice not found',
+                layout: 'layout',
+            });
+        }
+
+        res.render('client/subscription/invoice', {
+            title: `Invoice ${invoice.formattedNumber} - CanvasCue`,
+            layout: 'layout',
+            additionalCSS: ['dashboard-shared.css', 'subscription.css'],
+            invoice: invoice.toJSON(),
+        });
+    } catch (error) {
+        logger.error('Show invoice error:', error);
+        res.status(500).render('error', {
+            title: 'Error',
+            message: 'Failed to load invoice',
+            layout: 'layout',
+        });
+    }
+};
+
+/**
+ * Get invoices (API)
+ */
+const getInvoices = async (req, res) => {
+    try {
+        const data = await findInvoicePage(req, req.query);
+
+        res.json({
+            success: true,
+            data,
+        });
+    } catch (error) {
+        logger.error('Get invoices API error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch invoices',
+        });
+    }
+};
+
+/**
+ * Get single invoice (API)
+ */
+const getInvoice = async (req, res) => {
+    try {
+        const invoice = await findScopedInvoice(req, req.params.id);
+
+        if (!invoice) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invoice not found',
+            });
+        }
+
+        res.json({
+            success: true,
+            data: invoice,
+        });
+    } catch (error) {
+        logger.error('Get invoice API error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch invoice',
+        });
+    }
+};
+
+/**
+ * Download invoice as PDF
+ */
+const downloadInvoicePdf = async (req, res) => {
+    try {
+        const invoice = await findScopedInvoice(req, req.params.id);
+
+        if (!invoice) {
+            return res.status(404).render('error', {
+                title: 'Not Found',
+                message: 'Invoice not found',
+                layout: 'layout',
+            });
+        }
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader(
+            'Content-Disposition',
+            `attachment; filename="${invoice.formattedNumber}.pdf"`
+        );
+
+        renderInvoicePdf(invoice, res);
+
+        logger.info(`Invoice ${invoice.formattedNumber} downloaded by user ${req.session.userId}`);
+    } catch (error) {
+        logger.error('Download invoice PDF error:', error);
+        if (res.headersSent) return res.end();
+        res.status(500).render('error', {
+            title: 'Error',
+            message: 'Failed to generate invoice PDF',
+            layout: 'layout',
+        });
+    }
+};
+
+module.exports = {
+    showInvoices,
+    showInvoice,
+    getInvoices,
+    getInvoice,
+    downloadInvoicePdf,
+};
@@ -1,12 +1,12 @@
-const mongoose = require('mongoose');
 const User = require('../../../models/User');
 const Onboarding = require('../../../models/Onboarding');
 const SubscriptionTier = require('../../../models/SubscriptionTier');
-const { createAppLogger, createStorageService, createNotificationService } = require('@sahab/core');
+const { createAppLogger, createStorageService } = require('@sahab/core');
+const { createNotifier } = require('../../utils/notifier');
 
 const logger = createAppLogger();
 const storage = createStorageService();
-const notifications = createNotificationService(mongoose, {
+const notifications = createNotifier({
     types: ['onboarding_complete', 'profile_updated'],
     relatedModels: ['User', 'Onboarding'],
 });
@@ -1,39 +1,45 @@
-const mongoose = require('mongoose');
 const DesignRequest = require('../../../models/DesignRequest');
 const Subscription = require('../../../models/Subscription');
 const User = require('../../../models/User');
 const Message = require('../../../models/Message');
-const { createAppLogger, createStorageService, createNotificationService } = require('@sahab/core');
+const { createAppLogger } = require('@sahab/core');
+const { getMembership, getRequestScope } = require('../../utils/organizationUtils');
+const { validate, expandFields } = require('../../utils/apiSchema');
+const { CREATE_REQUEST_SCHEMA, UPDATE_REQUEST_SCHEMA } = require('../../utils/requestSchemas');
+const {
+    createDesignRequest,
+    updateDesignRequest,
+    addRequestMessage,
+    requestDesignRevision,
+    approveDesignDeliverable,
+} = require('../../utils/requestUtils');
 
 const logger = createAppLogger();
-const storage = createStorageService();
-const notifications = createNotificationService(mongoose, {
-    types: ['request_created', 'request_updated', 'revision_requested', 'message_received'],
-    relatedModels: ['DesignRequest', 'User'],
-});
+const MESSAGE_PAGE_SIZE = 50;
 
 /**
  * Show all requests for client
  */
 const showRequests = async (req, res) => {
     try {
-        const userId = req.session.userId;
         const { status, priority, sort = '-createdAt' } = req.query;
+        const { organization, canEdit } = await getMembership(req);
 
-        // Build filter
-        const filter = { client: userId, isArchived: false };
+        // Build filter; teammates see each other's requests
+        const filter = { organization: organization._id, isArchived: false };
         if (status && status !== 'all') filter.status = status;
         if (priority && priority !== 'all') filter.priority = priority;
 
         // Get requests
         const requests = await DesignRequest.find(filter)
             .populate('designer', 'fullName email')
+            .populate('client', 'fullName email')
             .sort(sort)
             .lean();
 
         // Get stats for filters
         const stats = await DesignRequest.aggregate([
-            { $match: { client: new mongoose.Types.ObjectId(userId), isArchived: false } },
+            { $match: { organization: organization._id, isArchived: false } },
             {
                 $group: {
                     _id: '$status',
@@ -54,6 +60,7 @@ const showRequests = async (req, res) => {
             additionalJS: ['requests.js'],
             requests,
             statusCounts,
+            canEdit,
             currentFilters: { status, priority, sort },
         });
     } catch (error) {
@@ -123,94 +130,92 @@ const showNewRequest = async (req, res) => {
 };
 
 /**
- * Create new request
+ * Send the error for a request action the user can't perform
  */
-const createRequest = async (req, res) => {
-    try {
-        const userId = req.session.userId;
-        const {
-            title,
-            description,
-            category,
-            platform,
-            priority,
-            deadline,
-            specifications,
-            clientNotes,
-        } = req.body;
-
-        // Validate subscription
-        const subscription = await Subscription.findActiveByUser(userId);
-        if (!subscription) {
-            return res.status(403).json({
-                success: false,
-                message: 'Active subscription required',
-            });
-        }
+function sendActionError(res, error) {
+    res.status(error.status).json({
+        success: false,
+        message: error.message,
+    });
+}
 
-        // Check limits
-        if (subscription.hasReachedDesignLimit) {
-            return res.status(403).json({
-                success: false,
-                message: 'Monthly design limit reached',
-            });
-        }
+/**
+ * Send field-level errors a form can show next to each input
+ */
+function sendValidationError(res, errors) {
+    res.status(400).json({
+        success: false,
+        message: 'Please correct the highlighted fields',
+        errors,
+    });
+}
+
+/**
+ * Form posts send every value as a string (empty for blank inputs); JSON bodies are typed
+ * and an empty string there is a value to check, so only coerce form bodies
+ */
+function isFormBody(req) {
+    return Boolean(req.is(['urlencoded', 'multipart']));
+}
 
-        // Create request
-        const request = new DesignRequest({
-            client: userId,
-            subscription: subscription._id,
-            title: title.trim(),
-            description: description.trim(),
-            category,
-            platform: platform || null,
-            priority: priority || 'normal',
-            deadline: deadline || null,
-            specifications: specifications || {},
-            clientNotes: clientNotes?.trim() || null,
-            status: 'draft',
+/**
+ * Answer a failed form submission: JSON for the page script, otherwise back to the form
+ */
+function sendFormError(req, res, status, message, errors = null) {
+    if (req.accepts(['html', 'json']) === 'json') {
+        return res.status(status).json({
+            success: false,
+            message,
+            ...(errors ? { errors } : {}),
         });
+    }
 
-        // Handle file uploads if any
-        if (req.files && req.files.length > 0) {
-            request.referenceFiles = await Promise.all(
-                req.files.map(async (file) => {
-                    const result = await storage.uploadFile(file, `requests/${request._id}`);
-                    return {
-                        fileName: file.originalname,
-                        fileUrl: await storage.getSignedUrl(result.fileName),
-                        fileType: file.mimetype,
-                        fileSize: file.size,
-                        description: req.body[`file_description_${file.fieldname}`] || '',
-                    };
-                })
-            );
+    const details = errors
+        ? Object.entries(errors).map(([field, error]) => `${field}: ${error}`)
+        : [];
+    req.session.flashMessage = {
+        type: 'error',
+        message: [message, ...details].join('. '),
+    };
+    res.redirect('/requests/new');
+}
+
+/**
+ * Create new request
+ */
+const createRequest = async (req, res) => {
+    try {
+        // Multipart fields arrive flat, e.g. "specifications[dimensions][width]"
+        const { value, errors } = validate(CREATE_REQUEST_SCHEMA, expandFields(req.body), {
+            coerce: true,
+        });
+        if (errors) {
+            return sendFormError(req, res, 400, 'Please correct the highlighted fields', errors);
         }
 
-        // Save request
-        await request.save();
+        const files = (req.files || []).map((file) => ({
+            ...file,
+            description: req.body[`file_description_${file.fieldname}`] || '',
+        }));
 
-        // Update subscription usage
-        await subscription.incrementDesignUsage();
-        await subscription.updateActiveDesigns(subscription.usage.activeDesignRequests + 1);
+        const request = await createDesignRequest(req, value, files);
 
-        // Create notification for admins
-        await notifications.create(
-            null, // Will be sent to admins
-            'request_created',
-            'New Design Request',
-            `New request "${title}" created by ${req.session.userEmail}`,
-            {
-                relatedModel: 'DesignRequest',
-                relatedId: request._id,
-                priority,
-            }
+        logger.info(
+            `Design request created: ${request.requestNumber} by user ${req.session.userId}`
         );
 
-        logger.info(`Design request created: ${request.requestNumber} by user ${userId}`);
-
-        res.redirect(`/requests/${request._id}`);
+        const url = `/requests/${request._id}`;
+        if (req.accepts(['html', 'json']) === 'json') {
+            return res.status(201).json({
+                success: true,
+                data: { _id: request._id, url },
+            });
+        }
+        res.redirect(url);
     } catch (error) {
+        if (error.name === 'RequestActionError') {
+            return sendFormError(req, res, error.status, error.message);
+        }
         logger.error('Create request error:', error);
         res.status(500).render('error', {
             title: 'Error',
@@ -228,9 +233,11 @@ const showRequest = async (req, res) => {
         const userId = req.session.userId;
         const requestId = req.params.id;
 
+        const { organization, canEdit } = await getMembership(req);
+
         const request = await DesignRequest.findOne({
             _id: requestId,
-            client: userId,
+            organization: organization._id,
         })
             .populate('designer', 'fullName email')
             .populate('subscription');
@@ -243,10 +250,9 @@ const showRequest = async (req, res) => {
             });
         }
 
-        // Get messages for this request
-        const messages = await Message.find({ designRequest: requestId })
-            .populate('sender', 'fullName email role')
-            .sort('createdAt');
+        // Get the latest messages; older ones are paged in by the conversation API
+        const messages = await Message.getConversation(requestId, { limit: MESSAGE_PAGE_SIZE });
+        messages.reverse();
 
         // Mark messages as read
         await Message.updateMany(
@@ -269,6 +275,8 @@ const showRequest = async (req, res) => {
             additionalJS: ['request-detail.js'],
             request: request.toJSON(),
             messages,
+            hasMoreMessages: messages.length === MESSAGE_PAGE_SIZE,
+            canEdit,
         });
     } catch (error) {
         logger.error('Show request error:', error);
@@ -285,10 +293,9 @@ const showRequest = async (req, res) => {
  */
 const getRequests = async (req, res) => {
     try {
-        const userId = req.session.userId;
         const { status, priority, page = 1, limit = 20 } = req.query;
 
-        const filter = { client: userId, isArchived: false };
+        const filter = { ...(await getRequestScope(req)), isArchived: false };
         if (status) filter.status = status;
         if (priority) filter.priority = priority;
 
@@ -326,38 +333,12 @@ const getRequests = async (req, res) => {
  */
 const createRequestAPI = async (req, res) => {
     try {
-        const userId = req.session.userId;
-
-        // Validate subscription
-        const subscription = await Subscription.findActiveByUser(userId);
-        if (!subscription) {
-            return res.status(403).json({
-                success: false,
-                message: 'Active subscription required',
-            });
-        }
-
-        // Check limits
-        if (subscription.hasReachedDesignLimit) {
-            return res.status(403).json({
-                success: false,
-                message: 'Monthly design limit reached',
-            });
-        }
-
-        // Create request
-        const request = new DesignRequest({
-            ...req.body,
-            client: userId,
-            subscription: subscription._id,
-            status: 'draft',
+        const { value, errors } = validate(CREATE_REQUEST_SCHEMA, req.body, {
+            coerce: isFormBody(req),
         });
+        if (errors) return sendValidationError(res, errors);
 
-        await request.save();
-
-        // Update subscription usage
-        await subscription.incrementDesignUsage();
-        await subscription.updateActiveDesigns(subscription.usage.activeDesignRequests + 1);
+        const request = await createDesignRequest(req, value);
 
         logger.info(`Design request created via API: ${request.requestNumber}`);
 
@@ -366,6 +347,7 @@ const createRequestAPI = async (req, res) => {
             data: request,
         });
     } catch (error) {
+        if (error.name === 'RequestActionError') return sendActionError(res, error);
         logger.error('Create request API error:', error);
         res.status(500).json({
             success: false,
@@ -379,61 +361,21 @@ const createRequestAPI = async (req, res) => {
  */
 const updateRequest = async (req, res) => {
     try {
-        const userId = req.session.userId;
-        const requestId = req.params.id;
-        const updates = req.body;
-
-        const request = await DesignRequest.findOne({
-            _id: requestId,
-            client: userId,
-        });
-
-        if (!request) {
-            return res.status(404).json({
-                success: false,
-                message: 'Request not found',
-            });
-        }
-
-        // Only allow updates if status is draft or submitted
-        if (!['draft', 'submitted'].includes(request.status)) {
-            return res.status(403).json({
-                success: false,
-                message: 'Cannot update request in current status',
-            });
-        }
-
-        // Update allowed fields
-        const allowedFields = [
-            'title',
-            'description',
-            'category',
-            'platform',
-            'priority',
-            'deadline',
-            'specifications',
-            'clientNotes',
-        ];
-        allowedFields.forEach((field) => {
-            if (updates[field] !== undefined) {
-                request[field] = updates[field];
-            }
+        const { value, errors } = validate(UPDATE_REQUEST_SCHEMA, req.body, {
+            coerce: isFormBody(req),
         });
+        if (errors) return sendValidationError(res, errors);
 
-        // Update status if submitting
-        if (updates.submit === true && request.status === 'draft') {
-            await request.updateStatus('submitted', userId);
-        }
-
-        await request.save();
+        const request = await updateDesignRequest(req, req.params.id, value);
 
-        logger.info(`Request ${request.requestNumber} updated by user ${userId}`);
+        logger.info(`Request ${request.requestNumber} updated by user ${req.session.userId}`);
 
         res.json({
             success: true,
             data: request,
         });
     } catch (error) {
+        if (error.name === 'RequestActionError') return sendActionError(res, error);
         logger.error('Update request error:', error);
         res.status(500).json({
             success: false,
@@ -447,62 +389,16 @@ const updateRequest = async (req, res) => {
  */
 const addMessage = async (req, res) => {
     try {
-        const userId = req.session.userId;
-        const requestId = req.params.id;
-        const { message, attachments } = req.body;
-
-        // Verify request ownership
-        const request = await DesignRequest.findOne({
-            _id: requestId,
-            client: userId,
-        });
-
-        if (!request) {
-            return res.status(404).json({
-                success: false,
-                message: 'Request not found',
-            });
-        }
-
-        // Create message
-        const newMessage = new Message({
-            designRequest: requestId,
-            sender: userId,
-            recipient: request.designer,
-            message: message.trim(),
-            attachments: attachments || [],
-        });
-
-        await newMessage.save();
-
-        // Update request
-        request.lastMessageAt = new Date();
-        if (request.designer) {
-            request.unreadMessagesCount.designer += 1;
-        }
-        await request.save();
-
-        // Send notification
-        if (request.designer) {
-            await notifications.create(
-                request.designer,
-                'message_received',
-                'New Message',
-                `New message on request ${request.requestNumber}`,
-                {
-                    relatedModel: 'DesignRequest',
-                    relatedId: requestId,
-                }
-            );
-        }
+        const { request, message } = await addRequestMessage(req, req.params.id, req.body);
 
         logger.info(`Message added to request ${request.requestNumber}`);
 
         res.json({
             success: true,
-            data: newMessage,
+            data: message,
         });
     } catch (error) {
+        if (error.name === 'RequestActionError') return sendActionError(res, error);
         logger.error('Add message error:', error);
         res.status(500).json({
             success: false,
@@ -516,46 +412,11 @@ const addMessage = async (req, res) => {
  */
 const requestRevision = async (req, res) => {
     try {
-        const userId = req.session.userId;
-        const requestId = req.params.id;
-        const { description } = req.body;
-
-        const request = await DesignRequest.findOne({
-            _id: requestId,
-            client: userId,
-        });
-
-        if (!request) {
-            return res.status(404).json({
-                success: false,
-                message: 'Request not found',
-            });
-        }
-
-        // Check if status allows revision
-        if (!['pending-approval', 'completed'].includes(request.status)) {
-            return res.status(403).json({
-                success: false,
-                message: 'Cannot request revision in current status',
-            });
-        }
-
-        // Add revision
-        const revision = await request.addRevision(description, userId);
-
-        // Send notification to designer
-        if (request.designer) {
-            await notifications.create(
-                request.designer,
-                'revision_requested',
-                'Revision Requested',
-                `Revision requested for ${request.requestNumber}`,
-                {
-                    relatedModel: 'DesignRequest',
-                    relatedId: requestId,
-                }
-            );
-        }
+        const { request, revision } = await requestDesignRevision(
+            req,
+            req.params.id,
+            req.body.description
+        );
 
         logger.info(`Revision requested for ${request.requestNumber}`);
 
@@ -564,6 +425,7 @@ const requestRevision = async (req, res) => {
             data: revision,
         });
     } catch (error) {
+        if (error.name === 'RequestActionError') return sendActionError(res, error);
         logger.error('Request revision error:', error);
         res.status(500).json({
             success: false,
@@ -572,6 +434,33 @@ const requestRevision = async (req, res) => {
     }
 };
 
+/**
+ * Approve a deliverable version
+ */
+const approveDeliverable = async (req, res) => {
+    try {
+        const { request, deliverable } = await approveDesignDeliverable(
+            req,
+            req.params.id,
+            req.body
+        );
+
+        logger.info(`Version ${deliverable.version} of ${request.requestNumber} approved`);
+
+        res.json({
+            success: true,
+            data: request,
+        });
+    } catch (error) {
+        if (error.name === 'RequestActionError') return sendActionError(res, error);
+        logger.error('Approve deliverable error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to approve design',
+        });
+    }
+};
+
 module.exports = {
     showRequests,
     showNewRequest,
@@ -582,4 +471,5 @@ module.exports = {
     updateRequest,
     addMessage,
     requestRevision,
+    approveDeliverable,
 };
@@ -1,13 +1,23 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const QRCode = require('qrcode');
 const User = require('../../../models/User');
 const Onboarding = require('../../../models/Onboarding');
-const { createAppLogger, createStorageService, createNotificationService } = require('@sahab/core');
+const NotificationPreference = require('../../../models/NotificationPreference');
+const UserSession = require('../../../models/UserSession');
+const Organization = require('../../../models/Organization');
+const ApiToken = require('../../../models/ApiToken');
+const WebhookEndpoint = require('../../../models/WebhookEndpoint');
+const WebhookDelivery = require('../../../models/WebhookDelivery');
+const { createAppLogger, createStorageService } = require('@sahab/core');
+const { createNotifier } = require('../../utils/notifier');
+const { sendVerificationEmail } = require('../../utils/accountEmails');
+const { getMembership } = require('../../utils/organizationUtils');
 
 const logger = createAppLogger();
 const storage = createStorageService();
-const notifications = createNotificationService(mongoose, {
-    types: ['profile_updated', 'password_changed', 'brand_updated'],
+const notifications = createNotifier({
+    types: ['profile_updated', 'password_changed', 'brand_updated', 'two_factor_changed'],
     relatedModels: ['User', 'Onboarding'],
 });
 
@@ -19,8 +29,39 @@ const showSettings = async (req, res) => {
         const userId = req.session.userId;
         const { tab = 'profile' } = req.query;
 
-        const user = await User.findById(userId);
+        const user = await User.findById(userId).select('+twoFactorRecoveryCodes');
         const onboarding = await Onboarding.findByUserId(userId);
+        const notificationPreferences = await NotificationPreference.findByUser(userId);
+        const sessions = await UserSession.findActiveByUser(userId);
+
+        // Team members and invitations, for clients only
+        let team = null;
+        if (user.role === 'client' && tab === 'team') {
+            const { organization, role } = await getMembership(req);
+            await organization.populate('members.user', 'fullName email accountType companyName');
+            team = { organization: organization.toJSON(), role };
+        }
+
+        // Personal API tokens, for clients only
+        let apiTokens = null;
+        if (user.role === 'client' && tab === 'api') {
+            apiTokens = (await ApiToken.findByUser(userId)).map((token) => token.toJSON());
+        }
+
+        // Webhook endpoints and recent deliveries, for clients only
+        let webhooks = null;
+        if (user.role === 'client' && tab === 'webhooks') {
+            const { organization, role } = await getMembership(req);
+            const [endpoints, deliveries] = await Promise.all([
+                WebhookEndpoint.find({ organization: organization._id }).sort('createdAt'),
+                WebhookDelivery.findRecentByOrganization(organization._id),
+            ]);
+            webhooks = {
+                endpoints: endpoints.map((endpoint) => endpoint.toJSON()),
+                deliveries: deliveries.map((delivery) => delivery.toJSON()),
+                canManage: role === 'owner',
+            };
+        }
 
         // Get flash messages from session
         const flashMessage = req.session.flashMessage;
@@ -33,6 +74,21 @@ const showSettings = async (req, res) => {
             additionalJS: ['settings.js'],
             user: user.toJSON(),
             onboarding: onboarding ? onboarding.toJSON() : null,
+            notificationSettings: notificationPreferences.toSettings(),
+            notificationChannels: NotificationPreference.CHANNELS,
+            digestFrequency: notificationPreferences.digestFrequency,
+            digestFrequencies: NotificationPreference.DIGEST_FREQUENCIES,
+            recoveryCodesRemaining: (user.twoFactorRecoveryCodes || []).length,
+            team,
+            teamRoles: Organization.ROLES,
+            apiTokens,
+            apiScopes: ApiToken.SCOPES,
+            webhooks,
+            webhookEvents: WebhookEndpoint.EVENTS,
+            sessions: sessions.map((session) => ({
+                ...session.toJSON(),
+                isCurrent: session.sessionId === req.sessionID,
+            })),
             activeTab: tab,
             flashMessage,
         });
@@ -57,7 +113,8 @@ const updateProfile = async (req, res) => {
         const user = await User.findById(userId);
 
         // Check if email is being changed
-        if (email && email !== user.email) {
+        let verificationToken = null;
+        if (email && email.toLowerCase().trim() !== user.email) {
             // Check if email already exists
             const existingUser = await User.findByEmail(email);
             if (existingUser && existingUser._id.toString() !== userId) {
@@ -67,15 +124,8 @@ const updateProfile = async (req, res) => {
                 });
             }
 
-            user.email = email.toLowerCase().trim();
-            user.isEmailVerified = false;
-
-            // Generate verification token
-            const verificationToken = user.generateEmailVerificationToken();
-            await user.save();
-
-            // Send verification email (implement email service)
-            // await emailService.sendVerificationEmail(user.email, verificationToken);
+            // The change only takes effect once the new address is confirmed
+            verificationToken = user.generateEmailVerificationToken(email);
         }
 
         // Update profile fields
@@ -90,8 +140,9 @@ const updateProfile = async (req, res) => {
         user.accountType = accountType || user.accountType;
         await user.save();
 
-        // Update session
-        req.session.userEmail = user.email;
+        if (verificationToken) {
+            await sendVerificationEmail(user.pendingEmail, verificationToken);
+        }
 
         // Create notification
         await notifications.create(
@@ -109,9 +160,12 @@ const updateProfile = async (req, res) => {
 
         res.json({
             success: true,
-            message: 'Profile updated successfully',
+            message: verificationToken
+                ? `Profile updated. Check ${user.pendingEmail} to confirm your new email address.`
+                : 'Profile updated successfully',
             data: {
                 email: user.email,
+                pendingEmail: user.pendingEmail || null,
                 displayName: user.displayName,
             },
         });
@@ -169,6 +223,13 @@ const updatePassword = async (req, res) => {
         user.password = newPassword;
         await user.save();
 
+        // Sign out everywhere else in case the old password was compromised
+        const revokedSessions = await UserSession.revokeOthers(
+            req.sessionStore,
+            userId,
+            req.sessionID
+        );
+
         // Create notification
         await notifications.create(
             userId,
@@ -182,11 +243,14 @@ const updatePassword = async (req, res) => {
             }
         );
 
-        logger.info(`Password updated for user ${userId}`);
+        logger.info(
+            `Password updated for user ${userId}, signed out ${revokedSessions} other sessions`
+        );
 
         res.json({
             success: true,
             message: 'Password updated successfully',
+            revokedSessions,
         });
     } catch (error) {
         logger.error('Update password error:', error);
@@ -197,6 +261,412 @@ const updatePassword = async (req, res) => {
     }
 };
 
+/**
+ * Start two-factor enrollment and return the QR code for the authenticator app
+ */
+const setupTwoFactor = async (req, res) => {
+    try {
+        const user = await User.findById(req.session.userId);
+
+        if (user.twoFactorEnabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is already enabled',
+            });
+        }
+
+        const otpauthUrl = user.startTwoFactorSetup();
+        await user.save();
+
+        res.json({
+            success: true,
+            qrCode: await QRCode.toDataURL(otpauthUrl),
+            // For apps that can't scan the code
+            secret: user.twoFactorPendingSecret,
+        });
+    } catch (error) {
+        logger.error('Two-factor setup error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to start two-factor setup',
+        });
+    }
+};
+
+/**
+ * Confirm the first code from the authenticator app and turn two-factor on
+ */
+const enableTwoFactor = async (req, res) => {
+    try {
+        const userId = req.session.userId;
+        const user = await User.findById(userId).select('+twoFactorPendingSecret');
+
+        if (user.twoFactorEnabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is already enabled',
+            });
+        }
+
+        if (!user.confirmTwoFactorSetup(req.body.code)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid verification code',
+            });
+        }
+
+        const recoveryCodes = user.generateRecoveryCodes();
+        await user.save();
+
+        await notifications.create(
+            userId,
+            'two_factor_changed',
+            'Two-Factor Authentication Enabled',
+            'Two-factor authentication is now required when you sign in.',
+            {
+                relatedModel: 'User',
+                relatedId: userId,
+                priority: 'high',
+            }
+        );
+
+        logger.info(`Two-factor authentication enabled for user ${userId}`);
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication enabled',
+            recoveryCodes,
+        });
+    } catch (error) {
+        logger.error('Enable two-factor error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to enable two-factor authentication',
+        });
+    }
+};
+
+/**
+ * Turn two-factor off; requires the password and a current code
+ */
+const disableTwoFactor = async (req, res) => {
+    try {
+        const userId = req.session.userId;
+        const { password, code } = req.body;
+
+        if (!password || !code) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password and verification code are required',
+            });
+        }
+
+        const user = await User.findById(userId).select(
+            '+twoFactorSecret +twoFactorLastTimeStep +twoFactorRecoveryCodes +twoFactorRecoverySalt'
+        );
+
+        if (!(await user.comparePassword(password)) || !(await user.verifyTwoFactorCode(code))) {
+            return res.status(401).json({
+                success: false,
+                message: 'Incorrect password or verification code',
+            });
+        }
+
+        user.disableTwoFactor();
+        await user.save();
+
+        await notifications.create(
+            userId,
+            'two_factor_changed',
+            'Two-Factor Authentication Disabled',
+            'Two-factor authentication was turned off. If you did not make this change, please contact support immediately.',
+            {
+                relatedModel: 'User',
+                relatedId: userId,
+                priority: 'high',
+            }
+        );
+
+        logger.info(`Two-factor authentication disabled for user ${userId}`);
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication disabled',
+        });
+    } catch (error) {
+        logger.error('Disable two-factor error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to disable two-factor authentication',
+        });
+    }
+};
+
+/**
+ * Replace the recovery codes; requires a current code
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+    try {
+        const userId = req.session.userId;
+        const user = await User.findById(userId).select(
+            '+twoFactorSecret +twoFactorLastTimeStep +twoFactorRecoveryCodes +twoFactorRecoverySalt'
+        );
+
+        if (!user.twoFactorEnabled || !(await user.verifyTwoFactorCode(req.body.code))) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid verification code',
+            });
+        }
+
+        const recoveryCodes = user.generateRecoveryCodes();
+        await user.save();
+
+        logger.info(`Recovery codes regenerated for user ${userId}`);
+
+        res.json({
+            success: true,
+            message: 'New recovery codes generated',
+            recoveryCodes,
+        });
+    } catch (error) {
+        logger.error('Regenerate recovery codes error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to generate recovery codes',
+        });
+    }
+};
+
+/**
+ * Sign out one of the user's other sessions
+ */
+const revokeSession = async (req, res) => {
+    try {
+        const userId = req.session.userId;
+
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found',
+            });
+        }
+
+        const revoked = await UserSession.revoke(req.sessionStore, {
+            _id: req.params.id,
+            user: userId,
+            sessionId: { $ne: req.sessionID },
+        });
+
+        if (!revoked) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found',
+            });
+        }
+
+        logger.info(`User ${userId} signed out session ${req.params.id}`);
+
+        res.json({
+            success: true,
+            message: 'Session signed out',
+        });
+    } catch (error) {
+        logger.error('Revoke session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to sign out session',
+        });
+    }
+};
+
+/**
+ * Sign out every session except the current one
+ */
+const revokeOtherSessions = async (req, res) => {
+    try {
+        const userId = req.session.userId;
+        const revoked = await UserSession.revokeOthers(req.sessionStore, userId, req.sessionID);
+
+        logger.info(`User ${userId} signed out ${revoked} other sessions`);
+
+        res.json({
+            success: true,
+            message: `Signed out ${revoked} other session${revoked === 1 ? '' : 's'}`,
+            revoked,
+        });
+    } catch (error) {
+        logger.error('Revoke other sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to sign out other sessions',
+        });
+    }
+};
+
+/**
+ * Create a personal API token. The token itself is only returned this once.
+ */
+const createApiToken = async (req, res) => {
+    try {
+        const userId = req.session.userId;
+        const { name, expiresInDays } = req.body;
+        const scopes = [].concat(req.body.scopes || []);
+
+        if (req.session.userRole !== 'client') {
+            return res.status(403).json({
+                success: false,
+                message: 'API tokens are only available to client accounts',
+            });
+        }
+
+        if (!name || !name.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please give the token a name',
+            });
+        }
+
+        if (scopes.length === 0 || !scopes.every((scope) => ApiToken.SCOPES[scope])) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please choose at least one valid scope',
+            });
+        }
+
+        if ((await ApiToken.countDocuments({ user: userId })) >= ApiToken.MAX_TOKENS_PER_USER) {
+            return res.status(400).json({
+                success: false,
+                message: `You can have at most ${ApiToken.MAX_TOKENS_PER_USER} API tokens`,
+            });
+        }
+
+        let expiresAt = null;
+        if (expiresInDays) {
+            const days = parseInt(expiresInDays, 10);
+            if (!(days >= 1 && days <= 365)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Expiry must be between 1 and 365 days',
+                });
+            }
+            expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+        }
+
+        const { token, record } = await ApiToken.generate({
+            user: userId,
+            name: name.trim(),
+            scopes: [...new Set(scopes)],
+            expiresAt,
+        });
+
+        logger.info(`User ${userId} created API token ${record._id}`);
+
+        res.json({
+            success: true,
+            message: 'API token created',
+            token,
+            apiToken: record.toJSON(),
+        });
+    } catch (error) {
+        logger.error('Create API token error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create API token',
+        });
+    }
+};
+
+/**
+ * Revoke a personal API token
+ */
+const revokeApiToken = async (req, res) => {
+    try {
+        const userId = req.session.userId;
+
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'API token not found',
+            });
+        }
+
+        const result = await ApiToken.deleteOne({ _id: req.params.id, user: userId });
+
+        if (result.deletedCount === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'API token not found',
+            });
+        }
+
+        logger.info(`User ${userId} revoked API token ${req.params.id}`);
+
+        res.json({
+            success: true,
+            message: 'API token revoked',
+        });
+    } catch (error) {
+        logger.error('Revoke API token error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to revoke API token',
+        });
+    }
+};
+
+/**
+ * Update notification channel preferences
+ */
+const updateNotifications = async (req, res) => {
+    try {
+        const userId = req.session.userId;
+        const { channels, digestFrequency } = req.body;
+
+        if ((!channels || typeof channels !== 'object') && !digestFrequency) {
+            return res.status(400).json({
+                success: false,
+                message: 'No preferences provided',
+            });
+        }
+
+        if (
+            digestFrequency &&
+            !NotificationPreference.DIGEST_FREQUENCIES.includes(digestFrequency)
+        ) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid digest frequency',
+            });
+        }
+
+        let preferences;
+        if (channels && typeof channels === 'object') {
+            preferences = await NotificationPreference.updateChannels(userId, channels);
+        }
+        if (digestFrequency) {
+            preferences = await NotificationPreference.updateDigestFrequency(
+                userId,
+                digestFrequency
+            );
+        }
+
+        logger.info(`Notification preferences updated for user ${userId}`);
+
+        res.json({
+            success: true,
+            message: 'Notification preferences saved',
+            data: preferences.toSettings(),
+        });
+    } catch (error) {
+        logger.error('Update notifications error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update notification preferences',
+        });
+    }
+};
+
 /**
  * Update brand guidelines
  */
@@ -514,6 +984,15 @@ module.exports = {
     showSettings,
     updateProfile,
     updatePassword,
+    updateNotifications,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    revokeSession,
+    revokeOtherSessions,
+    createApiToken,
+    revokeApiToken,
     updateBrand,
     uploadBrandFile,
     deleteBrandFile,
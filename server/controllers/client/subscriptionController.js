@@ -1,13 +1,15 @@
-const mongoose = require('mongoose');
 const Subscription = require('../../../models/Subscription');
 const SubscriptionTier = require('../../../models/SubscriptionTier');
 const User = require('../../../models/User');
 const Invoice = require('../../../models/Invoice');
-const { createAppLogger, createStripeService, createNotificationService } = require('@sahab/core');
+const { createAppLogger, createStripeService } = require('@sahab/core');
+const { createNotifier } = require('../../utils/notifier');
+const { activateCheckoutSession } = require('../../utils/billingUtils');
+const { getInvoiceScope } = require('../../utils/organizationUtils');
 
 const logger = createAppLogger();
 const stripe = createStripeService();
-const notifications = createNotificationService(mongoose, {
+const notifications = createNotifier({
     types: [
         'subscription_created',
         'subscription_upgraded',
@@ -33,7 +35,10 @@ const showSubscription = async (req, res) => {
 
         // Get recent invoices
         const invoices = subscription
-            ? await Invoice.find({ user: userId }).sort('-createdAt').limit(5).lean()
+            ? await Invoice.find(await getInvoiceScope(req))
+                  .sort('-createdAt')
+                  .limit(5)
+                  .lean()
             : [];
 
         res.render('client/subscription/index', {
@@ -301,6 +306,7 @@ const cancelSubscription = async (req, res) => {
             },
             { status: 'canceled' }
         );
+        await subscription.reconcileActiveDesigns();
 
         // Create notification
         await notifications.create(
@@ -348,60 +354,8 @@ const handleSubscriptionSuccess = async (req, res) => {
         const session = await stripe.client.checkout.sessions.retrieve(session_id);
 
         if (session.payment_status === 'paid') {
-            const userId = session.metadata.userId;
-            const tierId = session.metadata.tierId;
-            const billingPeriod = session.metadata.billingPeriod;
-
-            // Check if subscription already created (webhook may have handled it)
-            let subscription = await Subscription.findOne({
-                stripeSubscriptionId: session.subscription,
-            });
-
-            if (!subscription) {
-                // Create subscription
-                const tier = await SubscriptionTier.findById(tierId);
-                const user = await User.findById(userId);
-
-                // Get subscription details from Stripe
-                const stripeSubscription = await stripe.client.subscriptions.retrieve(
-                    session.subscription
-                );
-
-                subscription = new Subscription({
-                    user: userId,
-                    tier: tierId,
-                    billingPeriod,
-                    amount: tier.calculatePrice(billingPeriod),
-                    currency: tier.pricing.currency,
-                    status: 'active',
-                    stripeSubscriptionId: stripeSubscription.id,
-                    stripeCustomerId: stripeSubscription.customer,
-                    stripeSubscriptionItemId: stripeSubscription.items.data[0].id,
-                    currentPeriodStart: new Date(stripeSubscription.current_period_start * 1000),
-                    currentPeriodEnd: new Date(stripeSubscription.current_period_end * 1000),
-                    nextBillingDate: new Date(stripeSubscription.current_period_end * 1000),
-                });
-
-                await subscription.save();
-
-                // Update user
-                user.currentSubscription = subscription._id;
-                await user.save();
-
-                // Create notification
-                await notifications.create(
-                    userId,
-                    'subscription_created',
-                    'Subscription Activated',
-                    `Welcome to ${tier.displayName}! Your subscription is now active.`,
-                    {
-                        relatedModel: 'Subscription',
-                        relatedId: subscription._id,
-                    }
-                );
-
-                logger.info(`Subscription created for user ${userId}`);
-            }
+            // Webhook may have already handled it
+            await activateCheckoutSession(session);
 
             req.session.flashMessage = {
                 type: 'success',
@@ -0,0 +1,428 @@
+const mongoose = require('mongoose');
+const DesignRequest = require('../../../models/DesignRequest');
+const Organization = require('../../../models/Organization');
+const Subscription = require('../../../models/Subscription');
+const User = require('../../../models/User');
+const { createAppLogger } = require('@sahab/core');
+const { validation } = require('../../utils/services');
+const { createNotifier } = require('../../utils/notifier');
+const { getMembership } = require('../../utils/organizationUtils');
+const { sendTeamInvitationEmail } = require('../../utils/accountEmails');
+
+const logger = createAppLogger();
+const notifications = createNotifier({
+    types: ['team_member_joined'],
+    relatedModels: ['Organization', 'User'],
+});
+
+/**
+ * Reject the request unless the user owns their organization
+ */
+function denyUnlessOwner(membership, res) {
+    if (membership.role === 'owner') return false;
+
+    res.status(403).json({
+        success: false,
+        message: 'Only team owners can manage the team',
+    });
+    return true;
+}
+
+/**
+ * Render the invitation page: sign-in prompt, accept confirmation (with token) or error
+ */
+function renderInvitation(res, status, data) {
+    res.status(status).render('auth/invitation', {
+        title: 'Team Invitation - CanvasCue',
+        layout: 'layout',
+        showNav: false,
+        showFooter: false,
+        additionalCSS: ['auth.css'],
+        organizationName: null,
+        email: null,
+        token: null,
+        error: null,
+        ...data,
+    });
+}
+
+/**
+ * Invite someone to the team by email
+ */
+const inviteMember = async (req, res) => {
+    try {
+        const membership = await getMembership(req);
+        if (denyUnlessOwner(membership, res)) return;
+
+        const { organization } = membership;
+        const { email, role = 'member' } = req.body;
+
+        if (!email || !validation.validators.email(email)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a valid email address',
+            });
+        }
+
+        if (!Organization.ROLES.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid role',
+            });
+        }
+
+        const existingUser = await User.findByEmail(email);
+        if (existingUser && organization.getRole(existingUser._id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'This person is already on your team',
+            });
+        }
+
+        const token = organization.createInvitation(email, role, req.session.userId);
+        await organization.save();
+
+        const inviter = await User.findById(req.session.userId);
+        await sendTeamInvitationEmail(email, token, organization.name, inviter.displayName);
+
+        logger.info(
+            `User ${req.session.userId} invited ${email} to organization ${organization._id}`
+        );
+
+        res.json({
+            success: true,
+            message: 'Invitation sent',
+            invitation: organization.toJSON().invitations.slice(-1)[0],
+        });
+    } catch (error) {
+        logger.error('Invite member error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to send invitation',
+        });
+    }
+};
+
+/**
+ * Cancel a pending invitation
+ */
+const revokeInvitation = async (req, res) => {
+    try {
+        const membership = await getMembership(req);
+        if (denyUnlessOwner(membership, res)) return;
+
+        const { organization } = membership;
+        const invitation = organization.invitations.id(req.params.id);
+
+        if (!invitation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invitation not found',
+            });
+        }
+
+        organization.invitations.pull(invitation._id);
+        await organization.save();
+
+        logger.info(
+            `Invitation for ${invitation.email} revoked in organization ${organization._id}`
+        );
+
+        res.json({
+            success: true,
+            message: 'Invitation revoked',
+        });
+    } catch (error) {
+        logger.error('Revoke invitation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to revoke invitation',
+        });
+    }
+};
+
+/**
+ * Change a member's role
+ */
+const updateMemberRole = async (req, res) => {
+    try {
+        const membership = await getMembership(req);
+        if (denyUnlessOwner(membership, res)) return;
+
+        const { organization } = membership;
+        const { role } = req.body;
+        const member = organization.members.find((m) => m.user.toString() === req.params.userId);
+
+        if (!member) {
+            return res.status(404).json({
+                success: false,
+                message: 'Member not found',
+            });
+        }
+
+        if (!Organization.ROLES.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid role',
+            });
+        }
+
+        if (member.role === 'owner' && role !== 'owner' && organization.ownerCount === 1) {
+            return res.status(400).json({
+                success: false,
+                message: 'A team needs at least one owner',
+            });
+        }
+
+        member.role = role;
+        await organization.save();
+
+        logger.info(
+            `Member ${req.params.userId} is now ${role} in organization ${organization._id}`
+        );
+
+        res.json({
+            success: true,
+            message: 'Role updated',
+        });
+    } catch (error) {
+        logger.error('Update member role error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update role',
+        });
+    }
+};
+
+/**
+ * Remove a member, or leave the team when removing yourself
+ */
+const removeMember = async (req, res) => {
+    try {
+        const userId = req.session.userId;
+        const memberId = req.params.userId;
+        const membership = await getMembership(req);
+        const { organization } = membership;
+
+        if (memberId !== userId && denyUnlessOwner(membership, res)) return;
+
+        const role = mongoose.Types.ObjectId.isValid(memberId)
+            ? organization.getRole(memberId)
+            : null;
+
+        if (!role) {
+            return res.status(404).json({
+                success: false,
+                message: 'Member not found',
+            });
+        }
+
+        if (role === 'owner' && organization.ownerCount === 1) {
+            return res.status(400).json({
+                success: false,
+                message: 'A team needs at least one owner. Make someone else an owner first.',
+            });
+        }
+
+        organization.removeMember(memberId);
+        await organization.save();
+
+        // They get a fresh personal organization on their next visit
+        await User.updateOne(
+            { _id: memberId, organization: organization._id },
+            { $set: { organization: null } }
+        );
+
+        logger.info(`Member ${memberId} removed from organization ${organization._id}`);
+
+        res.json({
+            success: true,
+            message: memberId === userId ? 'You left the team' : 'Member removed',
+        });
+    } catch (error) {
+        logger.error('Remove member error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to remove member',
+        });
+    }
+};
+
+/**
+ * Find the invitation for a token, rendering the error page if it is invalid or expired
+ */
+async function findInvitation(req, res) {
+    const { token } = req.params;
+    const organization = await Organization.findByInvitationToken(token);
+    const invitation = organization?.getInvitation(token);
+
+    if (!invitation) {
+        delete req.session.invitationToken;
+        renderInvitation(res, 400, {
+            error: 'This invitation is invalid or has expired. Ask your team owner for a new one.',
+        });
+        return null;
+    }
+
+    return { organization, invitation };
+}
+
+/**
+ * Check the signed-in user can accept the invitation; renders the reason and returns false if not
+ */
+function checkInvitee(res, user, { organization, invitation }) {
+    if (user.email !== invitation.email) {
+        renderInvitation(res, 403, {
+            organizationName: organization.name,
+            error: `This invitation was sent to ${invitation.email}. Sign in with that address to accept it.`,
+        });
+        return false;
+    }
+
+    if (user.role !== 'client') {
+        renderInvitation(res, 403, {
+            organizationName: organization.name,
+            error: 'Only client accounts can join a team.',
+        });
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Open an invitation link: ask signed-in users to confirm, otherwise ask the visitor to sign in first.
+ * Joining only happens on the POST, so link previews and prefetches can't accept it.
+ */
+const showInvitation = async (req, res) => {
+    try {
+        const found = await findInvitation(req, res);
+        if (!found) return;
+
+        const { organization, invitation } = found;
+
+        // Login and signup send the user back here afterwards
+        if (!req.session.userId) {
+            req.session.invitationToken = req.params.token;
+            return renderInvitation(res, 200, {
+                organizationName: organization.name,
+                email: invitation.email,
+            });
+        }
+
+        delete req.session.invitationToken;
+        const user = await User.findById(req.session.userId);
+        if (!checkInvitee(res, user, found)) return;
+
+        renderInvitation(res, 200, {
+            organizationName: organization.name,
+            email: invitation.email,
+            token: req.params.token,
+        });
+    } catch (error) {
+        logger.error('Show invitation error:', error);
+        res.status(500).render('error', {
+            title: 'Error',
+            message: 'Failed to load invitation',
+            layout: 'layout',
+        });
+    }
+};
+
+/**
+ * Accept an invitation and join the team
+ */
+const acceptInvitation = async (req, res) => {
+    try {
+        const found = await findInvitation(req, res);
+        if (!found) return;
+
+        if (!req.session.userId) {
+            return res.redirect(`/invitations/${req.params.token}`);
+        }
+
+        const { organization, invitation } = found;
+        const user = await User.findById(req.session.userId);
+        if (!checkInvitee(res, user, found)) return;
+
+        // Only leave a personal organization that has nothing worth keeping.
+        // Requests stay with their organization, so leaving one that has any would orphan them.
+        // Users from before organizations get theirs now, so their records are adopted and checked.
+        const current = await Organization.findOrCreateForUser(user);
+
+        if (!current._id.equals(organization._id)) {
+            const [hasSubscription, hasRequests] = await Promise.all([
+                Subscription.exists({
+                    organization: current._id,
+                    status: { $in: ['active', 'trialing', 'past_due'] },
+                }),
+                DesignRequest.exists({ organization: current._id }),
+            ]);
+
+            if (current.members.length > 1 || hasSubscription) {
+                return renderInvitation(res, 409, {
+                    organizationName: organization.name,
+                    error: 'You already belong to a team or have an active subscription. Leave your current team or cancel your plan before joining another.',
+                });
+            }
+
+            if (hasRequests) {
+                return renderInvitation(res, 409, {
+                    organizationName: organization.name,
+                    error: 'Your account already has design requests, which cannot be moved to another team. Use a different email address to join this one.',
+                });
+            }
+
+            current.removeMember(user._id);
+            await current.save();
+        }
+
+        if (!organization.getRole(user._id)) {
+            organization.addMember(user._id, invitation.role, invitation);
+            await organization.save();
+
+            // The team's brand and plan are already set up
+            user.organization = organization._id;
+            user.accountType = 'company';
+            user.onboardingCompleted = true;
+            await user.save();
+            req.session.onboardingCompleted = true;
+
+            const owners = organization.members.filter((m) => m.role === 'owner');
+            await notifications.createMany(
+                owners.map((owner) => owner.user),
+                'team_member_joined',
+                'Teammate Joined',
+                `${user.displayName} joined ${organization.name}`,
+                {
+                    relatedModel: 'Organization',
+                    relatedId: organization._id,
+                }
+            );
+
+            logger.info(`User ${user._id} joined organization ${organization._id}`);
+        }
+
+        req.session.flashMessage = {
+            type: 'success',
+            message: `You joined ${organization.name}`,
+        };
+        res.redirect('/settings?tab=team');
+    } catch (error) {
+        logger.error('Accept invitation error:', error);
+        res.status(500).render('error', {
+            title: 'Error',
+            message: 'Failed to accept invitation',
+            layout: 'layout',
+        });
+    }
+};
+
+module.exports = {
+    inviteMember,
+    revokeInvitation,
+    updateMemberRole,
+    removeMember,
+    showInvitation,
+    acceptInvitation,
+};
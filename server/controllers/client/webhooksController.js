@@ -0,0 +1,213 @@
+const mongoose = require('mongoose');
+const WebhookEndpoint = require('../../../models/WebhookEndpoint');
+const WebhookDelivery = require('../../../models/WebhookDelivery');
+const { createAppLogger } = require('@sahab/core');
+const { getMembership } = require('../../utils/organizationUtils');
+const { validateEndpointUrl, processDelivery } = require('../../utils/outboundWebhooks');
+
+const logger = createAppLogger();
+
+/**
+ * Check a list of event names; returns the unique list, or null if any is unknown
+ */
+function parseEvents(events) {
+    const list = [].concat(events || []);
+    if (list.length === 0 || !list.every((event) => WebhookEndpoint.EVENTS[event])) return null;
+    return [...new Set(list)];
+}
+
+/**
+ * Find one of the organization's endpoints, or send a 404
+ */
+async function findEndpoint(req, res) {
+    const { organization } = await getMembership(req);
+    const endpoint = mongoose.Types.ObjectId.isValid(req.params.id)
+        ? await WebhookEndpoint.findOne({ _id: req.params.id, organization: organization._id })
+        : null;
+
+    if (!endpoint) {
+        res.status(404).json({
+            success: false,
+            message: 'Webhook endpoint not found',
+        });
+    }
+    return endpoint;
+}
+
+/**
+ * Register a webhook endpoint. The signing secret is only returned this once.
+ */
+const createEndpoint = async (req, res) => {
+    try {
+        const { organization } = await getMembership(req);
+        const { url, description = '' } = req.body;
+        const events = parseEvents(req.body.events);
+
+        const urlError = validateEndpointUrl(url || '');
+        if (urlError) {
+            return res.status(400).json({
+                success: false,
+                message: urlError,
+            });
+        }
+
+        if (!events) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please choose at least one valid event',
+            });
+        }
+
+        const count = await WebhookEndpoint.countDocuments({ organization: organization._id });
+        if (count >= WebhookEndpoint.MAX_ENDPOINTS_PER_ORGANIZATION) {
+            return res.status(400).json({
+                success: false,
+                message: `You can have at most ${WebhookEndpoint.MAX_ENDPOINTS_PER_ORGANIZATION} webhook endpoints`,
+            });
+        }
+
+        const secret = WebhookEndpoint.generateSecret();
+        const endpoint = await WebhookEndpoint.create({
+            organization: organization._id,
+            createdBy: req.session.userId,
+            url,
+            description,
+            events,
+            secret,
+        });
+
+        logger.info(`Webhook endpoint ${endpoint._id} added to organization ${organization._id}`);
+
+        res.json({
+            success: true,
+            message: 'Webhook endpoint added',
+            secret,
+            endpoint: endpoint.toJSON(),
+        });
+    } catch (error) {
+        logger.error('Create webhook endpoint error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to add webhook endpoint',
+        });
+    }
+};
+
+/**
+ * Change an endpoint's events or turn it on and off
+ */
+const updateEndpoint = async (req, res) => {
+    try {
+        const endpoint = await findEndpoint(req, res);
+        if (!endpoint) return;
+
+        if (req.body.events !== undefined) {
+            const events = parseEvents(req.body.events);
+            if (!events) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Please choose at least one valid event',
+                });
+            }
+            endpoint.events = events;
+        }
+
+        if (req.body.isActive !== undefined) {
+            endpoint.isActive = req.body.isActive === true || req.body.isActive === 'true';
+        }
+
+        await endpoint.save();
+
+        logger.info(`Webhook endpoint ${endpoint._id} updated`);
+
+        res.json({
+            success: true,
+            message: 'Webhook endpoint updated',
+            endpoint: endpoint.toJSON(),
+        });
+    } catch (error) {
+        logger.error('Update webhook endpoint error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update webhook endpoint',
+        });
+    }
+};
+
+/**
+ * Remove an endpoint and its delivery log
+ */
+const deleteEndpoint = async (req, res) => {
+    try {
+        const endpoint = await findEndpoint(req, res);
+        if (!endpoint) return;
+
+        await WebhookDelivery.deleteMany({ endpoint: endpoint._id });
+        await endpoint.deleteOne();
+
+        logger.info(`Webhook endpoint ${endpoint._id} deleted`);
+
+        res.json({
+            success: true,
+            message: 'Webhook endpoint deleted',
+        });
+    } catch (error) {
+        logger.error('Delete webhook endpoint error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete webhook endpoint',
+        });
+    }
+};
+
+/**
+ * Send a logged delivery again as a new delivery
+ */
+const redeliver = async (req, res) => {
+    try {
+        const { organization } = await getMembership(req);
+        const delivery = mongoose.Types.ObjectId.isValid(req.params.id)
+            ? await WebhookDelivery.findOne({
+                  _id: req.params.id,
+                  organization: organization._id,
+              })
+            : null;
+
+        if (!delivery) {
+            return res.status(404).json({
+                success: false,
+                message: 'Delivery not found',
+            });
+        }
+
+        const copy = await WebhookDelivery.redeliver(delivery);
+        const sent = (await processDelivery({ _id: copy._id })) || copy;
+
+        logger.info(`Webhook delivery ${delivery._id} redelivered as ${copy._id}`);
+
+        const messages = {
+            succeeded: 'Delivered',
+            pending: 'Delivery failed; it will be retried automatically',
+            failed: `Delivery failed: ${sent.error}`,
+        };
+
+        res.json({
+            success: true,
+            message: messages[sent.status],
+            delivery: sent.toJSON(),
+        });
+    } catch (error) {
+        logger.error('Redeliver webhook error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to redeliver webhook',
+        });
+    }
+};
+
+module.exports = {
+    createEndpoint,
+    updateEndpoint,
+    deleteEndpoint,
+    redeliver,
+};
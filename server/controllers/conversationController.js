@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+const DesignRequest = require('../../models/DesignRequest');
+const Message = require('../../models/Message');
+const { createAppLogger } = require('@sahab/core');
+const { getRequestScope } = require('../utils/organizationUtils');
+const messageFeed = require('../utils/messageFeed');
+
+const logger = createAppLogger();
+
+const HEARTBEAT_INTERVAL = 25 * 1000;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Find a request the user is allowed to follow.
+ * Clients see their organization's requests, designers their assigned ones, admins everything.
+ */
+async function findAccessibleRequest(req) {
+    const requestId = req.params.id;
+    const role = req.session.userRole;
+    if (!mongoose.Types.ObjectId.isValid(requestId)) return null;
+
+    let filter = { _id: requestId };
+    if (role === 'designer') {
+        filter.designer = req.session.userId;
+    } else if (role !== 'admin') {
+        filter = { ...filter, ...(await getRequestScope(req)) };
+    }
+
+    return DesignRequest.findOne(filter).select('client designer status requestNumber');
+}
+
+/**
+ * Map a message to the stream event name clients listen for
+ */
+function getEventType(message) {
+    if (message.messageType === 'system') {
+        if (message.systemData?.action === 'status_change') return 'status';
+        if (message.systemData?.action === 'file_uploaded') return 'deliverable';
+    }
+    return 'message';
+}
+
+/**
+ * Write a single SSE frame
+ */
+function writeEvent(res, message) {
+    res.write(`id: ${message._id}\n`);
+    res.write(`event: ${getEventType(message)}\n`);
+    res.write(`data: ${JSON.stringify(message)}\n\n`);
+}
+
+/**
+ * Parse a date cursor from the query string
+ */
+function parseCursor(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date) ? null : date;
+}
+
+/**
+ * Stream conversation events for a request (SSE)
+ */
+const streamEvents = async (req, res) => {
+    try {
+        const userId = req.session.userId;
+        const request = await findAccessibleRequest(req);
+
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                message: 'Request not found',
+            });
+        }
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no',
+        });
+        res.flushHeaders();
+        res.write('retry: 5000\n\n');
+
+        // Replay anything missed while the browser was reconnecting
+        const lastEventId = req.get('Last-Event-ID');
+        if (lastEventId && mongoose.Types.ObjectId.isValid(lastEventId)) {
+            const lastMessage = await Message.findById(lastEventId).select('createdAt');
+            if (lastMessage) {
+                const missed = await Message.getConversation(request._id, {
+                    after: lastMessage.createdAt,
+                    limit: MAX_PAGE_SIZE,
+                });
+                missed.forEach((message) => writeEvent(res, message));
+            }
+        }
+
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+        const unsubscribe = messageFeed.subscribe(request._id, (message) => {
+            writeEvent(res, message);
+        });
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+        });
+
+        logger.debug(`User ${userId} subscribed to request ${request.requestNumber}`);
+    } catch (error) {
+        logger.error('Conversation stream error:', error);
+        if (res.headersSent) return res.end();
+        res.status(500).json({
+            success: false,
+            message: 'Failed to open conversation stream',
+        });
+    }
+};
+
+/**
+ * Get conversation messages (API).
+ * Pages back with ?before= and polls for new messages with ?after=.
+ */
+const getMessages = async (req, res) => {
+    try {
+        const request = await findAccessibleRequest(req);
+
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                message: 'Request not found',
+            });
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_PAGE_SIZE);
+        const before = parseCursor(req.query.before);
+        const after = parseCursor(req.query.after);
+
+        const messages = await Message.getConversation(request._id, { limit, before, after });
+
+        // Always return oldest first so the client can append in order
+        if (!after || before) messages.reverse();
+
+        res.json({
+            success: true,
+            data: {
+                messages,
+                status: request.status,
+                hasMore: messages.length === limit,
+            },
+        });
+    } catch (error) {
+        logger.error('Get messages error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch messages',
+        });
+    }
+};
+
+module.exports = {
+    streamEvents,
+    getMessages,
+};
@@ -0,0 +1,202 @@
+const mongoose = require('mongoose');
+const DesignRequest = require('../../../models/DesignRequest');
+const Message = require('../../../models/Message');
+const { createAppLogger, createStorageService } = require('@sahab/core');
+const { createNotifier } = require('../../utils/notifier');
+
+const logger = createAppLogger();
+const storage = createStorageService();
+const notifications = createNotifier({
+    types: ['file_uploaded', 'request_updated'],
+    relatedModels: ['DesignRequest', 'User'],
+});
+
+// Statuses in which a designer can deliver files
+const UPLOADABLE_STATUSES = ['in-review', 'in-progress', 'revision-requested', 'pending-approval'];
+
+/**
+ * Find a request assigned to the signed-in designer; null for unknown or malformed ids
+ */
+function findAssignedRequest(req) {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+
+    return DesignRequest.findOne({
+        _id: req.params.id,
+        designer: req.session.userId,
+    });
+}
+
+/**
+ * Upload deliverable files for an assigned request
+ */
+const uploadDesign = async (req, res) => {
+    try {
+        const designerId = req.session.userId;
+
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No files provided',
+            });
+        }
+
+        const request = await findAssignedRequest(req);
+
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                message: 'Request not found',
+            });
+        }
+
+        if (!UPLOADABLE_STATUSES.includes(request.status)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Cannot upload files in current status',
+            });
+        }
+
+        // Each file becomes its own numbered version
+        const deliverables = [];
+        for (const file of req.files) {
+            const result = await storage.uploadFile(file, `requests/${request._id}/deliverables`);
+
+            const deliverable = await request.addDeliverable(
+                {
+                    fileName: file.originalname,
+                    fileUrl: await storage.getSignedUrl(result.fileName),
+                    fileType: file.mimetype,
+                    fileSize: file.size,
+                },
+                designerId
+            );
+            deliverables.push(deliverable);
+
+            await Message.createSystemMessage(request._id, 'file_uploaded', {
+                userId: designerId,
+                fileName: file.originalname,
+                newValue: String(deliverable.version),
+                metadata: { fileName: deliverable.fileName, fileUrl: deliverable.fileUrl },
+            });
+        }
+
+        // Close out any revision this upload answers
+        request.revisions
+            .filter((revision) => revision.status !== 'completed')
+            .forEach((revision) => {
+                revision.status = 'completed';
+                revision.completedAt = new Date();
+            });
+
+        if (request.status !== 'pending-approval') {
+            await request.updateStatus('pending-approval', designerId, 'designer');
+        } else {
+            await request.save();
+        }
+
+        await notifications.create(
+            request.client,
+            'file_uploaded',
+            'New Design Ready',
+            `${deliverables.length} new file${
+                deliverables.length > 1 ? 's are' : ' is'
+            } ready for review on ${request.requestNumber}`,
+            {
+                relatedModel: 'DesignRequest',
+                relatedId: request._id,
+            }
+        );
+
+        logger.info(
+            `${deliverables.length} deliverable(s) uploaded to ${request.requestNumber} by designer ${designerId}`
+        );
+
+        res.json({
+            success: true,
+            message: 'Files uploaded successfully',
+            data: {
+                deliverables,
+                status: request.status,
+            },
+        });
+    } catch (error) {
+        logger.error('Upload design error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to upload files',
+        });
+    }
+};
+
+/**
+ * Update status of an assigned request (API)
+ */
+const updateStatus = async (req, res) => {
+    try {
+        const designerId = req.session.userId;
+        const { status } = req.body;
+
+        if (!status || typeof status !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'Status is required',
+            });
+        }
+
+        const request = await findAssignedRequest(req);
+
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                message: 'Request not found',
+            });
+        }
+
+        // The client needs something to review
+        if (status === 'pending-approval' && request.deliverables.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Upload a design before sending the request for approval',
+            });
+        }
+
+        const { oldStatus, newStatus } = await request.updateStatus(status, designerId, 'designer');
+
+        await notifications.create(
+            request.client,
+            'request_updated',
+            'Request Updated',
+            `${request.requestNumber} is now ${newStatus.replace('-', ' ')}`,
+            {
+                relatedModel: 'DesignRequest',
+                relatedId: request._id,
+            }
+        );
+
+        logger.info(
+            `Request ${request.requestNumber} moved from ${oldStatus} to ${newStatus} by designer ${designerId}`
+        );
+
+        res.json({
+            success: true,
+            data: request,
+        });
+    } catch (error) {
+        if (error.name === 'StatusTransitionError') {
+            return res.status(403).json({
+                success: false,
+                message: error.message,
+            });
+        }
+        logger.error('Designer update status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update status',
+        });
+    }
+};
+
+module.exports = {
+    uploadDesign,
+    updateStatus,
+};
@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+const DesignRequest = require('../../../models/DesignRequest');
+const Message = require('../../../models/Message');
+const User = require('../../../models/User');
+const { createAppLogger } = require('@sahab/core');
+const { createNotifier } = require('../../utils/notifier');
+
+const logger = createAppLogger();
+const notifications = createNotifier({
+    types: ['designer_assigned'],
+    relatedModels: ['DesignRequest', 'User'],
+});
+
+/**
+ * Show available requests for designers
+ */
+const showAvailable = async (req, res) => {
+    try {
+        const { category } = req.query;
+
+        const requests = await DesignRequest.findAvailable({
+            category: category && category !== 'all' ? category : null,
+        });
+
+        res.render('designer/available/index', {
+            title: 'Available Requests - CanvasCue',
+            layout: 'layout',
+            additionalCSS: ['dashboard-shared.css', 'designer/dashboard.css'],
+            additionalJS: ['designer/workqueue.js'],
+            requests,
+            currentFilters: { category },
+        });
+    } catch (error) {
+        logger.error('Show available requests error:', error);
+        res.status(500).render('error', {
+            title: 'Error',
+            message: 'Failed to load available requests',
+            layout: 'layout',
+        });
+    }
+};
+
+/**
+ * Get work queue (API)
+ */
+const getQueue = async (req, res) => {
+    try {
+        const { category, limit = 50 } = req.query;
+
+        const requests = await DesignRequest.findAvailable({
+            category: category || null,
+            limit: Math.min(parseInt(limit) || 50, 100),
+        });
+
+        res.json({
+            success: true,
+            data: requests,
+        });
+    } catch (error) {
+        logger.error('Get work queue error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch work queue',
+        });
+    }
+};
+
+/**
+ * Claim a request from the work queue
+ */
+const claimRequest = async (req, res) => {
+    try {
+        const designerId = req.session.userId;
+        const requestId = req.params.id;
+
+        if (!mongoose.Types.ObjectId.isValid(requestId)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Request not found',
+            });
+        }
+
+        const request = await DesignRequest.claim(requestId, designerId);
+
+        if (!request) {
+            // Either it never existed or another designer got there first
+            const exists = await DesignRequest.exists({ _id: requestId });
+            return res.status(exists ? 409 : 404).json({
+                success: false,
+                message: exists ? 'Request is no longer available' : 'Request not found',
+            });
+        }
+
+        const designer = await User.findById(designerId).select('fullName email');
+        const designerName = designer.fullName || designer.email;
+
+        await request.recordStatusChange('submitted', request.status, designerId);
+        await Message.createSystemMessage(request._id, 'designer_assigned', {
+            userId: designerId,
+            designerName,
+        });
+
+        // Let the client know work is starting
+        await notifications.create(
+            request.client,
+            'designer_assigned',
+            'Designer Assigned',
+            `${designerName} has been assigned to ${request.requestNumber}`,
+            {
+                relatedModel: 'DesignRequest',
+                relatedId: request._id,
+            }
+        );
+
+        logger.info(`Request ${request.requestNumber} claimed by designer ${designerId}`);
+
+        res.json({
+            success: true,
+            message: 'Request claimed successfully',
+            data: request,
+        });
+    } catch (error) {
+        logger.error('Claim request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to claim request',
+        });
+    }
+};
+
+module.exports = {
+    showAvailable,
+    getQueue,
+    claimRequest,
+};
@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const { simpleParser } = require('mailparser');
+const DesignRequest = require('../../models/DesignRequest');
+const Message = require('../../models/Message');
+const { createAppLogger, createStorageService } = require('@sahab/core');
+const { createNotifier } = require('../utils/notifier');
+const { extractReplyToken, extractReplyText } = require('../utils/replyEmail');
+
+const logger = createAppLogger();
+const storage = createStorageService();
+const notifications = createNotifier({
+    types: ['message_received'],
+    relatedModels: ['DesignRequest', 'User'],
+});
+
+const MAX_MESSAGE_LENGTH = 2000;
+
+/**
+ * Check the shared secret the mail relay sends with each post
+ */
+function isAuthorizedRelay(req) {
+    const expected = process.env.INBOUND_EMAIL_SECRET;
+    const provided = req.get('X-Inbound-Secret');
+    if (!expected || !provided) return false;
+
+    const a = Buffer.from(provided);
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Collect every address the email was delivered to
+ */
+function getRecipientAddresses(parsed) {
+    const addresses = [];
+    [parsed.to, parsed.cc].forEach((field) => {
+        [].concat(field || []).forEach((group) => {
+            (group.value || []).forEach((entry) => addresses.push(entry.address));
+        });
+    });
+
+    // Relays usually keep the envelope recipient in one of these
+    ['delivered-to', 'x-original-to'].forEach((header) => {
+        const value = parsed.headers.get(header);
+        if (value) addresses.push(value.text || String(value));
+    });
+
+    return addresses;
+}
+
+/**
+ * Upload email attachments and return them in Message attachment form
+ */
+async function uploadAttachments(request, attachments) {
+    const uploaded = [];
+
+    for (const attachment of attachments) {
+        // Skip inline images such as signature logos
+        if (attachment.related || !attachment.filename) continue;
+
+        const result = await storage.uploadFile(
+            {
+                originalname: attachment.filename,
+                mimetype: attachment.contentType,
+                size: attachment.size,
+                buffer: attachment.content,
+            },
+            `requests/${request._id}/messages`
+        );
+
+        uploaded.push({
+            fileName: attachment.filename,
+            fileUrl: await storage.getSignedUrl(result.fileName),
+            fileType: attachment.contentType,
+            fileSize: attachment.size,
+        });
+    }
+
+    return uploaded;
+}
+
+/**
+ * Receive a raw MIME email from the mail relay and add it to the request thread
+ */
+const handleInboundEmail = async (req, res) => {
+    if (!isAuthorizedRelay(req)) {
+        return res.status(401).json({
+            success: false,
+            message: 'Unauthorized',
+        });
+    }
+
+    try {
+        const parsed = await simpleParser(req.body);
+
+        const token = extractReplyToken(getRecipientAddresses(parsed));
+        const request = token
+            ? await DesignRequest.findByReplyToken(token).populate('client designer', 'email')
+            : null;
+
+        if (!request) {
+            logger.warn(`Inbound email ${parsed.messageId} has no matching request`);
+            return res.status(404).json({
+                success: false,
+                message: 'Request not found',
+            });
+        }
+
+        // Only the client and the assigned designer can post to the thread
+        const senderEmail = parsed.from?.value?.[0]?.address?.toLowerCase();
+        const sender = [request.client, request.designer].find(
+            (user) => user && user.email === senderEmail
+        );
+
+        if (!sender) {
+            logger.warn(
+                `Rejected inbound email from ${senderEmail} for request ${request.requestNumber}`
+            );
+            return res.status(403).json({
+                success: false,
+                message: 'Sender is not a participant on this request',
+            });
+        }
+
+        // The relay may retry a delivery
+        if (parsed.messageId && (await Message.exists({ emailMessageId: parsed.messageId }))) {
+            return res.json({ success: true, duplicate: true });
+        }
+
+        const text = extractReplyText(parsed.text);
+        const attachments = await uploadAttachments(request, parsed.attachments || []);
+
+        if (!text && attachments.length === 0) {
+            return res.status(422).json({
+                success: false,
+                message: 'Email has no reply content',
+            });
+        }
+
+        const isClient = sender._id.equals(request.client._id);
+        const recipient = isClient ? request.designer : request.client;
+
+        let message;
+        try {
+            message = await Message.create({
+                designRequest: request._id,
+                sender: sender._id,
+                recipient: recipient?._id || null,
+                message: (text || 'Sent attachments by email').slice(0, MAX_MESSAGE_LENGTH),
+                attachments,
+                emailMessageId: parsed.messageId,
+            });
+        } catch (error) {
+            // A concurrent retry of the same delivery saved it first
+            if (error.code === 11000) {
+                return res.json({ success: true, duplicate: true });
+            }
+            throw error;
+        }
+
+        // Update request
+        request.lastMessageAt = new Date();
+        if (recipient) {
+            request.unreadMessagesCount[isClient ? 'designer' : 'client'] += 1;
+        }
+        await request.save();
+
+        if (recipient) {
+            await notifications.create(
+                recipient._id,
+                'message_received',
+                'New Message',
+                `New message on request ${request.requestNumber}`,
+                {
+                    relatedModel: 'DesignRequest',
+                    relatedId: request._id,
+                }
+            );
+        }
+
+        logger.info(`Email reply added to request ${request.requestNumber} by ${senderEmail}`);
+
+        res.json({
+            success: true,
+            data: { messageId: message._id },
+        });
+    } catch (error) {
+        logger.error('Inbound email error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to process email',
+        });
+    }
+};
+
+module.exports = {
+    handleInboundEmail,
+};
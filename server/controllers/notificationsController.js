@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const { createAppLogger } = require('@sahab/core');
+const { notifications: getNotificationService } = require('../utils/services');
+
+const logger = createAppLogger();
+
+/**
+ * Get notifications for the current user (API)
+ */
+const getNotifications = async (req, res) => {
+    try {
+        const userId = req.session.userId;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+        const notifications = getNotificationService();
+
+        // Fetch one extra to know whether there's another page
+        const [items, unreadCount] = await Promise.all([
+            notifications.getUserNotifications(userId, {
+                limit: limit + 1,
+                skip: (page - 1) * limit,
+                unreadOnly: req.query.unreadOnly === 'true',
+            }),
+            notifications.getUnreadCount(userId),
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                notifications: items.slice(0, limit),
+                unreadCount,
+                pagination: {
+                    page,
+                    limit,
+                    hasMore: items.length > limit,
+                },
+            },
+        });
+    } catch (error) {
+        logger.error('Get notifications error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch notifications',
+        });
+    }
+};
+
+/**
+ * Get unread notification count (API)
+ */
+const getUnreadCount = async (req, res) => {
+    try {
+        const unreadCount = await getNotificationService().getUnreadCount(req.session.userId);
+
+        res.json({
+            success: true,
+            data: { unreadCount },
+        });
+    } catch (error) {
+        logger.error('Get unread count error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch unread count',
+        });
+    }
+};
+
+/**
+ * Mark a single notification as read (API)
+ */
+const markAsRead = async (req, res) => {
+    try {
+        const userId = req.session.userId;
+
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Notification not found',
+            });
+        }
+
+        // Scoped to the user so nobody can touch someone else's notifications
+        const notification = await getNotificationService().markAsRead(req.params.id, userId);
+        if (!notification) {
+            return res.status(404).json({
+                success: false,
+                message: 'Notification not found',
+            });
+        }
+
+        const unreadCount = await getNotificationService().getUnreadCount(userId);
+
+        res.json({
+            success: true,
+            data: { notification, unreadCount },
+        });
+    } catch (error) {
+        logger.error('Mark notification read error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update notification',
+        });
+    }
+};
+
+/**
+ * Mark all notifications as read (API)
+ */
+const markAllAsRead = async (req, res) => {
+    try {
+        await getNotificationService().markAllAsRead(req.session.userId);
+
+        res.json({
+            success: true,
+            data: { unreadCount: 0 },
+        });
+    } catch (error) {
+        logger.error('Mark all notifications read error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update notifications',
+        });
+    }
+};
+
+module.exports = {
+    getNotifications,
+    getUnreadCount,
+    markAsRead,
+    markAllAsRead,
+};
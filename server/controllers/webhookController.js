@@ -0,0 +1,304 @@
+const Subscription = require('../../models/Subscription');
+const SubscriptionTier = require('../../models/SubscriptionTier');
+const Invoice = require('../../models/Invoice');
+const StripeEvent = require('../../models/StripeEvent');
+const { createAppLogger, createStripeService } = require('@sahab/core');
+const { createNotifier } = require('../utils/notifier');
+const {
+    mapStripeStatus,
+    getStripePeriod,
+    activateCheckoutSession,
+} = require('../utils/billingUtils');
+
+const logger = createAppLogger();
+const stripe = createStripeService();
+const notifications = createNotifier({
+    types: ['subscription_changed', 'subscription_canceled', 'payment_received', 'payment_failed'],
+    relatedModels: ['Subscription', 'Invoice', 'User'],
+});
+
+/**
+ * Handle incoming Stripe webhook
+ */
+const handleStripeWebhook = async (req, res) => {
+    let event;
+
+    // Verify signature against the raw body
+    try {
+        event = stripe.client.webhooks.constructEvent(
+            req.body,
+            req.headers['stripe-signature'],
+            process.env.STRIPE_WEBHOOK_SECRET
+        );
+    } catch (error) {
+        logger.warn(`Stripe webhook signature verification failed: ${error.message}`);
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid signature',
+        });
+    }
+
+    const handler = eventHandlers[event.type];
+
+    try {
+        // Stripe delivers at least once; skip events we've already handled
+        const record = await StripeEvent.begin(event);
+        if (!record) {
+            logger.debug(`Skipping duplicate Stripe event ${event.id}`);
+            return res.json({ received: true, duplicate: true });
+        }
+
+        if (!handler) {
+            await record.complete('ignored');
+            return res.json({ received: true });
+        }
+
+        try {
+            await handler(event.data.object);
+            await record.complete();
+        } catch (error) {
+            await record.fail(error);
+            throw error;
+        }
+
+        logger.info(`Processed Stripe event ${event.type} (${event.id})`);
+
+        res.json({ received: true });
+    } catch (error) {
+        // A non-2xx response makes Stripe retry the event later
+        logger.error(`Stripe webhook error for ${event.type}:`, error);
+        res.status(500).json({
+            success: false,
+            message: 'Webhook processing failed',
+        });
+    }
+};
+
+/**
+ * checkout.session.completed
+ */
+const handleCheckoutCompleted = async (session) => {
+    if (session.mode !== 'subscription' || !session.subscription) return;
+
+    await activateCheckoutSession(session);
+};
+
+/**
+ * customer.subscription.updated
+ */
+const handleSubscriptionUpdated = async (stripeSubscription) => {
+    const subscription = await Subscription.findByStripeId(stripeSubscription.id);
+
+    // Can arrive before checkout.session.completed creates the record; fail so Stripe retries it
+    if (!subscription) {
+        throw new Error(`Stripe subscription ${stripeSubscription.id} has no local record yet`);
+    }
+
+    const oldStatus = subscription.status;
+    const status = mapStripeStatus(stripeSubscription.status);
+    if (status) {
+        subscription.status = status;
+    }
+
+    const period = getStripePeriod(stripeSubscription);
+    if (period.start) subscription.currentPeriodStart = period.start;
+    if (period.end) subscription.currentPeriodEnd = period.end;
+
+    // Pick up plan changes made outside the app (e.g. the customer portal)
+    const item = stripeSubscription.items?.data?.[0];
+    if (item) {
+        subscription.stripeSubscriptionItemId = item.id;
+
+        const priceId = item.price?.id;
+        const tier = await SubscriptionTier.findOne({
+            $or: [{ 'stripePriceId.monthly': priceId }, { 'stripePriceId.quarterly': priceId }],
+        });
+        if (tier) {
+            const billingPeriod =
+                tier.stripePriceId.quarterly === priceId ? 'quarterly' : 'monthly';
+            subscription.tier = tier._id;
+            subscription.billingPeriod = billingPeriod;
+            subscription.amount = tier.calculatePrice(billingPeriod);
+        }
+    }
+
+    if (stripeSubscription.cancel_at_period_end && !subscription.canceledAt) {
+        subscription.canceledAt = new Date();
+    }
+
+    await subscription.save();
+
+    if (oldStatus !== subscription.status) {
+        await notifications.create(
+            subscription.user,
+            'subscription_changed',
+            'Subscription Updated',
+            `Your subscription is now ${subscription.status.replace('_', ' ')}`,
+            {
+                relatedModel: 'Subscription',
+                relatedId: subscription._id,
+            }
+        );
+    }
+};
+
+/**
+ * customer.subscription.deleted
+ */
+const handleSubscriptionDeleted = async (stripeSubscription) => {
+    const subscription = await Subscription.findByStripeId(stripeSubscription.id);
+    if (!subscription) return;
+
+    if (subscription.status !== 'canceled') {
+        await subscription.cancel(subscription.cancelationReason || 'Canceled in Stripe');
+    }
+
+    await notifications.create(
+        subscription.user,
+        'subscription_canceled',
+        'Subscription Ended',
+        'Your subscription has ended',
+        {
+            relatedModel: 'Subscription',
+            relatedId: subscription._id,
+        }
+    );
+};
+
+/**
+ * invoice.paid
+ */
+const handleInvoicePaid = async (stripeInvoice) => {
+    const subscription = await findInvoiceSubscription(stripeInvoice);
+    if (!subscription) return;
+
+    const invoice = await syncInvoice(subscription, stripeInvoice);
+    if (invoice.paymentStatus !== 'paid') {
+        await invoice.markAsPaid({
+            stripeChargeId: stripeInvoice.charge || undefined,
+            stripeReceiptUrl: stripeInvoice.hosted_invoice_url || undefined,
+        });
+    }
+
+    const line = stripeInvoice.lines?.data?.[0];
+    if (line?.period) {
+        subscription.currentPeriodStart = new Date(line.period.start * 1000);
+        subscription.currentPeriodEnd = new Date(line.period.end * 1000);
+    }
+
+    subscription.lastPaymentDate = new Date();
+    subscription.lastPaymentAmount = stripeInvoice.amount_paid / 100;
+    subscription.lastPaymentStatus = 'succeeded';
+    subscription.failedPaymentAttempts = 0;
+    if (subscription.status === 'past_due') {
+        subscription.status = 'active';
+    }
+    await subscription.save();
+
+    await notifications.create(
+        subscription.user,
+        'payment_received',
+        'Payment Received',
+        `We received your payment for invoice ${invoice.formattedNumber}`,
+        {
+            relatedModel: 'Invoice',
+            relatedId: invoice._id,
+        }
+    );
+};
+
+/**
+ * invoice.payment_failed
+ */
+const handleInvoicePaymentFailed = async (stripeInvoice) => {
+    const subscription = await findInvoiceSubscription(stripeInvoice);
+    if (!subscription) return;
+
+    const invoice = await syncInvoice(subscription, stripeInvoice);
+    invoice.paymentStatus = 'failed';
+    await invoice.save();
+
+    subscription.lastPaymentStatus = 'failed';
+    subscription.failedPaymentAttempts =
+        stripeInvoice.attempt_count || subscription.failedPaymentAttempts + 1;
+    subscription.status = 'past_due';
+    await subscription.save();
+
+    await notifications.create(
+        subscription.user,
+        'payment_failed',
+        'Payment Failed',
+        'We could not process your latest payment. Please update your payment method.',
+        {
+            relatedModel: 'Invoice',
+            relatedId: invoice._id,
+            priority: 'high',
+        }
+    );
+};
+
+/**
+ * Find the local subscription a Stripe invoice belongs to.
+ * Returns null for invoices outside a subscription.
+ */
+async function findInvoiceSubscription(stripeInvoice) {
+    const stripeSubscriptionId =
+        stripeInvoice.subscription ||
+        stripeInvoice.parent?.subscription_details?.subscription ||
+        null;
+
+    if (!stripeSubscriptionId) return null;
+
+    const subscription = await Subscription.findByStripeId(stripeSubscriptionId);
+
+    // The first invoice can arrive before checkout.session.completed creates the record;
+    // fail so Stripe retries it rather than losing the invoice
+    if (!subscription) {
+        throw new Error(
+            `Stripe invoice ${stripeInvoice.id} has no local subscription ${stripeSubscriptionId} yet`
+        );
+    }
+    return subscription;
+}
+
+/**
+ * Find or create the local invoice for a Stripe invoice
+ */
+async function syncInvoice(subscription, stripeInvoice) {
+    const existing = await Invoice.findOne({ stripeInvoiceId: stripeInvoice.id });
+    if (existing) return existing;
+
+    const line = stripeInvoice.lines?.data?.[0];
+    const discount = (stripeInvoice.total_discount_amounts || []).reduce(
+        (sum, d) => sum + d.amount,
+        0
+    );
+    const tax = stripeInvoice.tax ?? stripeInvoice.total_taxes?.[0]?.amount ?? 0;
+
+    return Invoice.createFromSubscription(subscription, {
+        stripeInvoiceId: stripeInvoice.id,
+        stripePaymentIntentId: stripeInvoice.payment_intent || undefined,
+        periodStart: line?.period
+            ? new Date(line.period.start * 1000)
+            : subscription.currentPeriodStart,
+        periodEnd: line?.period ? new Date(line.period.end * 1000) : subscription.currentPeriodEnd,
+        subtotal: stripeInvoice.subtotal / 100,
+        discount: { amount: discount / 100 },
+        tax: { amount: tax / 100 },
+        total: stripeInvoice.total / 100,
+        currency: stripeInvoice.currency,
+        dueDate: new Date((stripeInvoice.due_date || stripeInvoice.created) * 1000),
+    });
+}
+
+const eventHandlers = {
+    'checkout.session.completed': handleCheckoutCompleted,
+    'customer.subscription.updated': handleSubscriptionUpdated,
+    'customer.subscription.deleted': handleSubscriptionDeleted,
+    'invoice.paid': handleInvoicePaid,
+    'invoice.payment_failed': handleInvoicePaymentFailed,
+};
+
+module.exports = {
+    handleStripeWebhook,
+};
@@ -0,0 +1,32 @@
+const { processDelivery } = require('../utils/outboundWebhooks');
+
+// Deliveries sent per run; the rest wait for the next one
+const MAX_DELIVERIES = 50;
+
+/**
+ * Send webhook deliveries whose retry is due
+ */
+async function deliverWebhooks({ logger }) {
+    let succeeded = 0;
+    let failed = 0;
+
+    for (let i = 0; i < MAX_DELIVERIES; i++) {
+        const delivery = await processDelivery();
+        if (!delivery) break;
+
+        if (delivery.status === 'succeeded') succeeded += 1;
+        else failed += 1;
+    }
+
+    if (succeeded + failed > 0) {
+        logger.info(`Retried webhooks: ${succeeded} delivered, ${failed} failed`);
+    }
+
+    return { succeeded, failed };
+}
+
+module.exports = {
+    name: 'deliver-webhooks',
+    intervalMs: 60 * 1000, // every minute
+    handler: deliverWebhooks,
+};
@@ -0,0 +1,38 @@
+const { createAppLogger } = require('@sahab/core');
+const { createScheduler } = require('./scheduler');
+
+const logger = createAppLogger();
+
+// Job registry - add new recurring jobs here
+const jobs = [
+    require('./resetMonthlyUsage'),
+    require('./resumePausedSubscriptions'),
+    require('./markOverdueInvoices'),
+    require('./sendDigests'),
+    require('./deliverWebhooks'),
+    require('./reconcileUsage'),
+];
+
+const scheduler = createScheduler({ logger });
+jobs.forEach(({ name, ...options }) => scheduler.register(name, options));
+
+/**
+ * Start the background jobs unless disabled for this instance
+ */
+const startJobs = async () => {
+    if (process.env.JOBS_ENABLED === 'false') {
+        logger.info('Background jobs disabled for this instance');
+        return;
+    }
+
+    try {
+        await scheduler.start();
+    } catch (error) {
+        logger.error('Failed to start background jobs:', error);
+    }
+};
+
+module.exports = {
+    scheduler,
+    startJobs,
+};
@@ -0,0 +1,53 @@
+const Invoice = require('../../models/Invoice');
+const { createNotifier } = require('../utils/notifier');
+
+const notifications = createNotifier({
+    types: ['invoice_overdue'],
+    relatedModels: ['Invoice'],
+});
+
+/**
+ * Flag unpaid invoices past their due date and notify their owners once
+ */
+async function markOverdueInvoices({ logger }) {
+    const invoices = await Invoice.findNewlyOverdue();
+
+    let marked = 0;
+    for (const invoice of invoices) {
+        // One bad invoice shouldn't stop the rest from being marked
+        try {
+            invoice.overdueAt = new Date();
+            await invoice.save();
+            marked += 1;
+
+            // The owner may have been deleted since the invoice was issued
+            if (!invoice.user) continue;
+
+            await notifications.create(
+                invoice.user._id,
+                'invoice_overdue',
+                'Invoice Overdue',
+                `Invoice ${invoice.formattedNumber} is past due. Please update your payment method.`,
+                {
+                    relatedModel: 'Invoice',
+                    relatedId: invoice._id,
+                    priority: 'high',
+                }
+            );
+        } catch (error) {
+            logger.error(`Failed to mark invoice ${invoice._id} as overdue:`, error);
+        }
+    }
+
+    if (marked > 0) {
+        logger.info(`Marked ${marked} invoices as overdue`);
+    }
+
+    return { marked };
+}
+
+module.exports = {
+    name: 'mark-overdue-invoices',
+    intervalMs: 60 * 60 * 1000, // hourly
+    handler: markOverdueInvoices,
+};
@@ -0,0 +1,38 @@
+const Subscription = require('../../models/Subscription');
+
+/**
+ * Recount activeDesignRequests from the requests that actually hold a slot,
+ * repairing drift from failed writes or status changes made outside the app
+ */
+async function reconcileUsage({ logger }) {
+    const cursor = Subscription.find({
+        status: { $in: ['active', 'trialing', 'past_due', 'paused'] },
+    })
+        .select('usage')
+        .cursor();
+
+    let checked = 0;
+    let fixed = 0;
+    for await (const subscription of cursor) {
+        checked += 1;
+        const result = await subscription.reconcileActiveDesigns();
+        if (result.fixed) {
+            fixed += 1;
+            logger.warn(
+                `Active designs for subscription ${subscription._id} corrected from ${result.recorded} to ${result.actual}`
+            );
+        }
+    }
+
+    if (fixed > 0) {
+        logger.info(`Reconciled usage for ${fixed} of ${checked} subscriptions`);
+    }
+
+    return { checked, fixed };
+}
+
+module.exports = {
+    name: 'reconcile-usage',
+    intervalMs: 6 * 60 * 60 * 1000, // every 6 hours
+    handler: reconcileUsage,
+};
@@ -0,0 +1,33 @@
+const Subscription = require('../../models/Subscription');
+
+/**
+ * Reset designsUsedThisMonth for subscriptions last reset in a previous month
+ */
+async function resetMonthlyUsage({ logger }) {
+    const now = new Date();
+    const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+
+    const cursor = Subscription.find({
+        status: { $in: ['active', 'trialing', 'past_due'] },
+        'usage.lastResetDate': { $lt: monthStart },
+    }).cursor();
+
+    let reset = 0;
+    for await (const subscription of cursor) {
+        if (await subscription.resetMonthlyUsage()) {
+            reset += 1;
+        }
+    }
+
+    if (reset > 0) {
+        logger.info(`Reset monthly usage for ${reset} subscriptions`);
+    }
+
+    return { reset };
+}
+
+module.exports = {
+    name: 'reset-monthly-usage',
+    intervalMs: 60 * 60 * 1000, // hourly
+    handler: resetMonthlyUsage,
+};
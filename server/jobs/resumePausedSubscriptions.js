@@ -0,0 +1,92 @@
+const Subscription = require('../../models/Subscription');
+const { createNotifier } = require('../utils/notifier');
+const { stripeService } = require('../utils/services');
+const { mapStripeStatus, getStripePeriod } = require('../utils/billingUtils');
+
+const notifications = createNotifier({
+    types: ['subscription_changed'],
+    relatedModels: ['Subscription'],
+});
+
+/**
+ * Resume a subscription in Stripe, then copy Stripe's result onto the local record.
+ * Handles both a paused subscription and one whose payment collection is paused.
+ */
+async function resumeSubscription(subscription) {
+    if (!subscription.stripeSubscriptionId) {
+        await subscription.resume();
+        return;
+    }
+
+    const stripe = stripeService.client;
+    let stripeSubscription = await stripe.subscriptions.retrieve(subscription.stripeSubscriptionId);
+
+    if (stripeSubscription.status === 'paused') {
+        stripeSubscription = await stripe.subscriptions.resume(stripeSubscription.id, {
+            billing_cycle_anchor: 'now',
+        });
+    } else if (stripeSubscription.pause_collection) {
+        stripeSubscription = await stripe.subscriptions.update(stripeSubscription.id, {
+            pause_collection: '',
+        });
+    }
+
+    subscription.status = mapStripeStatus(stripeSubscription.status) || subscription.status;
+    subscription.pausedAt = null;
+    subscription.resumeDate = null;
+
+    const period = getStripePeriod(stripeSubscription);
+    if (period.start) subscription.currentPeriodStart = period.start;
+    if (period.end) subscription.currentPeriodEnd = period.end;
+
+    await subscription.save();
+}
+
+/**
+ * Resume paused subscriptions whose resumeDate has passed
+ */
+async function resumePausedSubscriptions({ logger }) {
+    const subscriptions = await Subscription.find({
+        status: 'paused',
+        resumeDate: { $ne: null, $lte: new Date() },
+    });
+
+    let resumed = 0;
+    for (const subscription of subscriptions) {
+        try {
+            await resumeSubscription(subscription);
+            if (!subscription.isActive) {
+                logger.warn(
+                    `Subscription ${subscription._id} is ${subscription.status} in Stripe after resuming`
+                );
+                continue;
+            }
+            resumed += 1;
+
+            await notifications.create(
+                subscription.user,
+                'subscription_changed',
+                'Subscription Resumed',
+                'Your subscription has been resumed and is active again',
+                {
+                    relatedModel: 'Subscription',
+                    relatedId: subscription._id,
+                }
+            );
+        } catch (error) {
+            logger.error(`Failed to resume subscription ${subscription._id}:`, error);
+        }
+    }
+
+    if (resumed > 0) {
+        logger.info(`Resumed ${resumed} paused subscriptions`);
+    }
+
+    return { resumed, due: subscriptions.length };
+}
+
+module.exports = {
+    name: 'resume-paused-subscriptions',
+    intervalMs: 15 * 60 * 1000, // every 15 minutes
+    handler: resumePausedSubscriptions,
+};
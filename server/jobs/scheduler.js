@@ -0,0 +1,99 @@
+const os = require('os');
+const ScheduledJob = require('../../models/ScheduledJob');
+
+/**
+ * In-process job scheduler.
+ * Job state lives in Mongo so that schedules survive restarts and only one
+ * app instance runs a given job at a time.
+ */
+function createScheduler({
+    logger = console,
+    pollIntervalMs = 60 * 1000,
+    instanceId = `${os.hostname()}:${process.pid}`,
+} = {}) {
+    const registry = new Map();
+    const running = new Set();
+    let timer = null;
+
+    /**
+     * Add a job to the registry
+     * @param {string} name - Unique job name
+     * @param {object} options - { intervalMs, lockMs, handler }
+     */
+    function register(name, { intervalMs, lockMs = 10 * 60 * 1000, handler }) {
+        if (registry.has(name)) {
+            throw new Error(`Job ${name} is already registered`);
+        }
+        if (typeof handler !== 'function') {
+            throw new Error(`Job ${name} needs a handler`);
+        }
+
+        registry.set(name, { name, intervalMs, lockMs, handler });
+    }
+
+    /**
+     * Run a single job if it is due and we can take its lock
+     */
+    async function runJob(job) {
+        if (running.has(job.name)) return;
+        running.add(job.name);
+
+        try {
+            const record = await ScheduledJob.acquire(job.name, instanceId, job.lockMs);
+            if (!record) return;
+
+            logger.info(`Job ${job.name} started on ${instanceId}`);
+
+            try {
+                const result = await job.handler({ logger, lastRunAt: record.lastFinishedAt });
+                await record.release({ result });
+                logger.info(`Job ${job.name} finished`);
+            } catch (error) {
+                await record.release({ error });
+                logger.error(`Job ${job.name} failed:`, error);
+            }
+        } catch (error) {
+            logger.error(`Scheduler error for job ${job.name}:`, error);
+        } finally {
+            running.delete(job.name);
+        }
+    }
+
+    /**
+     * Check all registered jobs
+     */
+    async function tick() {
+        await Promise.all([...registry.values()].map(runJob));
+    }
+
+    /**
+     * Persist registered jobs and start polling
+     */
+    async function start() {
+        if (timer) return;
+
+        for (const job of registry.values()) {
+            await ScheduledJob.register(job.name, job.intervalMs);
+        }
+
+        timer = setInterval(tick, pollIntervalMs);
+        timer.unref();
+        logger.info(`Scheduler started with ${registry.size} jobs on ${instanceId}`);
+
+        tick();
+    }
+
+    /**
+     * Stop polling (running jobs finish on their own)
+     */
+    function stop() {
+        if (timer) {
+            clearInterval(timer);
+            timer = null;
+        }
+    }
+
+    return { register, start, stop, tick, jobs: registry };
+}
+
+module.exports = { createScheduler };
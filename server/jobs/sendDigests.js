@@ -0,0 +1,261 @@
+const DesignRequest = require('../../models/DesignRequest');
+const Message = require('../../models/Message');
+const NotificationPreference = require('../../models/NotificationPreference');
+const DigestDelivery = require('../../models/DigestDelivery');
+const Organization = require('../../models/Organization');
+const { emailService } = require('../utils/services');
+const { escapeHtml } = require('../utils/htmlUtils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_ITEMS = 20;
+
+// Digests go out at this UTC hour; weekly ones on Mondays
+const DIGEST_HOUR = parseInt(process.env.DIGEST_HOUR_UTC) || 8;
+
+/**
+ * Get the period a digest belongs to and when it becomes due
+ */
+function getDigestPeriod(frequency, now) {
+    const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+
+    if (frequency === 'weekly') {
+        // Back up to Monday
+        start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    }
+
+    return {
+        periodKey: `${frequency}:${start.toISOString().slice(0, 10)}`,
+        dueAt: new Date(start.getTime() + DIGEST_HOUR * 60 * 60 * 1000),
+    };
+}
+
+/**
+ * Build the request filter a user's digest covers: their organization's requests for clients,
+ * the same scope as getRequestScope, and their assignments for designers.
+ * Admins have no requests of their own, so they get null and no digest items.
+ */
+async function getDigestScope(user) {
+    if (user.role === 'designer') return { designer: user._id };
+    if (user.role !== 'client') return null;
+
+    const organization = await Organization.findOrCreateForUser(user);
+    return { organization: organization._id };
+}
+
+/**
+ * Collect unread messages, status changes and new upcoming deadlines for a user
+ */
+async function collectDigestItems(user, delivery) {
+    const empty = {
+        messages: [],
+        statusChanges: [],
+        deadlines: [],
+        more: { messages: 0, statusChanges: 0, deadlines: 0 },
+    };
+
+    const scope = await getDigestScope(user);
+    if (!scope) return empty;
+
+    const requestIds = await DesignRequest.find({ ...scope, isArchived: false }).distinct('_id');
+    if (requestIds.length === 0) return empty;
+
+    const window = { $gt: delivery.windowStart, $lte: delivery.windowEnd };
+    const horizon = new Date(delivery.windowEnd.getTime() + 7 * DAY_MS);
+
+    // Each deadline is only flagged once, in the first digest after it comes within a week
+    const alreadySent = await DigestDelivery.distinct('deadlines', {
+        user: user._id,
+        status: 'sent',
+    });
+
+    const messageFilter = {
+        designRequest: { $in: requestIds },
+        messageType: { $ne: 'system' },
+        sender: { $ne: user._id },
+        isRead: false,
+        isDeleted: false,
+        createdAt: window,
+    };
+    const statusChangeFilter = {
+        designRequest: { $in: requestIds },
+        messageType: 'system',
+        'systemData.action': 'status_change',
+        createdAt: window,
+    };
+    const deadlineFilter = {
+        _id: { $in: requestIds, $nin: alreadySent },
+        deadline: { $gte: delivery.windowEnd, $lte: horizon },
+        status: { $nin: ['completed', 'canceled'] },
+    };
+
+    const [messages, statusChanges, deadlines, messageCount, statusChangeCount, deadlineCount] =
+        await Promise.all([
+            Message.find(messageFilter)
+                .populate('designRequest', 'title requestNumber')
+                .populate('sender', 'fullName')
+                .sort('createdAt')
+                .limit(MAX_ITEMS),
+            Message.find(statusChangeFilter)
+                .populate('designRequest', 'title requestNumber')
+                .sort('createdAt')
+                .limit(MAX_ITEMS),
+            DesignRequest.find(deadlineFilter)
+                .select('title deadline priority status requestNumber')
+                .sort('deadline')
+                .limit(MAX_ITEMS)
+                .lean(),
+            Message.countDocuments(messageFilter),
+            Message.countDocuments(statusChangeFilter),
+            DesignRequest.countDocuments(deadlineFilter),
+        ]);
+
+    // The next digest starts after this window, so say how much didn't fit
+    const more = {
+        messages: messageCount - messages.length,
+        statusChanges: statusChangeCount - statusChanges.length,
+        deadlines: deadlineCount - deadlines.length,
+    };
+
+    return { messages, statusChanges, deadlines, more };
+}
+
+/**
+ * Render a digest email
+ */
+function renderDigestEmail(user, frequency, items) {
+    const portalUrl = process.env.PORTAL_URL;
+    const requestLink = (request) =>
+        `<a href="${portalUrl}/requests/${request._id}">${escapeHtml(request.title)}</a>`;
+
+    const moreLine = (count) =>
+        count > 0
+            ? `<p>...and ${count} more in <a href="${portalUrl}/dashboard">CanvasCue</a>.</p>`
+            : '';
+
+    const sections = [];
+
+    if (items.messages.length > 0) {
+        sections.push(`
+        <h3>Unread messages</h3>
+        <ul>
+            ${items.messages
+                .map(
+                    (m) =>
+                        `<li><strong>${escapeHtml(
+                            m.sender?.fullName || 'Someone'
+                        )}</strong> on ${requestLink(m.designRequest)}: ${escapeHtml(
+                            m.message.slice(0, 200)
+                        )}</li>`
+                )
+                .join('')}
+        </ul>
+        ${moreLine(items.more.messages)}`);
+    }
+
+    if (items.statusChanges.length > 0) {
+        sections.push(`
+        <h3>Status changes</h3>
+        <ul>
+            ${items.statusChanges
+                .map(
+                    (m) =>
+                        `<li>${requestLink(m.designRequest)} moved to ${escapeHtml(
+                            m.systemData.newValue
+                        )}</li>`
+                )
+                .join('')}
+        </ul>
+        ${moreLine(items.more.statusChanges)}`);
+    }
+
+    if (items.deadlines.length > 0) {
+        sections.push(`
+        <h3>Upcoming deadlines</h3>
+        <ul>
+            ${items.deadlines
+                .map(
+                    (r) =>
+                        `<li>${requestLink(r)} is due ${new Date(r.deadline).toLocaleDateString(
+                            'en-US',
+                            { dateStyle: 'medium' }
+                        )}</li>`
+                )
+                .join('')}
+        </ul>
+        ${moreLine(items.more.deadlines)}`);
+    }
+
+    return `
+        <h2>Your ${frequency} CanvasCue summary</h2>
+        <p>Hi ${escapeHtml(user.fullName || 'there')}, here's what happened on your requests.</p>
+        ${sections.join('')}
+        <p><a href="${portalUrl}/dashboard" style="display: inline-block; padding: 10px 20px; background: #3b82f6; color: white; text-decoration: none; border-radius: 5px;">Open Dashboard</a></p>
+        <p style="color: #6b7280; font-size: 12px;">You can change how often you get this summary in <a href="${portalUrl}/settings?tab=notifications">your settings</a>.</p>
+        <br>
+        <p>Best regards,<br>The CanvasCue Team</p>
+    `;
+}
+
+/**
+ * Send daily and weekly activity digests that are due
+ */
+async function sendDigests({ logger }) {
+    const now = new Date();
+    const result = { sent: 0, skipped: 0, failed: 0 };
+
+    const cursor = NotificationPreference.find({ digestFrequency: { $ne: 'off' } })
+        .populate('user', 'email fullName role isActive organization companyName')
+        .cursor();
+
+    for await (const preferences of cursor) {
+        const { user, digestFrequency: frequency } = preferences;
+        if (!user || !user.isActive) continue;
+
+        const { periodKey, dueAt } = getDigestPeriod(frequency, now);
+        if (now < dueAt) continue;
+
+        const delivery = await DigestDelivery.begin({
+            user: user._id,
+            frequency,
+            periodKey,
+            windowEnd: now,
+        });
+        if (!delivery) continue;
+
+        try {
+            const items = await collectDigestItems(user, delivery);
+            const total =
+                items.messages.length + items.statusChanges.length + items.deadlines.length;
+
+            if (total === 0) {
+                await delivery.skip();
+                result.skipped += 1;
+                continue;
+            }
+
+            await emailService.send(
+                user.email,
+                `Your ${frequency} summary - CanvasCue`,
+                renderDigestEmail(user, frequency, items)
+            );
+            await delivery.complete(items);
+            result.sent += 1;
+        } catch (error) {
+            logger.error(`Failed to send ${periodKey} digest to user ${user._id}:`, error);
+            await delivery.fail(error);
+            result.failed += 1;
+        }
+    }
+
+    if (result.sent > 0) {
+        logger.info(`Sent ${result.sent} activity digests`);
+    }
+
+    return result;
+}
+
+module.exports = {
+    name: 'send-digests',
+    intervalMs: 60 * 60 * 1000, // hourly
+    handler: sendDigests,
+};
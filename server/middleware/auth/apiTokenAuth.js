@@ -0,0 +1,50 @@
+function apiTokenAuth({ TokenModel, UserModel, logger = console }) {
+    function reject(res, message) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({
+            success: false,
+            message,
+        });
+    }
+
+    // Runs before the session middleware. A request with a Bearer token gets a
+    // request-only session, so express-session leaves it alone and sets no cookie.
+    async function authenticateToken(req, res, next) {
+        const header = req.get('Authorization') || '';
+        const match = header.match(/^Bearer\s+(\S+)$/i);
+        if (!match) return next();
+
+        try {
+            const token = await TokenModel.findActiveByToken(match[1]);
+            if (!token) {
+                return reject(res, 'Invalid or expired API token');
+            }
+
+            const user = await UserModel.findById(token.user).select('role email isActive');
+            if (!user || !user.isActive) {
+                logger.warn(`API token ${token._id} used for inactive user ${token.user}`);
+                return reject(res, 'Invalid or expired API token');
+            }
+
+            req.apiToken = token;
+            req.session = {
+                userId: user._id.toString(),
+                userRole: user.role,
+                userEmail: user.email,
+                destroy(callback) {
+                    if (callback) callback();
+                },
+            };
+
+            await token.touch();
+            next();
+        } catch (error) {
+            logger.error(`API token authentication error: ${error}`);
+            return reject(res, 'Could not verify API token');
+        }
+    }
+
+    return { authenticateToken };
+}
+
+module.exports = { apiTokenAuth };
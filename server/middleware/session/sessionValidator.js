@@ -1,15 +1,30 @@
+// How often a session's last-seen time is refreshed
+const TRACK_INTERVAL_MS = 5 * 60 * 1000;
+
 function sessionValidator({
     UserModel,
+    SessionModel = null,
     logger = console,
     loginPath = '/login',
     roleRedirects = {},
 }) {
     async function validateSession(req, res, next) {
+        // Password checked but second factor still pending: the session is not logged in
+        if (req.session && req.session.pendingTwoFactor) {
+            delete req.session.userId;
+            delete req.session.userRole;
+
+            if (req.session.pendingTwoFactor.expiresAt < Date.now()) {
+                delete req.session.pendingTwoFactor;
+            }
+            return next();
+        }
+
         if (!req.session || !req.session.userId) return next();
 
         try {
             const user = await UserModel.findById(req.session.userId).select(
-                'role isActive email fullName firstName lastName'
+                'role isActive isEmailVerified email fullName firstName lastName'
             );
 
             if (!user || !user.isActive) {
@@ -24,6 +39,14 @@ function sessionValidator({
             req.currentUser = user;
             res.locals.user = user;
 
+            // API token requests have no browser session to track
+            const tracked =
+                req.apiToken || req.session.lastTrackedAt > Date.now() - TRACK_INTERVAL_MS;
+            if (SessionModel && !tracked) {
+                await SessionModel.track(req, user._id);
+                req.session.lastTrackedAt = Date.now();
+            }
+
             next();
         } catch (error) {
             logger.error(`Session validation error: ${error}`);
@@ -10,9 +10,21 @@ const clientDashboardController = require('./controllers/client/dashboardControl
 const clientRequestsController = require('./controllers/client/requestsController');
 const clientSubscriptionController = require('./controllers/client/subscriptionController');
 const clientSettingsController = require('./controllers/client/settingsController');
+const clientInvoicesController = require('./controllers/client/invoicesController');
+const clientTeamController = require('./controllers/client/teamController');
+const clientWebhooksController = require('./controllers/client/webhooksController');
+const apiV1Router = require('./api/v1');
+const conversationController = require('./controllers/conversationController');
+const notificationsController = require('./controllers/notificationsController');
+const designerWorkqueueController = require('./controllers/designer/workqueueController');
+const designerAssignmentsController = require('./controllers/designer/assignmentsController');
 // const designerDashboardController = require('./controllers/designer/dashboardController');
+const adminUsersController = require('./controllers/admin/usersController');
+const adminAnalyticsController = require('./controllers/admin/analyticsController');
 // const adminDashboardController = require('./controllers/admin/dashboardController');
 
+const { getMembership, EDITOR_ROLES } = require('./utils/organizationUtils');
+
 // Middleware from sahab-core
 const { createAuthMiddleware } = require('@sahab/core');
 const auth = createAuthMiddleware({
@@ -37,6 +49,8 @@ router.get('/', (req, res) => {
 // Authentication routes
 router.get('/login', authController.showLogin);
 router.post('/login', authController.login);
+router.get('/login/two-factor', authController.showTwoFactor);
+router.post('/login/two-factor', authController.verifyTwoFactor);
 router.get('/signup', authController.showSignup);
 router.post('/signup', authController.signup);
 router.get('/logout', authController.logout);
@@ -47,6 +61,33 @@ router.post('/forgot-password', authController.forgotPassword);
 router.get('/reset-password/:token', authController.showResetPassword);
 router.post('/reset-password/:token', authController.resetPassword);
 
+// Email verification
+router.get('/verify-email/:token', authController.verifyEmail);
+
+// Lockout unlock link
+router.get('/unlock-account/:token', authController.unlockAccount);
+
+// Team invitation link; signed-out visitors are sent back here after logging in
+router.get('/invitations/:token', clientTeamController.showInvitation);
+router.post('/invitations/:token', clientTeamController.acceptInvitation);
+
+/**
+ * Webhook Routes (No auth required)
+ * Registered before the protected routers, whose auth middleware runs for every path
+ */
+// Both bodies arrive raw; app.js mounts the parsers ahead of the JSON ones
+router.post('/webhooks/stripe', require('./controllers/webhookController').handleStripeWebhook);
+router.post(
+    '/webhooks/inbound-email',
+    require('./controllers/inboundEmailController').handleInboundEmail
+);
+
+/**
+ * Versioned JSON API
+ * Handles its own authentication so it answers with JSON errors instead of login redirects
+ */
+router.use('/api/v1', apiV1Router);
+
 const requireRole = (role) => (req, res, next) => {
     if (req.session.userRole !== role) {
         return res.status(403).render('error', {
@@ -57,6 +98,70 @@ const requireRole = (role) => (req, res, next) => {
     next();
 };
 
+// Blocks request creation for unverified accounts when REQUIRE_VERIFIED_EMAIL=true
+const requireVerifiedEmail = (req, res, next) => {
+    if (process.env.REQUIRE_VERIFIED_EMAIL !== 'true' || req.currentUser?.isEmailVerified) {
+        return next();
+    }
+
+    const message = 'Please verify your email address before creating design requests';
+    if (req.originalUrl.startsWith('/api/')) {
+        return res.status(403).json({
+            success: false,
+            message,
+        });
+    }
+    res.status(403).render('error', {
+        title: 'Email Not Verified',
+        message,
+    });
+};
+
+// Limits a route to the given roles within the user's organization (owner, member, viewer)
+const requireTeamRole =
+    (...roles) =>
+    async (req, res, next) => {
+        try {
+            const { role } = await getMembership(req);
+            if (roles.includes(role)) return next();
+
+            const message = 'Your team role does not allow this action';
+            if (req.originalUrl.startsWith('/api/')) {
+                return res.status(403).json({
+                    success: false,
+                    message,
+                });
+            }
+            res.status(403).render('error', {
+                title: 'Access Denied',
+                message,
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+const requireEditor = requireTeamRole(...EDITOR_ROLES);
+
+// Personal API tokens need the given scope; browser sessions pass through
+const requireScope = (scope) => (req, res, next) => {
+    if (!req.apiToken || req.apiToken.hasScope(scope)) return next();
+
+    res.status(403).json({
+        success: false,
+        message: `This API token is missing the ${scope} scope`,
+    });
+};
+
+// API tokens only reach routes that declare a scope
+const rejectApiTokens = (req, res, next) => {
+    if (!req.apiToken) return next();
+
+    res.status(403).json({
+        success: false,
+        message: 'This endpoint is not available to API tokens',
+    });
+};
+
 /**
  * Protected Routes - Requires Authentication
  */
@@ -81,9 +186,16 @@ protectedRouter.get('/dashboard', clientDashboardController.showDashboard);
 
 // Design requests
 protectedRouter.get('/requests', clientRequestsController.showRequests);
-protectedRouter.get('/requests/new', clientRequestsController.showNewRequest);
+protectedRouter.get(
+    '/requests/new',
+    requireVerifiedEmail,
+    requireEditor,
+    clientRequestsController.showNewRequest
+);
 protectedRouter.post(
     '/requests/new',
+    requireVerifiedEmail,
+    requireEditor,
     upload.array('referenceFiles', 10),
     clientRequestsController.createRequest
 );
@@ -92,43 +204,119 @@ protectedRouter.get('/requests/:id', clientRequestsController.showRequest);
 // Subscription management
 protectedRouter.get('/subscription', clientSubscriptionController.showSubscription);
 protectedRouter.get('/subscription/upgrade', clientSubscriptionController.showUpgrade);
-protectedRouter.post('/subscription/upgrade', clientSubscriptionController.upgradeSubscription);
+protectedRouter.post(
+    '/subscription/upgrade',
+    requireTeamRole('owner'),
+    clientSubscriptionController.upgradeSubscription
+);
 protectedRouter.get(
     '/subscription/success',
     clientSubscriptionController.handleSubscriptionSuccess
 );
+protectedRouter.get('/subscription/invoices', clientInvoicesController.showInvoices);
+protectedRouter.get('/subscription/invoices/:id', clientInvoicesController.showInvoice);
+protectedRouter.get('/subscription/invoices/:id/pdf', clientInvoicesController.downloadInvoicePdf);
 
 // Account settings
+protectedRouter.post('/verify-email/resend', authController.resendVerification);
 protectedRouter.get('/settings', clientSettingsController.showSettings);
 protectedRouter.post('/settings/profile', clientSettingsController.updateProfile);
 protectedRouter.post('/settings/password', clientSettingsController.updatePassword);
-protectedRouter.post('/settings/brand', clientSettingsController.updateBrand);
+protectedRouter.post('/settings/notifications', clientSettingsController.updateNotifications);
+protectedRouter.post('/settings/two-factor/setup', clientSettingsController.setupTwoFactor);
+protectedRouter.post('/settings/two-factor/enable', clientSettingsController.enableTwoFactor);
+protectedRouter.post('/settings/two-factor/disable', clientSettingsController.disableTwoFactor);
+protectedRouter.post(
+    '/settings/two-factor/recovery-codes',
+    clientSettingsController.regenerateRecoveryCodes
+);
+protectedRouter.post(
+    '/settings/sessions/revoke-others',
+    clientSettingsController.revokeOtherSessions
+);
+protectedRouter.post('/settings/sessions/:id/revoke', clientSettingsController.revokeSession);
+protectedRouter.post('/settings/api-tokens', clientSettingsController.createApiToken);
+protectedRouter.post('/settings/api-tokens/:id/revoke', clientSettingsController.revokeApiToken);
+protectedRouter.post('/settings/brand', requireEditor, clientSettingsController.updateBrand);
 protectedRouter.post(
     '/settings/brand/upload',
+    requireEditor,
     upload.single('file'),
     clientSettingsController.uploadBrandFile
 );
 protectedRouter.delete(
     '/settings/brand/file/:type/:fileId',
+    requireEditor,
     clientSettingsController.deleteBrandFile
 );
 
+// Team management
+protectedRouter.post('/settings/team/invitations', clientTeamController.inviteMember);
+protectedRouter.post(
+    '/settings/team/invitations/:id/revoke',
+    clientTeamController.revokeInvitation
+);
+protectedRouter.post('/settings/team/members/:userId/role', clientTeamController.updateMemberRole);
+protectedRouter.post('/settings/team/members/:userId/remove', clientTeamController.removeMember);
+
+// Outbound webhooks
+protectedRouter.post(
+    '/settings/webhooks',
+    requireTeamRole('owner'),
+    clientWebhooksController.createEndpoint
+);
+protectedRouter.post(
+    '/settings/webhooks/:id/update',
+    requireTeamRole('owner'),
+    clientWebhooksController.updateEndpoint
+);
+protectedRouter.post(
+    '/settings/webhooks/:id/delete',
+    requireTeamRole('owner'),
+    clientWebhooksController.deleteEndpoint
+);
+protectedRouter.post(
+    '/settings/webhooks/deliveries/:id/redeliver',
+    requireTeamRole('owner'),
+    clientWebhooksController.redeliver
+);
+
 /**
- * Designer Routes (to be implemented)
+ * Designer Routes
  */
+// Work queue
+protectedRouter.get(
+    '/designer/available',
+    requireRole('designer'),
+    designerWorkqueueController.showAvailable
+);
+protectedRouter.post(
+    '/designer/claim/:id',
+    requireRole('designer'),
+    designerWorkqueueController.claimRequest
+);
+
+// To be implemented
 // protectedRouter.get('/designer/dashboard', requireRole('designer'), designerDashboardController.showDashboard);
 // protectedRouter.get('/designer/assignments', requireRole('designer'), designerDashboardController.showAssignments);
-// protectedRouter.get('/designer/available', requireRole('designer'), designerDashboardController.showAvailable);
-// protectedRouter.post('/designer/claim/:id', requireRole('designer'), designerDashboardController.claimRequest);
 // protectedRouter.post('/designer/complete/:id', requireRole('designer'), designerDashboardController.completeRequest);
 
 /**
- * Admin Routes (to be implemented)
+ * Admin Routes
  */
+// User management
+protectedRouter.get('/admin/users', requireRole('admin'), adminUsersController.showUsers);
+
+// Analytics
+protectedRouter.get(
+    '/admin/analytics',
+    requireRole('admin'),
+    adminAnalyticsController.showAnalytics
+);
+
+// To be implemented
 // protectedRouter.get('/admin/dashboard', requireRole('admin'), adminDashboardController.showDashboard);
-// protectedRouter.get('/admin/users', requireRole('admin'), adminDashboardController.showUsers);
 // protectedRouter.get('/admin/requests', requireRole('admin'), adminDashboardController.showAllRequests);
-// protectedRouter.get('/admin/analytics', requireRole('admin'), adminDashboardController.showAnalytics);
 
 // Mount protected routes
 router.use('/', protectedRouter);
@@ -139,51 +327,143 @@ router.use('/', protectedRouter);
 const apiRouter = express.Router();
 apiRouter.use(auth.isAuthenticated);
 
+// Design Request API (open to API tokens)
+apiRouter.get('/api/requests', requireScope('requests:read'), clientRequestsController.getRequests);
+apiRouter.post(
+    '/api/requests',
+    requireScope('requests:write'),
+    requireVerifiedEmail,
+    requireEditor,
+    clientRequestsController.createRequestAPI
+);
+apiRouter.put(
+    '/api/requests/:id',
+    requireScope('requests:write'),
+    requireEditor,
+    clientRequestsController.updateRequest
+);
+apiRouter.post(
+    '/api/requests/:id/message',
+    requireScope('requests:write'),
+    requireEditor,
+    clientRequestsController.addMessage
+);
+apiRouter.get(
+    '/api/requests/:id/messages',
+    requireScope('requests:read'),
+    conversationController.getMessages
+);
+apiRouter.get(
+    '/api/requests/:id/events',
+    requireScope('requests:read'),
+    conversationController.streamEvents
+);
+apiRouter.post(
+    '/api/requests/:id/revision',
+    requireScope('requests:write'),
+    requireEditor,
+    clientRequestsController.requestRevision
+);
+apiRouter.post(
+    '/api/requests/:id/approve',
+    requireScope('requests:write'),
+    requireEditor,
+    clientRequestsController.approveDeliverable
+);
+
+// Usage and Invoices API (open to API tokens)
+apiRouter.get(
+    '/api/dashboard/usage',
+    requireScope('billing:read'),
+    clientDashboardController.getUsage
+);
+apiRouter.get(
+    '/api/subscription/invoices',
+    requireScope('billing:read'),
+    clientInvoicesController.getInvoices
+);
+apiRouter.get(
+    '/api/subscription/invoices/:id',
+    requireScope('billing:read'),
+    clientInvoicesController.getInvoice
+);
+
+// Everything below is for browser sessions only
+apiRouter.use(rejectApiTokens);
+
 // Onboarding API
 apiRouter.get('/api/onboarding/status', onboardingController.getStatus);
 
 // Client API Routes
 apiRouter.get('/api/dashboard/stats', clientDashboardController.getStats);
-apiRouter.get('/api/dashboard/usage', clientDashboardController.getUsage);
-
-// Design Request API
-apiRouter.get('/api/requests', clientRequestsController.getRequests);
-apiRouter.post('/api/requests', clientRequestsController.createRequestAPI);
-apiRouter.put('/api/requests/:id', clientRequestsController.updateRequest);
-apiRouter.post('/api/requests/:id/message', clientRequestsController.addMessage);
-apiRouter.post('/api/requests/:id/revision', clientRequestsController.requestRevision);
 
 // Subscription API
 apiRouter.get('/api/subscription/tiers', clientSubscriptionController.getSubscriptionTiers);
-apiRouter.post('/api/subscription/checkout', clientSubscriptionController.createCheckoutSession);
-apiRouter.post('/api/subscription/cancel', clientSubscriptionController.cancelSubscription);
+apiRouter.post(
+    '/api/subscription/checkout',
+    requireTeamRole('owner'),
+    clientSubscriptionController.createCheckoutSession
+);
+apiRouter.post(
+    '/api/subscription/cancel',
+    requireTeamRole('owner'),
+    clientSubscriptionController.cancelSubscription
+);
 
 // Settings API
 apiRouter.get('/api/settings/export', clientSettingsController.exportData);
 apiRouter.delete('/api/settings/account', clientSettingsController.deleteAccount);
 
-// Designer API Routes (to be implemented)
-// apiRouter.get('/api/designer/queue', requireRole('designer'), designerDashboardController.getQueue);
-// apiRouter.post('/api/designer/update-status/:id', requireRole('designer'), designerDashboardController.updateStatus);
-// apiRouter.post('/api/designer/upload/:id', requireRole('designer'), upload.array('designs', 5), designerDashboardController.uploadDesign);
+// Notifications API
+apiRouter.get('/api/notifications', notificationsController.getNotifications);
+apiRouter.get('/api/notifications/unread-count', notificationsController.getUnreadCount);
+apiRouter.put('/api/notifications/read-all', notificationsController.markAllAsRead);
+apiRouter.put('/api/notifications/:id/read', notificationsController.markAsRead);
 
-// Admin API Routes (to be implemented)
+// Designer API Routes
+apiRouter.get('/api/designer/queue', requireRole('designer'), designerWorkqueueController.getQueue);
+apiRouter.post(
+    '/api/designer/upload/:id',
+    requireRole('designer'),
+    upload.array('designs', 5),
+    designerAssignmentsController.uploadDesign
+);
+apiRouter.post(
+    '/api/designer/update-status/:id',
+    requireRole('designer'),
+    designerAssignmentsController.updateStatus
+);
+
+// Admin API Routes
+apiRouter.get('/api/admin/users', requireRole('admin'), adminUsersController.getUsers);
+apiRouter.put('/api/admin/users/:id', requireRole('admin'), adminUsersController.updateUser);
+apiRouter.post(
+    '/api/admin/users/:id/resend-verification',
+    requireRole('admin'),
+    adminUsersController.resendVerification
+);
+apiRouter.post(
+    '/api/admin/users/:id/unlock',
+    requireRole('admin'),
+    adminUsersController.clearLockout
+);
+apiRouter.post(
+    '/api/admin/users/:id/reset-password',
+    requireRole('admin'),
+    adminUsersController.sendPasswordReset
+);
+apiRouter.get(
+    '/api/admin/analytics',
+    requireRole('admin'),
+    adminAnalyticsController.getAnalyticsData
+);
+
+// To be implemented
 // apiRouter.get('/api/admin/stats', requireRole('admin'), adminDashboardController.getSystemStats);
-// apiRouter.get('/api/admin/users', requireRole('admin'), adminDashboardController.getUsers);
-// apiRouter.put('/api/admin/users/:id', requireRole('admin'), adminDashboardController.updateUser);
 
 // Mount API routes
 router.use('/', apiRouter);
 
-/**
- * Webhook Routes (No auth required)
- */
-// router.post(
-//     '/webhooks/stripe',
-//     express.raw({ type: 'application/json' }),
-//     require('./controllers/webhookController').handleStripeWebhook
-// );
-
 /**
  * Error handling
  */
@@ -0,0 +1,95 @@
+const { emailService } = require('./services');
+const { escapeHtml } = require('./htmlUtils');
+
+/**
+ * Send the email address verification link
+ */
+const sendVerificationEmail = (email, token) => {
+    const verifyUrl = `${process.env.PORTAL_URL}/verify-email/${token}`;
+
+    return emailService.send(
+        email,
+        'Verify your email - CanvasCue',
+        `
+        <h2>Verify your email address</h2>
+        <p>Please confirm this email address for your CanvasCue account:</p>
+        <p><a href="${verifyUrl}" style="display: inline-block; padding: 10px 20px; background: #3b82f6; color: white; text-decoration: none; border-radius: 5px;">Verify Email</a></p>
+        <p>This link will expire in 24 hours.</p>
+        <p>If you didn't request this, please ignore this email.</p>
+        <br>
+        <p>Best regards,<br>The CanvasCue Team</p>
+        `
+    );
+};
+
+/**
+ * Send the password reset link
+ */
+const sendPasswordResetEmail = (email, token) => {
+    const resetUrl = `${process.env.PORTAL_URL}/reset-password/${token}`;
+
+    return emailService.send(
+        email,
+        'Password Reset Request - CanvasCue',
+        `
+        <h2>Password Reset Request</h2>
+        <p>You requested to reset your password. Click the link below to create a new password:</p>
+        <p><a href="${resetUrl}" style="display: inline-block; padding: 10px 20px; background: #3b82f6; color: white; text-decoration: none; border-radius: 5px;">Reset Password</a></p>
+        <p>This link will expire in 1 hour.</p>
+        <p>If you didn't request this, please ignore this email.</p>
+        <br>
+        <p>Best regards,<br>The CanvasCue Team</p>
+        `
+    );
+};
+
+/**
+ * Send the account locked notice with an unlock link
+ */
+const sendAccountLockedEmail = (email, token, lockedUntil) => {
+    const unlockUrl = `${process.env.PORTAL_URL}/unlock-account/${token}`;
+    const minutes = Math.ceil((lockedUntil - Date.now()) / 60000);
+
+    return emailService.send(
+        email,
+        'Your account was locked - CanvasCue',
+        `
+        <h2>Your account was locked</h2>
+        <p>We locked your CanvasCue account for ${minutes} minutes after several failed sign-in attempts.</p>
+        <p>If this was you, you can unlock it now:</p>
+        <p><a href="${unlockUrl}" style="display: inline-block; padding: 10px 20px; background: #3b82f6; color: white; text-decoration: none; border-radius: 5px;">Unlock Account</a></p>
+        <p>If this wasn't you, someone may be trying to guess your password. We recommend <a href="${process.env.PORTAL_URL}/forgot-password">resetting it</a>.</p>
+        <br>
+        <p>Best regards,<br>The CanvasCue Team</p>
+        `
+    );
+};
+
+/**
+ * Send a team invitation link
+ */
+const sendTeamInvitationEmail = (email, token, organizationName, inviterName) => {
+    const inviteUrl = `${process.env.PORTAL_URL}/invitations/${token}`;
+    const team = escapeHtml(organizationName);
+    const inviter = escapeHtml(inviterName);
+
+    return emailService.send(
+        email,
+        `Join ${organizationName} on CanvasCue`,
+        `
+        <h2>You're invited to ${team}</h2>
+        <p>${inviter} invited you to file and follow design requests with ${team} on CanvasCue.</p>
+        <p><a href="${inviteUrl}" style="display: inline-block; padding: 10px 20px; background: #3b82f6; color: white; text-decoration: none; border-radius: 5px;">Accept Invitation</a></p>
+        <p>Sign in or create an account with this email address to join. This link will expire in 7 days.</p>
+        <br>
+        <p>Best regards,<br>The CanvasCue Team</p>
+        `
+    );
+};
+
+module.exports = {
+    sendVerificationEmail,
+    sendPasswordResetEmail,
+    sendAccountLockedEmail,
+    sendTeamInvitationEmail,
+};
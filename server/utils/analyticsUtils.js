@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const DesignRequest = require('../../models/DesignRequest');
+const Subscription = require('../../models/Subscription');
+const Invoice = require('../../models/Invoice');
+const { formatTurnaround } = require('./dashboardUtils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse the date range from query params, defaulting to the last 30 days
+ */
+const parseDateRange = ({ from, to } = {}) => {
+    const endDate = to && !isNaN(new Date(to)) ? new Date(to) : new Date();
+    const startDate =
+        from && !isNaN(new Date(from)) ? new Date(from) : new Date(endDate - 30 * DAY_MS);
+
+    // Include the whole final day
+    endDate.setHours(23, 59, 59, 999);
+
+    return { startDate, endDate };
+};
+
+/**
+ * Build per-collection filters for an optional tier
+ */
+const buildTierFilters = async (tierId) => {
+    if (!tierId || !mongoose.Types.ObjectId.isValid(tierId)) {
+        return { invoiceFilter: {}, subscriptionFilter: {}, requestFilter: {} };
+    }
+
+    const tier = new mongoose.Types.ObjectId(tierId);
+    const subscriptionIds = await Subscription.find({ tier }).distinct('_id');
+
+    return {
+        invoiceFilter: { subscriptionTier: tier },
+        subscriptionFilter: { tier },
+        requestFilter: { subscription: { $in: subscriptionIds } },
+    };
+};
+
+/**
+ * Get admin analytics for a date range and optional tier
+ */
+const getAnalytics = async ({ from, to, tier } = {}) => {
+    const { startDate, endDate } = parseDateRange({ from, to });
+    const { invoiceFilter, subscriptionFilter, requestFilter } = await buildTierFilters(tier);
+
+    const interval = endDate - startDate > 90 * DAY_MS ? 'month' : 'day';
+
+    const [revenue, revenueSeries, mrr, churn, requestStats, throughput] = await Promise.all([
+        Invoice.getRevenueStats(startDate, endDate, invoiceFilter),
+        Invoice.getRevenueSeries(startDate, endDate, interval, invoiceFilter),
+        Subscription.getMRR(subscriptionFilter),
+        Subscription.getChurnStats(startDate, endDate, subscriptionFilter),
+        DesignRequest.getStatistics({
+            ...requestFilter,
+            createdAt: { $gte: startDate, $lte: endDate },
+        }),
+        DesignRequest.getThroughputSeries(startDate, endDate, requestFilter),
+    ]);
+
+    return {
+        range: { from: startDate, to: endDate, interval },
+        revenue: {
+            ...revenue,
+            series: revenueSeries,
+        },
+        subscriptions: {
+            ...mrr,
+            ...churn,
+        },
+        requests: {
+            total: requestStats.total,
+            completed: requestStats.completed,
+            inProgress: requestStats.inProgress,
+            avgTurnaround: formatTurnaround(requestStats.avgTurnaround),
+            avgTurnaroundHours: requestStats.avgTurnaround
+                ? Math.round(requestStats.avgTurnaround / (1000 * 60 * 60))
+                : null,
+            avgRevisions: Math.round((requestStats.avgRevisions || 0) * 10) / 10,
+            avgRating: parseFloat((requestStats.avgRating || 0).toFixed(1)),
+            throughput,
+        },
+    };
+};
+
+module.exports = {
+    parseDateRange,
+    getAnalytics,
+};
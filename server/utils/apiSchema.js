@@ -0,0 +1,216 @@
+/**
+ * Request validation against a small subset of JSON Schema.
+ * The same schemas are published in the OpenAPI document, so what we document is what we check.
+ *
+ * Supported keywords: type, nullable, enum, minLength, maxLength, pattern, format (date-time),
+ * minimum, maximum, items, minItems, maxItems, properties, required, additionalProperties: false,
+ * and the extension x-future for date-times that must be later than now.
+ */
+
+const OBJECT_ID_PATTERN = '^[a-f0-9]{24}$';
+
+/**
+ * Convert a query string or form field value to the schema's type; other values pass through
+ */
+function coerceStringValue(schema, value) {
+    if (typeof value !== 'string') return value;
+
+    if (schema.type === 'integer' || schema.type === 'number') {
+        return value.trim() !== '' && !isNaN(Number(value)) ? Number(value) : value;
+    }
+    if (schema.type === 'boolean') {
+        if (value === 'true') return true;
+        if (value === 'false') return false;
+    }
+    // A single checkbox or select option arrives as a plain string
+    if (schema.type === 'array') return [value];
+    return value;
+}
+
+/**
+ * Check a value against a schema, collecting errors by field path
+ */
+function check(schema, value, path, errors, options) {
+    const field = path || 'body';
+
+    if (value === null) {
+        if (!schema.nullable) errors[field] = 'Must not be null';
+        return value;
+    }
+
+    if (options.coerce) value = coerceStringValue(schema, value);
+
+    switch (schema.type) {
+        case 'string': {
+            if (typeof value !== 'string') {
+                errors[field] = 'Must be a string';
+                return value;
+            }
+            if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+                errors[field] =
+                    schema.minLength === 1
+                        ? 'Is required'
+                        : `Must be at least ${schema.minLength} characters`;
+            } else if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                errors[field] = `Must be at most ${schema.maxLength} characters`;
+            } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                errors[field] = 'Has an invalid format';
+            } else if (schema.format === 'date-time' && isNaN(Date.parse(value))) {
+                errors[field] = 'Must be a valid date';
+            } else if (schema['x-future'] && Date.parse(value) <= Date.now()) {
+                errors[field] = 'Must be in the future';
+            }
+            break;
+        }
+        case 'integer':
+        case 'number': {
+            const valid =
+                typeof value === 'number' &&
+                Number.isFinite(value) &&
+                (schema.type === 'number' || Number.isInteger(value));
+            if (!valid) {
+                errors[field] =
+                    schema.type === 'integer' ? 'Must be a whole number' : 'Must be a number';
+            } else if (schema.minimum !== undefined && value < schema.minimum) {
+                errors[field] = `Must be at least ${schema.minimum}`;
+            } else if (schema.maximum !== undefined && value > schema.maximum) {
+                errors[field] = `Must be at most ${schema.maximum}`;
+            }
+            break;
+        }
+        case 'boolean': {
+            if (typeof value !== 'boolean') errors[field] = 'Must be true or false';
+            break;
+        }
+        case 'array': {
+            if (!Array.isArray(value)) {
+                errors[field] = 'Must be a list';
+                return value;
+            }
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors[field] = `Must have at least ${schema.minItems} item(s)`;
+            } else if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                errors[field] = `Must have at most ${schema.maxItems} items`;
+            }
+            if (schema.items) {
+                value = value.map((item, i) =>
+                    check(schema.items, item, `${field}.${i}`, errors, options)
+                );
+            }
+            break;
+        }
+        case 'object': {
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                errors[field] = 'Must be an object';
+                return value;
+            }
+            return checkObject(schema, value, path, errors, options);
+        }
+    }
+
+    if (schema.enum && !errors[field] && !schema.enum.includes(value)) {
+        errors[field] = `Must be one of: ${schema.enum.join(', ')}`;
+    }
+
+    return value;
+}
+
+/**
+ * Check an object's properties, dropping empty optional query and form values
+ */
+function checkObject(schema, value, path, errors, options) {
+    const properties = schema.properties || {};
+    const result = {};
+
+    (schema.required || []).forEach((name) => {
+        if (value[name] === undefined || value[name] === '') {
+            errors[path ? `${path}.${name}` : name] = 'Is required';
+        }
+    });
+
+    Object.entries(value).forEach(([name, propertyValue]) => {
+        const propertyPath = path ? `${path}.${name}` : name;
+
+        if (!properties[name]) {
+            if (schema.additionalProperties === false) {
+                errors[propertyPath] = 'Is not a recognized field';
+            }
+            return;
+        }
+        if (propertyValue === undefined || errors[propertyPath]) return;
+        if (options.coerce && propertyValue === '') return;
+
+        result[name] = check(properties[name], propertyValue, propertyPath, errors, options);
+    });
+
+    // Fill in documented defaults
+    Object.entries(properties).forEach(([name, property]) => {
+        if (result[name] === undefined && property.default !== undefined) {
+            result[name] = property.default;
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Validate a request body or query against a schema.
+ * Pass coerce for query strings and form posts, where every value arrives as a string.
+ * Returns the cleaned value (unknown fields dropped, strings coerced, defaults applied)
+ * and a map of field path to message, or null when valid.
+ */
+function validate(schema, value, { coerce = false } = {}) {
+    const errors = {};
+    const cleaned = check(schema, value === undefined ? {} : value, '', errors, { coerce });
+
+    return {
+        value: cleaned,
+        errors: Object.keys(errors).length > 0 ? errors : null,
+    };
+}
+
+// Keys that would reach Object.prototype when used as a path segment
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Rebuild nested objects from flat form keys such as "specifications[dimensions][width]".
+ * Keys ending in "[]" collect into a list; values that are already nested pass through.
+ */
+function expandFields(fields = {}) {
+    const result = {};
+
+    Object.entries(fields).forEach(([key, value]) => {
+        const parts = key.replace(/\]/g, '').split('[');
+        const isList = parts[parts.length - 1] === '';
+        if (isList) parts.pop();
+        if (parts.some((part) => UNSAFE_KEYS.includes(part))) return;
+
+        let target = result;
+        parts.slice(0, -1).forEach((part) => {
+            if (typeof target[part] !== 'object' || target[part] === null) {
+                target[part] = {};
+            }
+            target = target[part];
+        });
+
+        const name = parts[parts.length - 1];
+        target[name] = isList ? [].concat(target[name] || [], value) : value;
+    });
+
+    return result;
+}
+
+/**
+ * Schema for a MongoDB id
+ */
+const objectId = (description) => ({
+    type: 'string',
+    pattern: OBJECT_ID_PATTERN,
+    ...(description ? { description } : {}),
+});
+
+module.exports = {
+    validate,
+    expandFields,
+    objectId,
+};
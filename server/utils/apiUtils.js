@@ -0,0 +1,82 @@
+// Shape of every versioned API response:
+//   success: { data, meta? }
+//   failure: { error: { code, message, details? } }
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Query parameters shared by every paginated list
+const PAGINATION_QUERY = {
+    page: { type: 'integer', minimum: 1, default: 1, description: 'Page number, starting at 1' },
+    limit: {
+        type: 'integer',
+        minimum: 1,
+        maximum: MAX_PAGE_SIZE,
+        default: DEFAULT_PAGE_SIZE,
+        description: 'Items per page',
+    },
+};
+
+/**
+ * Build an error the API error handler turns into a response
+ */
+const apiError = (status, code, message, details = null) => {
+    const error = new Error(message);
+    error.name = 'ApiError';
+    error.status = status;
+    error.code = code;
+    error.details = details;
+    return error;
+};
+
+/**
+ * Send a successful response
+ */
+const sendData = (res, data, { status = 200, meta = null } = {}) => {
+    res.status(status).json(meta ? { data, meta } : { data });
+};
+
+/**
+ * Send an error response
+ */
+const sendError = (res, status, code, message, details = null) => {
+    res.status(status).json({
+        error: {
+            code,
+            message,
+            ...(details ? { details } : {}),
+        },
+    });
+};
+
+/**
+ * Run a paginated query. `find` builds the query for the page; `count` returns the total.
+ */
+const paginate = async ({ page, limit }, find, count) => {
+    const [items, total] = await Promise.all([
+        find()
+            .skip((page - 1) * limit)
+            .limit(limit),
+        count(),
+    ]);
+
+    return {
+        items,
+        meta: {
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit),
+            },
+        },
+    };
+};
+
+module.exports = {
+    PAGINATION_QUERY,
+    apiError,
+    sendData,
+    sendError,
+    paginate,
+};
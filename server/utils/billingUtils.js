@@ -0,0 +1,122 @@
+const Subscription = require('../../models/Subscription');
+const SubscriptionTier = require('../../models/SubscriptionTier');
+const User = require('../../models/User');
+const Organization = require('../../models/Organization');
+const { createAppLogger, createStripeService } = require('@sahab/core');
+const { createNotifier } = require('./notifier');
+
+const logger = createAppLogger();
+const stripe = createStripeService();
+const notifications = createNotifier({
+    types: ['subscription_created'],
+    relatedModels: ['Subscription', 'User'],
+});
+
+/**
+ * Map a Stripe subscription status onto our Subscription status
+ */
+const mapStripeStatus = (stripeStatus) => {
+    const statusMap = {
+        active: 'active',
+        trialing: 'trialing',
+        past_due: 'past_due',
+        unpaid: 'past_due',
+        canceled: 'canceled',
+        paused: 'paused',
+        incomplete_expired: 'expired',
+    };
+    return statusMap[stripeStatus] || null;
+};
+
+/**
+ * Get the current billing period of a Stripe subscription.
+ * Newer API versions moved the period onto the subscription items.
+ */
+const getStripePeriod = (stripeSubscription) => {
+    const item = stripeSubscription.items?.data?.[0];
+    const start = stripeSubscription.current_period_start ?? item?.current_period_start;
+    const end = stripeSubscription.current_period_end ?? item?.current_period_end;
+
+    return {
+        start: start ? new Date(start * 1000) : null,
+        end: end ? new Date(end * 1000) : null,
+    };
+};
+
+/**
+ * Create the local subscription for a completed checkout session.
+ * Safe to call more than once: the success redirect and the webhook both use it.
+ */
+const activateCheckoutSession = async (session) => {
+    let subscription = await Subscription.findOne({
+        stripeSubscriptionId: session.subscription,
+    });
+
+    if (subscription) {
+        return { subscription, created: false };
+    }
+
+    const { userId, tierId, billingPeriod } = session.metadata;
+    const tier = await SubscriptionTier.findById(tierId);
+    const user = await User.findById(userId);
+    const organization = await Organization.findOrCreateForUser(user);
+
+    // Get subscription details from Stripe
+    const stripeSubscription = await stripe.client.subscriptions.retrieve(session.subscription);
+    const period = getStripePeriod(stripeSubscription);
+
+    subscription = new Subscription({
+        user: userId,
+        organization: organization._id,
+        tier: tierId,
+        billingPeriod,
+        amount: tier.calculatePrice(billingPeriod),
+        currency: tier.pricing.currency,
+        status: mapStripeStatus(stripeSubscription.status) || 'active',
+        stripeSubscriptionId: stripeSubscription.id,
+        stripeCustomerId: stripeSubscription.customer,
+        stripeSubscriptionItemId: stripeSubscription.items.data[0].id,
+        currentPeriodStart: period.start,
+        currentPeriodEnd: period.end,
+        nextBillingDate: period.end,
+    });
+
+    try {
+        await subscription.save();
+    } catch (error) {
+        // Lost a race with the other caller; theirs is just as good
+        if (error.code === 11000) {
+            subscription = await Subscription.findOne({
+                stripeSubscriptionId: session.subscription,
+            });
+            return { subscription, created: false };
+        }
+        throw error;
+    }
+
+    // Update user
+    user.currentSubscription = subscription._id;
+    await user.save();
+
+    // Create notification
+    await notifications.create(
+        userId,
+        'subscription_created',
+        'Subscription Activated',
+        `Welcome to ${tier.displayName}! Your subscription is now active.`,
+        {
+            relatedModel: 'Subscription',
+            relatedId: subscription._id,
+        }
+    );
+
+    logger.info(`Subscription created for user ${userId}`);
+
+    return { subscription, created: true };
+};
+
+module.exports = {
+    mapStripeStatus,
+    getStripePeriod,
+    activateCheckoutSession,
+};
@@ -2,15 +2,18 @@ const mongoose = require('mongoose');
 const DesignRequest = require('../../models/DesignRequest');
 
 /**
- * Get request statistics for dashboard
+ * Get request statistics for dashboard.
+ * Pass scope to count a specific request filter instead, e.g. the client's organization.
  */
-const getRequestStatistics = async (userId, role = 'client') => {
-    const filter =
-        role === 'client'
-            ? { client: new mongoose.Types.ObjectId(userId) }
-            : role === 'designer'
-            ? { designer: new mongoose.Types.ObjectId(userId) }
-            : {};
+const getRequestStatistics = async (userId, role = 'client', scope = null) => {
+    let filter = {};
+    if (scope) {
+        filter = scope;
+    } else if (role === 'client') {
+        filter = { client: new mongoose.Types.ObjectId(userId) };
+    } else if (role === 'designer') {
+        filter = { designer: new mongoose.Types.ObjectId(userId) };
+    }
 
     const stats = await DesignRequest.aggregate([
         { $match: filter },
@@ -211,6 +214,9 @@ const getUpcomingDeadlines = async (userId, role = 'client', limit = 5) => {
         filter.client = new mongoose.Types.ObjectId(userId);
     } else if (role === 'designer') {
         filter.designer = new mongoose.Types.ObjectId(userId);
+    } else {
+        // Other roles aren't tied to requests; don't fall through to every request
+        return [];
     }
 
     const deadlines = await DesignRequest.find(filter)
@@ -277,4 +283,5 @@ module.exports = {
     calculateDashboardMetrics,
     getUpcomingDeadlines,
     getActivityFeed,
+    formatTurnaround,
 };
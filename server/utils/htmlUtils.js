@@ -0,0 +1,13 @@
+/**
+ * Escape user-supplied text for an HTML email body
+ */
+const escapeHtml = (value) =>
+    String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+
+module.exports = {
+    escapeHtml,
+};
@@ -0,0 +1,185 @@
+const PDFDocument = require('pdfkit');
+
+const PAGE_MARGIN = 50;
+const COLUMNS = {
+    description: 50,
+    quantity: 300,
+    unitPrice: 370,
+    amount: 470,
+};
+
+/**
+ * Format an amount with the invoice currency
+ */
+const formatMoney = (amount, currency) => {
+    return new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency: currency || 'USD',
+    }).format(amount || 0);
+};
+
+/**
+ * Format a date for display on the invoice
+ */
+const formatDate = (date) => {
+    return date ? new Date(date).toLocaleDateString('en-US', { dateStyle: 'medium' }) : '-';
+};
+
+/**
+ * Write the header with invoice number and dates
+ */
+const writeHeader = (doc, invoice) => {
+    doc.fontSize(20).font('Helvetica-Bold').text('CanvasCue', PAGE_MARGIN, PAGE_MARGIN);
+    doc.fontSize(10).font('Helvetica').fillColor('#6b7280').text('Professional Design Services');
+
+    doc.fillColor('#111827')
+        .fontSize(16)
+        .font('Helvetica-Bold')
+        .text('INVOICE', 350, PAGE_MARGIN, { align: 'right' });
+    doc.fontSize(10)
+        .font('Helvetica')
+        .text(invoice.formattedNumber, { align: 'right' })
+        .text(`Issued: ${formatDate(invoice.createdAt)}`, { align: 'right' })
+        .text(
+            invoice.paymentDate
+                ? `Paid: ${formatDate(invoice.paymentDate)}`
+                : `Due: ${formatDate(invoice.dueDate)}`,
+            { align: 'right' }
+        )
+        .text(`Status: ${invoice.paymentStatus.replace('_', ' ')}`, { align: 'right' });
+};
+
+/**
+ * Write the billing address block
+ */
+const writeBillingAddress = (doc, invoice) => {
+    const address = invoice.billingAddress || {};
+    const cityLine = [address.city, address.state, address.postalCode].filter(Boolean).join(', ');
+
+    doc.moveDown(2).font('Helvetica-Bold').text('Billed To', PAGE_MARGIN);
+    doc.font('Helvetica');
+    [
+        address.name,
+        address.company,
+        address.addressLine1,
+        address.addressLine2,
+        cityLine,
+        address.country,
+    ]
+        .filter(Boolean)
+        .forEach((line) => doc.text(line));
+
+    doc.moveDown()
+        .text(
+            `Billing period: ${formatDate(invoice.periodStart)} - ${formatDate(invoice.periodEnd)}`
+        )
+        .moveDown();
+};
+
+/**
+ * Write the line item table
+ */
+const writeLineItems = (doc, invoice) => {
+    const writeRow = (y, cells, font = 'Helvetica') => {
+        doc.font(font)
+            .text(cells[0], COLUMNS.description, y, { width: 240 })
+            .text(cells[1], COLUMNS.quantity, y, { width: 60, align: 'right' })
+            .text(cells[2], COLUMNS.unitPrice, y, { width: 90, align: 'right' })
+            .text(cells[3], COLUMNS.amount, y, { width: 80, align: 'right' });
+    };
+
+    let y = doc.y + 10;
+    writeRow(y, ['Description', 'Qty', 'Unit Price', 'Amount'], 'Helvetica-Bold');
+    y += 18;
+    doc.moveTo(PAGE_MARGIN, y).lineTo(550, y).strokeColor('#e5e7eb').stroke();
+
+    invoice.lineItems.forEach((item) => {
+        y += 8;
+        writeRow(y, [
+            item.description || '',
+            String(item.quantity || 1),
+            formatMoney(item.unitPrice, invoice.currency),
+            formatMoney(item.amount, invoice.currency),
+        ]);
+        y = doc.y;
+    });
+
+    y += 8;
+    doc.moveTo(PAGE_MARGIN, y).lineTo(550, y).strokeColor('#e5e7eb').stroke();
+    doc.y = y + 10;
+};
+
+/**
+ * Write subtotal, discount, tax and total
+ */
+const writeTotals = (doc, invoice) => {
+    const rows = [['Subtotal', formatMoney(invoice.subtotal, invoice.currency)]];
+
+    if (invoice.discount?.amount) {
+        const label = invoice.discount.code
+            ? `Discount (${invoice.discount.code})`
+            : invoice.discount.percentage
+            ? `Discount (${invoice.discount.percentage}%)`
+            : 'Discount';
+        rows.push([label, `-${formatMoney(invoice.discount.amount, invoice.currency)}`]);
+    }
+
+    if (invoice.tax?.amount) {
+        const label = invoice.tax.rate ? `Tax (${invoice.tax.rate}%)` : 'Tax';
+        rows.push([label, formatMoney(invoice.tax.amount, invoice.currency)]);
+    }
+
+    rows.forEach(([label, value]) => {
+        const y = doc.y;
+        doc.font('Helvetica')
+            .text(label, COLUMNS.unitPrice - 70, y, { width: 160, align: 'right' })
+            .text(value, COLUMNS.amount, y, { width: 80, align: 'right' });
+    });
+
+    const y = doc.y + 6;
+    doc.font('Helvetica-Bold')
+        .text(`Total (${invoice.currency})`, COLUMNS.unitPrice - 70, y, {
+            width: 160,
+            align: 'right',
+        })
+        .text(formatMoney(invoice.total, invoice.currency), COLUMNS.amount, y, {
+            width: 80,
+            align: 'right',
+        });
+
+    if (invoice.tax?.taxId) {
+        doc.moveDown().font('Helvetica').text(`Tax ID: ${invoice.tax.taxId}`, PAGE_MARGIN);
+    }
+
+    if (invoice.notes) {
+        doc.moveDown().font('Helvetica').text(invoice.notes, PAGE_MARGIN, doc.y, { width: 500 });
+    }
+};
+
+/**
+ * Render an invoice to PDF and pipe it into the given writable stream
+ */
+const renderInvoicePdf = (invoice, stream) => {
+    const doc = new PDFDocument({
+        size: 'A4',
+        margin: PAGE_MARGIN,
+        info: {
+            Title: `Invoice ${invoice.formattedNumber}`,
+            Author: 'CanvasCue',
+        },
+    });
+
+    doc.pipe(stream);
+
+    writeHeader(doc, invoice);
+    writeBillingAddress(doc, invoice);
+    writeLineItems(doc, invoice);
+    writeTotals(doc, invoice);
+
+    doc.end();
+    return doc;
+};
+
+module.exports = {
+    renderInvoicePdf,
+};
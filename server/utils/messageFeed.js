@@ -0,0 +1,96 @@
+const Message = require('../../models/Message');
+const { createAppLogger } = require('@sahab/core');
+
+const logger = createAppLogger();
+
+/**
+ * Live feed of new conversation messages for the SSE streams.
+ * Polls Mongo instead of listening for saves in this process, so messages written by other
+ * app instances, background jobs and inbound email reach every open stream.
+ * One query per interval covers all the requests this process has streams open for.
+ */
+
+const POLL_INTERVAL_MS = 2000;
+const MAX_BATCH = 500;
+
+// Saves on different instances can land slightly out of createdAt order; re-read this far back
+const OVERLAP_MS = 10 * 1000;
+
+// requestId -> Set of listeners
+const listeners = new Map();
+// messageId -> createdAt (ms) for messages already pushed inside the overlap window
+const seen = new Map();
+
+let cursor = null;
+let timer = null;
+let polling = false;
+
+/**
+ * Fetch messages newer than the cursor and hand them to their request's listeners
+ */
+async function poll() {
+    if (polling || listeners.size === 0) return;
+    polling = true;
+
+    try {
+        const messages = await Message.find({
+            designRequest: { $in: [...listeners.keys()] },
+            isDeleted: false,
+            createdAt: { $gt: new Date(cursor - OVERLAP_MS) },
+        })
+            .populate('sender', 'fullName email role')
+            .sort('createdAt')
+            .limit(MAX_BATCH);
+
+        messages.forEach((message) => {
+            const id = message._id.toString();
+            const createdAt = message.createdAt.getTime();
+            cursor = Math.max(cursor, createdAt);
+            if (seen.has(id)) return;
+            seen.set(id, createdAt);
+
+            listeners.get(message.designRequest.toString())?.forEach((listener) => {
+                listener(message);
+            });
+        });
+
+        seen.forEach((createdAt, id) => {
+            if (createdAt < cursor - OVERLAP_MS) seen.delete(id);
+        });
+    } catch (error) {
+        logger.error('Message feed poll error:', error);
+    } finally {
+        polling = false;
+    }
+}
+
+/**
+ * Listen for new messages on a request. Returns a function that stops listening.
+ */
+function subscribe(requestId, listener) {
+    const key = requestId.toString();
+    if (!listeners.has(key)) listeners.set(key, new Set());
+    listeners.get(key).add(listener);
+
+    if (!timer) {
+        cursor = Date.now();
+        timer = setInterval(poll, POLL_INTERVAL_MS);
+        timer.unref();
+    }
+
+    return () => {
+        const requestListeners = listeners.get(key);
+        requestListeners?.delete(listener);
+        if (requestListeners?.size === 0) listeners.delete(key);
+
+        if (listeners.size === 0 && timer) {
+            clearInterval(timer);
+            timer = null;
+            seen.clear();
+        }
+    };
+}
+
+module.exports = {
+    subscribe,
+};
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+const DesignRequest = require('../../models/DesignRequest');
+const NotificationPreference = require('../../models/NotificationPreference');
+const { createAppLogger, createNotificationService } = require('@sahab/core');
+const { emailService } = require('./services');
+const { getReplyAddress } = require('./replyEmail');
+const { escapeHtml } = require('./htmlUtils');
+const { emitWebhookEvent } = require('./outboundWebhooks');
+
+const logger = createAppLogger();
+
+/**
+ * Build a link back into the portal for the notification's subject
+ */
+const getNotificationUrl = (options = {}) => {
+    if (options.relatedModel === 'DesignRequest' && options.relatedId) {
+        return `${process.env.PORTAL_URL}/requests/${options.relatedId}`;
+    }
+    if (options.relatedModel === 'Invoice' && options.relatedId) {
+        return `${process.env.PORTAL_URL}/subscription/invoices/${options.relatedId}`;
+    }
+    if (options.relatedModel === 'Subscription') {
+        return `${process.env.PORTAL_URL}/subscription`;
+    }
+    return process.env.PORTAL_URL;
+};
+
+/**
+ * Send a notification by email
+ */
+const sendNotificationEmail = async (userId, title, message, options) => {
+    const user = await User.findById(userId).select('email isActive');
+    if (!user || !user.isActive) return;
+
+    // Request emails can be answered directly; replies land in the request thread
+    let replyTo = null;
+    if (options.relatedModel === 'DesignRequest' && options.relatedId) {
+        replyTo = getReplyAddress(await DesignRequest.getReplyToken(options.relatedId));
+    }
+
+    const actionUrl = getNotificationUrl(options);
+    const settingsUrl = `${process.env.PORTAL_URL}/settings?tab=notifications`;
+
+    await emailService.send(
+        user.email,
+        `${title} - CanvasCue`,
+        `
+        <h2>${escapeHtml(title)}</h2>
+        <p>${escapeHtml(message)}</p>
+        <p><a href="${actionUrl}" style="display: inline-block; padding: 10px 20px; background: #3b82f6; color: white; text-decoration: none; border-radius: 5px;">Open CanvasCue</a></p>
+        ${replyTo ? '<p>You can reply to this email to respond on the request.</p>' : ''}
+        <p style="color: #6b7280; font-size: 12px;">You can change which notifications you receive by email in <a href="${settingsUrl}">your settings</a>.</p>
+        <br>
+        <p>Best regards,<br>The CanvasCue Team</p>
+        `,
+        replyTo ? { replyTo } : undefined
+    );
+};
+
+/**
+ * Create a notification service that honors each user's channel preferences.
+ * Same create() signature as the sahab-core service it wraps, plus createMany()
+ * for one event that several users hear about.
+ */
+const createNotifier = ({ types, relatedModels }) => {
+    const notifications = createNotificationService(mongoose, { types, relatedModels });
+
+    // Webhooks belong to the organization, so they fire whatever the user's preferences
+    const queueWebhookEvent = (userId, type, title, message, options) => {
+        emitWebhookEvent(userId, type, title, message, options).catch((error) => {
+            logger.error(`Failed to queue ${type} webhook event:`, error);
+        });
+    };
+
+    const notify = async (userId, type, title, message, options) => {
+        const channel = await NotificationPreference.getChannel(userId, type);
+        if (channel === 'none') return null;
+
+        const notification = await notifications.create(userId, type, title, message, options);
+
+        // Email is best effort; a mail outage shouldn't fail the action that notified
+        if (channel === 'email') {
+            sendNotificationEmail(userId, title, message, options).catch((error) => {
+                logger.error(`Failed to email ${type} notification to user ${userId}:`, error);
+            });
+        }
+
+        return notification;
+    };
+
+    const create = async (userId, type, title, message, options = {}) => {
+        queueWebhookEvent(userId, type, title, message, options);
+        return notify(userId, type, title, message, options);
+    };
+
+    // Recipients share an organization, so the webhook event goes out once
+    const createMany = async (userIds, type, title, message, options = {}) => {
+        if (userIds.length === 0) return [];
+
+        queueWebhookEvent(userIds[0], type, title, message, options);
+        return Promise.all(userIds.map((userId) => notify(userId, type, title, message, options)));
+    };
+
+    return { create, createMany };
+};
+
+module.exports = {
+    createNotifier,
+};
@@ -0,0 +1,161 @@
+// Error codes the versioned API can return, by HTTP status
+const ERROR_RESPONSES = {
+    400: 'Invalid input (validation_failed) or action not possible on this resource',
+    401: 'Missing or invalid credentials (unauthorized)',
+    403: 'Not allowed: forbidden, insufficient_scope, email_not_verified, invalid_status, subscription_required, quota_exceeded or active_limit_reached',
+    404: 'Resource not found (not_found)',
+};
+
+/**
+ * Convert an Express path ("/requests/:id") to an OpenAPI path ("/requests/{id}")
+ */
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+/**
+ * Describe the success response of a route
+ */
+function buildSuccessResponse(route) {
+    const data = route.paginated ? { type: 'array', items: route.response } : route.response;
+    const properties = { data: data || { type: 'object' } };
+
+    if (route.paginated) {
+        properties.meta = {
+            type: 'object',
+            properties: { pagination: { $ref: '#/components/schemas/Pagination' } },
+        };
+    }
+
+    return {
+        description: 'Success',
+        content: {
+            'application/json': {
+                schema: { type: 'object', required: ['data'], properties },
+            },
+        },
+    };
+}
+
+/**
+ * Describe a single route as an OpenAPI operation
+ */
+function buildOperation(route) {
+    const pathParameters = [...route.path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+        name,
+        in: 'path',
+        required: true,
+        schema: { type: 'string', pattern: '^[a-f0-9]{24}$' },
+    }));
+
+    const queryParameters = Object.entries(route.query?.properties || {}).map(
+        ([name, { description, ...schema }]) => ({
+            name,
+            in: 'query',
+            required: (route.query.required || []).includes(name),
+            ...(description ? { description } : {}),
+            schema,
+        })
+    );
+
+    const operation = {
+        operationId: route.operationId,
+        summary: route.summary,
+        tags: [route.tag],
+        parameters: [...pathParameters, ...queryParameters],
+        responses: {
+            [route.status || 200]: buildSuccessResponse(route),
+        },
+    };
+
+    if (route.scope) {
+        operation.description = `API tokens need the \`${route.scope}\` scope.`;
+        operation['x-required-scope'] = route.scope;
+    }
+
+    if (route.body) {
+        operation.requestBody = {
+            required: true,
+            content: { 'application/json': { schema: route.body } },
+        };
+    }
+
+    Object.entries(ERROR_RESPONSES).forEach(([status, description]) => {
+        operation.responses[status] = {
+            description,
+            content: {
+                'application/json': { schema: { $ref: '#/components/schemas/Error' } },
+            },
+        };
+    });
+
+    return operation;
+}
+
+/**
+ * Build an OpenAPI 3.0 document from route definitions
+ */
+function buildOpenApiDocument({ title, version, serverUrl, routes, schemas = {} }) {
+    const paths = {};
+    routes.forEach((route) => {
+        const path = toOpenApiPath(route.path);
+        paths[path] = { ...paths[path], [route.method]: buildOperation(route) };
+    });
+
+    return {
+        openapi: '3.0.3',
+        info: { title, version },
+        servers: [{ url: serverUrl }],
+        security: [{ bearerAuth: [] }, { cookieAuth: [] }],
+        tags: [...new Set(routes.map((route) => route.tag))].map((name) => ({ name })),
+        paths,
+        components: {
+            securitySchemes: {
+                bearerAuth: {
+                    type: 'http',
+                    scheme: 'bearer',
+                    description: 'Personal API token created in Settings → API Tokens',
+                },
+                cookieAuth: {
+                    type: 'apiKey',
+                    in: 'cookie',
+                    name: 'canvascue.sid',
+                    description: 'Browser session',
+                },
+            },
+            schemas: {
+                ...schemas,
+                Pagination: {
+                    type: 'object',
+                    properties: {
+                        page: { type: 'integer' },
+                        limit: { type: 'integer' },
+                        total: { type: 'integer' },
+                        pages: { type: 'integer' },
+                    },
+                },
+                Error: {
+                    type: 'object',
+                    required: ['error'],
+                    properties: {
+                        error: {
+                            type: 'object',
+                            required: ['code', 'message'],
+                            properties: {
+                                code: { type: 'string' },
+                                message: { type: 'string' },
+                                details: {
+                                    type: 'object',
+                                    description: 'Field path to message, for validation_failed',
+                                    additionalProperties: { type: 'string' },
+                                },
+                            },
+                        },
+                    },
+                },
+            },
+        },
+    };
+}
+
+module.exports = {
+    buildOpenApiDocument,
+};
@@ -0,0 +1,49 @@
+const Organization = require('../../models/Organization');
+const User = require('../../models/User');
+
+// Roles that can file and change requests; viewers only read
+const EDITOR_ROLES = ['owner', 'member'];
+
+/**
+ * Get the current user's organization and role, cached on the request
+ */
+const getMembership = async (req) => {
+    if (req.membership) return req.membership;
+
+    const user = await User.findById(req.session.userId);
+    const organization = await Organization.findOrCreateForUser(user);
+    const role = organization.getRole(user._id);
+
+    req.membership = {
+        organization,
+        role,
+        canEdit: EDITOR_ROLES.includes(role),
+    };
+    return req.membership;
+};
+
+/**
+ * Build the request filter for everything the user's organization can see
+ */
+const getRequestScope = async (req) => {
+    const { organization } = await getMembership(req);
+    return { organization: organization._id };
+};
+
+/**
+ * Build the invoice filter for everything the user's organization can see.
+ * Invoices issued before the user had an organization are still matched for the user.
+ */
+const getInvoiceScope = async (req) => {
+    const { organization } = await getMembership(req);
+    return {
+        $or: [{ organization: organization._id }, { user: req.session.userId, organization: null }],
+    };
+};
+
+module.exports = {
+    EDITOR_ROLES,
+    getMembership,
+    getRequestScope,
+    getInvoiceScope,
+};
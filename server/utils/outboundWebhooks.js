@@ -0,0 +1,323 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const User = require('../../models/User');
+const DesignRequest = require('../../models/DesignRequest');
+const Subscription = require('../../models/Subscription');
+const Invoice = require('../../models/Invoice');
+const WebhookEndpoint = require('../../models/WebhookEndpoint');
+const WebhookDelivery = require('../../models/WebhookDelivery');
+const { createAppLogger } = require('@sahab/core');
+
+const logger = createAppLogger();
+
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+const SIGNATURE_HEADER = 'X-CanvasCue-Signature';
+
+// Host names that can only be internal
+const PRIVATE_HOST_PATTERNS = [/^localhost$/i, /\.localhost$/i, /\.local$/i, /\.internal$/i];
+
+// Addresses deliveries must never reach: loopback, private, link-local, shared, multicast and
+// reserved ranges, plus IPv6 forms that wrap an IPv4 address (mapped, compatible, NAT64)
+const BLOCKED_SUBNETS = [
+    ['0.0.0.0', 8, 'ipv4'],
+    ['10.0.0.0', 8, 'ipv4'],
+    ['100.64.0.0', 10, 'ipv4'],
+    ['127.0.0.0', 8, 'ipv4'],
+    ['169.254.0.0', 16, 'ipv4'],
+    ['172.16.0.0', 12, 'ipv4'],
+    ['192.0.0.0', 24, 'ipv4'],
+    ['192.168.0.0', 16, 'ipv4'],
+    ['198.18.0.0', 15, 'ipv4'],
+    ['224.0.0.0', 4, 'ipv4'],
+    ['240.0.0.0', 4, 'ipv4'],
+    ['::', 96, 'ipv6'],
+    ['::ffff:0:0', 96, 'ipv6'],
+    ['64:ff9b::', 96, 'ipv6'],
+    ['fc00::', 7, 'ipv6'],
+    ['fe80::', 10, 'ipv6'],
+    ['ff00::', 8, 'ipv6'],
+];
+
+const blockedAddresses = new net.BlockList();
+BLOCKED_SUBNETS.forEach(([address, prefix, type]) => {
+    blockedAddresses.addSubnet(address, prefix, type);
+});
+
+/**
+ * Check whether an IP address is one deliveries must not reach
+ */
+const isBlockedAddress = (address) => {
+    const family = net.isIP(address);
+    if (family === 0) return true;
+
+    return blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * Build the error raised when a webhook host is or resolves to a private address
+ */
+const privateHostError = () => {
+    const error = new Error('Webhook host resolves to a private address');
+    error.code = 'EPRIVATEHOST';
+    return error;
+};
+
+/**
+ * DNS lookup for delivery sockets that refuses private addresses.
+ * Checking at connect time also covers names that change what they resolve to after saving.
+ */
+const lookupPublicAddress = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        if (addresses.some(({ address }) => isBlockedAddress(address))) {
+            return callback(privateHostError());
+        }
+
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+/**
+ * Check an endpoint URL; returns an error message, or null if it's usable.
+ * Names are resolved and checked again on every send.
+ */
+const validateEndpointUrl = (value) => {
+    let url;
+    try {
+        url = new URL(value);
+    } catch {
+        return 'Please enter a valid URL';
+    }
+
+    const isProd = process.env.NODE_ENV === 'production';
+    if (url.protocol !== 'https:' && (isProd || url.protocol !== 'http:')) {
+        return 'Webhook URLs must use https';
+    }
+
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    const isPrivate =
+        net.isIP(hostname) !== 0
+            ? isBlockedAddress(hostname)
+            : !hostname.includes('.') ||
+              PRIVATE_HOST_PATTERNS.some((pattern) => pattern.test(hostname));
+    if (isPrivate) {
+        return 'Webhook URLs must point to a public host';
+    }
+
+    return null;
+};
+
+/**
+ * POST a delivery body and resolve with the response status.
+ * Redirects aren't followed and the response body is discarded, so the
+ * delivery log never shows what a receiver sends back.
+ */
+const postDelivery = (value, headers, body) =>
+    new Promise((resolve, reject) => {
+        const url = new URL(value);
+        const hostname = url.hostname.replace(/^\[|\]$/g, '');
+
+        // Address literals skip the lookup, so check them here
+        if (net.isIP(hostname) !== 0 && isBlockedAddress(hostname)) {
+            return reject(privateHostError());
+        }
+
+        const client = url.protocol === 'https:' ? https : http;
+        const request = client.request(
+            url,
+            {
+                method: 'POST',
+                headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+                lookup: lookupPublicAddress,
+                signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+            },
+            (response) => {
+                response.resume();
+                resolve(response.statusCode);
+            }
+        );
+
+        request.on('error', reject);
+        request.end(body);
+    });
+
+/**
+ * Describe a failed send without echoing details from the receiver's network
+ */
+const describeSendError = (error) => {
+    if (error.code === 'EPRIVATEHOST') return error.message;
+    if (error.name === 'AbortError' || error.name === 'TimeoutError') return 'Timed out';
+    if (error.code === 'ENOTFOUND') return 'Host not found';
+    return 'Could not connect';
+};
+
+/**
+ * Sign a delivery body. Receivers recompute the HMAC over "<timestamp>.<body>".
+ */
+const signPayload = (secret, timestamp, body) =>
+    crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+/**
+ * Find the organization an event belongs to and a summary of its subject
+ */
+const describeSubject = async (userId, options) => {
+    const { relatedModel, relatedId } = options;
+
+    if (relatedModel === 'DesignRequest' && relatedId) {
+        const request = await DesignRequest.findById(relatedId).select(
+            'organization requestNumber title status'
+        );
+        return (
+            request && {
+                organization: request.organization,
+                object: {
+                    type: 'design_request',
+                    id: request._id,
+                    requestNumber: request.requestNumber,
+                    title: request.title,
+                    status: request.status,
+                },
+            }
+        );
+    }
+
+    if (relatedModel === 'Subscription' && relatedId) {
+        const subscription = await Subscription.findById(relatedId).select(
+            'organization status billingPeriod amount currency'
+        );
+        return (
+            subscription && {
+                organization: subscription.organization,
+                object: {
+                    type: 'subscription',
+                    id: subscription._id,
+                    status: subscription.status,
+                    billingPeriod: subscription.billingPeriod,
+                    amount: subscription.amount,
+                    currency: subscription.currency,
+                },
+            }
+        );
+    }
+
+    if (relatedModel === 'Invoice' && relatedId) {
+        const invoice = await Invoice.findById(relatedId)
+            .select('subscription invoiceNumber total currency paymentStatus')
+            .populate('subscription', 'organization');
+        return (
+            invoice && {
+                organization: invoice.subscription?.organization,
+                object: {
+                    type: 'invoice',
+                    id: invoice._id,
+                    number: invoice.formattedNumber,
+                    total: invoice.total,
+                    currency: invoice.currency,
+                    paymentStatus: invoice.paymentStatus,
+                },
+            }
+        );
+    }
+
+    const user = userId ? await User.findById(userId).select('organization') : null;
+    return user && { organization: user.organization, object: null };
+};
+
+/**
+ * Send one delivery and record the result
+ */
+const sendDelivery = async (delivery) => {
+    const endpoint = await WebhookEndpoint.findById(delivery.endpoint).select('+secret');
+
+    if (!endpoint || !endpoint.isActive) {
+        await delivery.abandon('Endpoint is disabled');
+        return delivery;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = signPayload(endpoint.secret, timestamp, body);
+    const startedAt = Date.now();
+
+    try {
+        const responseStatus = await postDelivery(
+            endpoint.url,
+            {
+                'Content-Type': 'application/json',
+                'User-Agent': 'CanvasCue-Webhooks/1.0',
+                'X-CanvasCue-Event': delivery.event,
+                'X-CanvasCue-Delivery': delivery._id.toString(),
+                [SIGNATURE_HEADER]: `t=${timestamp},v1=${signature}`,
+            },
+            body
+        );
+
+        await delivery.recordAttempt({
+            ok: responseStatus >= 200 && responseStatus < 300,
+            responseStatus,
+            durationMs: Date.now() - startedAt,
+        });
+    } catch (error) {
+        await delivery.recordAttempt({
+            ok: false,
+            error: describeSendError(error),
+            durationMs: Date.now() - startedAt,
+        });
+    }
+
+    return delivery;
+};
+
+/**
+ * Claim a due delivery matching the filter and send it. Returns null if none was due.
+ */
+const processDelivery = async (filter = {}) => {
+    const delivery = await WebhookDelivery.claim(filter);
+    if (!delivery) return null;
+
+    return sendDelivery(delivery);
+};
+
+/**
+ * Queue the webhook event raised by a notification, and try each delivery right away.
+ * Failed sends are retried by the deliver-webhooks job.
+ */
+const emitWebhookEvent = async (userId, type, title, message, options = {}) => {
+    const event = WebhookEndpoint.getEventForType(type);
+    if (!event) return;
+
+    const subject = await describeSubject(userId, options);
+    if (!subject?.organization) return;
+
+    const endpoints = await WebhookEndpoint.findSubscribed(subject.organization, event);
+    if (endpoints.length === 0) return;
+
+    const deliveries = await WebhookDelivery.enqueue(endpoints, event, {
+        event,
+        createdAt: new Date().toISOString(),
+        data: {
+            notificationType: type,
+            title,
+            message,
+            object: subject.object,
+        },
+    });
+
+    deliveries.forEach((delivery) => {
+        processDelivery({ _id: delivery._id }).catch((error) => {
+            logger.error(`Failed to send webhook delivery ${delivery._id}:`, error);
+        });
+    });
+};
+
+module.exports = {
+    SIGNATURE_HEADER,
+    validateEndpointUrl,
+    signPayload,
+    processDelivery,
+    emitWebhookEvent,
+};
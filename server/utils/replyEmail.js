@@ -0,0 +1,63 @@
+const REPLY_PREFIX = 'reply';
+const TOKEN_PATTERN = new RegExp(`${REPLY_PREFIX}\\+([a-f0-9]{32})@`, 'i');
+
+// Lines that start the quoted original in common mail clients
+const QUOTE_HEADERS = [
+    /^On .+wrote:\s*$/,
+    /^-{2,}\s*Original Message\s*-{2,}/i,
+    /^_{10,}\s*$/,
+    /^From: .+/,
+    /^Sent from my /,
+];
+
+/**
+ * Build the reply-to address for a request token, or null if inbound email isn't configured
+ */
+const getReplyAddress = (token) => {
+    const domain = process.env.INBOUND_EMAIL_DOMAIN;
+    if (!domain || !token) return null;
+    return `${REPLY_PREFIX}+${token}@${domain}`;
+};
+
+/**
+ * Find the reply token among a list of recipient addresses
+ */
+const extractReplyToken = (addresses) => {
+    for (const address of addresses) {
+        const match = TOKEN_PATTERN.exec(address || '');
+        if (match) return match[1].toLowerCase();
+    }
+    return null;
+};
+
+/**
+ * Strip the quoted original and signature from a plain-text reply
+ */
+const extractReplyText = (text) => {
+    const lines = (text || '').replace(/\r\n/g, '\n').split('\n');
+    const reply = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const trimmed = line.trim();
+
+        // Some clients wrap "On ... wrote:" over two lines
+        const header = `${trimmed} ${(lines[i + 1] || '').trim()}`;
+        if (QUOTE_HEADERS.some((pattern) => pattern.test(trimmed) || pattern.test(header))) {
+            break;
+        }
+        // Signature delimiter
+        if (line === '-- ' || trimmed === '--') break;
+        if (trimmed.startsWith('>')) continue;
+
+        reply.push(line);
+    }
+
+    return reply.join('\n').trim();
+};
+
+module.exports = {
+    getReplyAddress,
+    extractReplyToken,
+    extractReplyText,
+};
@@ -0,0 +1,93 @@
+const DesignRequest = require('../../models/DesignRequest');
+
+/**
+ * Declarative schemas for design request payloads, shared by the browser routes and /api/v1.
+ * Enums are read from the model so the two can't drift apart.
+ */
+
+const enumValues = (path) => DesignRequest.schema.path(path).enumValues;
+
+const CATEGORIES = enumValues('category');
+const PLATFORMS = enumValues('platform');
+const STATUSES = enumValues('status');
+const PRIORITIES = enumValues('priority');
+const FILE_FORMATS = DesignRequest.schema.path('specifications.fileFormat').caster.enumValues;
+
+// Statuses a client may set directly; submitting uses the submit flag
+const CLIENT_STATUSES = ['draft', 'canceled'];
+
+// Largest width or height we accept, whatever the unit
+const MAX_DIMENSION = 10000;
+
+const dimension = {
+    type: 'number',
+    minimum: 1,
+    maximum: MAX_DIMENSION,
+    description: 'In the chosen unit',
+};
+
+const SPECIFICATIONS_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        dimensions: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                width: dimension,
+                height: dimension,
+                unit: { type: 'string', enum: enumValues('specifications.dimensions.unit') },
+            },
+        },
+        fileFormat: {
+            type: 'array',
+            maxItems: FILE_FORMATS.length,
+            items: { type: 'string', enum: FILE_FORMATS },
+        },
+        colorMode: { type: 'string', enum: enumValues('specifications.colorMode') },
+        resolution: { type: 'string', enum: enumValues('specifications.resolution') },
+    },
+};
+
+// Fields a client can set on a request
+const REQUEST_FIELDS = {
+    title: { type: 'string', minLength: 1, maxLength: 200 },
+    description: { type: 'string', minLength: 1, maxLength: 2000 },
+    category: { type: 'string', enum: CATEGORIES },
+    platform: { type: 'string', enum: PLATFORMS, nullable: true },
+    priority: { type: 'string', enum: PRIORITIES },
+    deadline: { type: 'string', format: 'date-time', 'x-future': true, nullable: true },
+    specifications: SPECIFICATIONS_SCHEMA,
+    clientNotes: { type: 'string', maxLength: 1000, nullable: true },
+};
+
+// Anything not listed (designer, status, rating, ...) is dropped; the API rejects it instead
+const CREATE_REQUEST_SCHEMA = {
+    type: 'object',
+    required: ['title', 'description', 'category'],
+    properties: REQUEST_FIELDS,
+};
+
+const UPDATE_REQUEST_SCHEMA = {
+    type: 'object',
+    properties: {
+        ...REQUEST_FIELDS,
+        status: {
+            type: 'string',
+            enum: CLIENT_STATUSES,
+            description:
+                'Move back to draft or cancel; approval and revisions have their own actions',
+        },
+        submit: { type: 'boolean', description: 'Submit a draft for review' },
+    },
+};
+
+module.exports = {
+    CATEGORIES,
+    PLATFORMS,
+    STATUSES,
+    PRIORITIES,
+    SPECIFICATIONS_SCHEMA,
+    CREATE_REQUEST_SCHEMA,
+    UPDATE_REQUEST_SCHEMA,
+};
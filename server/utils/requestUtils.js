@@ -0,0 +1,314 @@
+const mongoose = require('mongoose');
+const DesignRequest = require('../../models/DesignRequest');
+const Subscription = require('../../models/Subscription');
+const Message = require('../../models/Message');
+const { createStorageService } = require('@sahab/core');
+const { createNotifier } = require('./notifier');
+const { getMembership, getRequestScope } = require('./organizationUtils');
+
+const storage = createStorageService();
+const notifications = createNotifier({
+    types: ['request_created', 'revision_requested', 'request_approved', 'message_received'],
+    relatedModels: ['DesignRequest', 'User'],
+});
+
+// Fields a client may set when creating or editing a request
+const EDITABLE_FIELDS = [
+    'title',
+    'description',
+    'category',
+    'platform',
+    'priority',
+    'deadline',
+    'specifications',
+    'clientNotes',
+];
+
+// Status changes a client can make by editing a request
+const CLIENT_STATUS_CHANGES = ['submitted', 'draft', 'canceled'];
+
+/**
+ * Build an error for a request action the caller can't perform.
+ * Handlers send error.status with error.message; the API also returns error.code.
+ */
+const requestActionError = (status, code, message) => {
+    const error = new Error(message);
+    error.name = 'RequestActionError';
+    error.status = status;
+    error.code = code;
+    return error;
+};
+
+/**
+ * Find a request in the user's organization, or throw a 404
+ */
+const findScopedRequest = async (req, requestId) => {
+    const request = mongoose.Types.ObjectId.isValid(requestId)
+        ? await DesignRequest.findOne({ _id: requestId, ...(await getRequestScope(req)) })
+        : null;
+
+    if (!request) {
+        throw requestActionError(404, 'not_found', 'Request not found');
+    }
+    return request;
+};
+
+/**
+ * Create a draft request for the user's organization and count it against the plan.
+ * Fields must already be validated against CREATE_REQUEST_SCHEMA.
+ */
+const createDesignRequest = async (req, fields, files = []) => {
+    const userId = req.session.userId;
+
+    const subscription = await Subscription.findActiveByUser(userId);
+    if (!subscription) {
+        throw requestActionError(403, 'subscription_required', 'Active subscription required');
+    }
+
+    // Take the slot before creating anything, so parallel submissions can't overrun the plan
+    try {
+        await subscription.reserveDesignSlot();
+    } catch (error) {
+        if (error.name !== 'UsageLimitError') throw error;
+        throw requestActionError(
+            403,
+            error.limit === 'monthly' ? 'quota_exceeded' : 'active_limit_reached',
+            error.message
+        );
+    }
+
+    let request;
+    try {
+        const { organization } = await getMembership(req);
+
+        request = new DesignRequest({
+            client: userId,
+            organization: organization._id,
+            subscription: subscription._id,
+            title: fields.title.trim(),
+            description: fields.description.trim(),
+            category: fields.category,
+            platform: fields.platform || null,
+            priority: fields.priority || 'normal',
+            deadline: fields.deadline || null,
+            specifications: fields.specifications || {},
+            clientNotes: fields.clientNotes?.trim() || null,
+            status: 'draft',
+        });
+
+        if (files.length > 0) {
+            request.referenceFiles = await Promise.all(
+                files.map(async (file) => {
+                    const result = await storage.uploadFile(file, `requests/${request._id}`);
+                    return {
+                        fileName: file.originalname,
+                        fileUrl: await storage.getSignedUrl(result.fileName),
+                        fileType: file.mimetype,
+                        fileSize: file.size,
+                        description: file.description || '',
+                    };
+                })
+            );
+        }
+
+        await request.save();
+    } catch (error) {
+        await Subscription.releaseDesignSlot(subscription._id);
+        throw error;
+    }
+
+    // Create notification for admins
+    await notifications.create(
+        null, // Will be sent to admins
+        'request_created',
+        'New Design Request',
+        `New request "${request.title}" created by ${req.session.userEmail}`,
+        {
+            relatedModel: 'DesignRequest',
+            relatedId: request._id,
+            priority: request.priority,
+        }
+    );
+
+    return request;
+};
+
+/**
+ * Edit a draft or submitted request, and submit, unsubmit or cancel it if asked.
+ * Approval and revisions have their own actions, since they also record deliverable state.
+ * Updates must already be validated against UPDATE_REQUEST_SCHEMA.
+ */
+const updateDesignRequest = async (req, requestId, updates) => {
+    const userId = req.session.userId;
+    const request = await findScopedRequest(req, requestId);
+
+    // Check the status change first so a rejected one doesn't leave field edits saved
+    const targetStatus =
+        updates.submit === true && request.status === 'draft' ? 'submitted' : updates.status;
+    const statusChange = targetStatus && targetStatus !== request.status ? targetStatus : null;
+
+    if (statusChange) {
+        if (!CLIENT_STATUS_CHANGES.includes(statusChange)) {
+            throw requestActionError(
+                403,
+                'invalid_status',
+                'Use the approval or revision actions for this status change'
+            );
+        }
+        if (!DesignRequest.canTransition(request.status, statusChange, 'client')) {
+            throw requestActionError(
+                403,
+                'invalid_status',
+                `Cannot change status from ${request.status} to ${statusChange}`
+            );
+        }
+    }
+
+    const changedFields = EDITABLE_FIELDS.filter((field) => updates[field] !== undefined);
+
+    // Only allow edits if status is draft or submitted
+    if (changedFields.length > 0 && !['draft', 'submitted'].includes(request.status)) {
+        throw requestActionError(403, 'invalid_status', 'Cannot update request in current status');
+    }
+
+    changedFields.forEach((field) => {
+        request[field] = updates[field];
+    });
+
+    if (statusChange) {
+        // Saves the field edits along with the new status
+        await request.updateStatus(statusChange, userId, 'client');
+    } else {
+        await request.save();
+    }
+
+    return request;
+};
+
+/**
+ * Post a client message on a request and notify the designer
+ */
+const addRequestMessage = async (req, requestId, { message, attachments }) => {
+    const userId = req.session.userId;
+    const request = await findScopedRequest(req, requestId);
+
+    const newMessage = new Message({
+        designRequest: request._id,
+        sender: userId,
+        recipient: request.designer,
+        message: message.trim(),
+        attachments: attachments || [],
+    });
+
+    await newMessage.save();
+
+    // Update request
+    request.lastMessageAt = new Date();
+    if (request.designer) {
+        request.unreadMessagesCount.designer += 1;
+    }
+    await request.save();
+
+    if (request.designer) {
+        await notifications.create(
+            request.designer,
+            'message_received',
+            'New Message',
+            `New message on request ${request.requestNumber}`,
+            {
+                relatedModel: 'DesignRequest',
+                relatedId: request._id,
+            }
+        );
+    }
+
+    return { request, message: newMessage };
+};
+
+/**
+ * Send a delivered request back to the designer for changes
+ */
+const requestDesignRevision = async (req, requestId, description) => {
+    const userId = req.session.userId;
+    const request = await findScopedRequest(req, requestId);
+
+    if (!DesignRequest.canTransition(request.status, 'revision-requested', 'client')) {
+        throw requestActionError(
+            403,
+            'invalid_status',
+            'Cannot request revision in current status'
+        );
+    }
+
+    const revision = await request.addRevision(description, userId);
+
+    if (request.designer) {
+        await notifications.create(
+            request.designer,
+            'revision_requested',
+            'Revision Requested',
+            `Revision requested for ${request.requestNumber}`,
+            {
+                relatedModel: 'DesignRequest',
+                relatedId: request._id,
+            }
+        );
+    }
+
+    return { request, revision };
+};
+
+/**
+ * Approve a deliverable version, which closes the request and frees its active slot
+ */
+const approveDesignDeliverable = async (req, requestId, { version, feedback }) => {
+    const userId = req.session.userId;
+    const request = await findScopedRequest(req, requestId);
+
+    const deliverable = request.deliverables.find((d) => d.version === parseInt(version));
+    if (!deliverable) {
+        throw requestActionError(400, 'deliverable_not_found', 'Deliverable version not found');
+    }
+
+    if (!DesignRequest.canTransition(request.status, 'approved', 'client')) {
+        throw requestActionError(403, 'invalid_status', 'Cannot approve request in current status');
+    }
+
+    deliverable.isApproved = true;
+    if (feedback?.trim()) {
+        deliverable.feedback = feedback.trim();
+    }
+
+    // Saves the deliverable changes, sets timeline.approvedAt and frees the active slot
+    await request.updateStatus('approved', userId, 'client');
+
+    await Message.createSystemMessage(request._id, 'request_approved', {
+        userId,
+        newValue: String(deliverable.version),
+    });
+
+    if (request.designer) {
+        await notifications.create(
+            request.designer,
+            'request_approved',
+            'Design Approved',
+            `Version ${deliverable.version} of ${request.requestNumber} was approved`,
+            {
+                relatedModel: 'DesignRequest',
+                relatedId: request._id,
+            }
+        );
+    }
+
+    return { request, deliverable };
+};
+
+module.exports = {
+    EDITABLE_FIELDS,
+    findScopedRequest,
+    createDesignRequest,
+    updateDesignRequest,
+    addRequestMessage,
+    requestDesignRevision,
+    approveDesignDeliverable,
+};